@@ -18,12 +18,13 @@ if (file_exists('config.php')) {
     define('ENV_MODE', getenv('ENV_MODE') ?: 'production');
 }
 
-// Whitelist of allowed folders
-$ALLOWED_FOLDERS = array(
-    'pub_ab',
-    'pub_ab/Expeditionary_Force',
-    'assets',
-    'assets/documents'
+// Library mounts (shared with server.js): public folder name => directory on disk
+define('LIBRARY_CONFIG', getenv('LIBRARY_CONFIG') ?: dirname(__FILE__) . '/library.config.json');
+
+// Mounts used when library.config.json does not exist
+$DEFAULT_MOUNTS = array(
+    'pub_ab' => array('path' => './pub_ab'),
+    'assets' => array('path' => './assets')
 );
 
 // Rate limiting configuration
@@ -48,7 +49,8 @@ function sendJsonResponse($data, $statusCode = 200) {
 }
 
 /**
- * Log events (security and errors)
+ * Log events (security and errors) as JSON lines, in the same format as server.js
+ * logs/api.log is rotated to api.log.1 ... api.log.4 once it reaches LOG_MAX_SIZE
  */
 function logEvent($level, $message) {
     $logDir = dirname(__FILE__) . '/logs';
@@ -57,11 +59,31 @@ function logEvent($level, $message) {
     }
     
     $logFile = $logDir . '/api.log';
-    $timestamp = date('Y-m-d H:i:s');
-    $ip = $_SERVER['REMOTE_ADDR'] ?? 'UNKNOWN';
-    $logMessage = "[$timestamp] [$level] [$ip] $message\n";
+    $maxSize = (int)(getenv('LOG_MAX_SIZE') ?: 10 * 1024 * 1024);
+    $maxFiles = (int)(getenv('LOG_MAX_FILES') ?: 5);
+    
+    clearstatcache(true, $logFile);
+    if (file_exists($logFile) && filesize($logFile) >= $maxSize) {
+        for ($index = $maxFiles - 1; $index >= 1; $index--) {
+            $from = $index === 1 ? $logFile : $logFile . '.' . ($index - 1);
+            if (file_exists($from)) {
+                @rename($from, $logFile . '.' . $index);
+            }
+        }
+    }
     
-    @file_put_contents($logFile, $logMessage, FILE_APPEND);
+    // SECURITY events are warnings tagged with a category, like logger.security() in Node
+    $entry = array(
+        'time' => gmdate('Y-m-d\\TH:i:s\\Z'),
+        'level' => $level === 'SECURITY' ? 'warn' : strtolower($level),
+        'ip' => $_SERVER['REMOTE_ADDR'] ?? 'UNKNOWN'
+    );
+    if ($level === 'SECURITY') {
+        $entry['category'] = 'security';
+    }
+    $entry['message'] = $message;
+    
+    @file_put_contents($logFile, json_encode($entry, JSON_UNESCAPED_SLASHES) . "\n", FILE_APPEND | LOCK_EX);
 }
 
 /**
@@ -70,7 +92,8 @@ function logEvent($level, $message) {
 function validateApiKey() {
     $apiKey = $_SERVER['HTTP_X_API_KEY'] ?? '';
     
-    if (!$apiKey || $apiKey !== API_KEY) {
+    // hash_equals compares in constant time, so response timing does not reveal the key
+    if (!$apiKey || !hash_equals(API_KEY, $apiKey)) {
         logEvent('SECURITY', 'Unauthorized access attempt - Invalid API key');
         sendJsonResponse(array(
             'error' => 'Unauthorized',
@@ -127,6 +150,71 @@ function checkRateLimit() {
     return true;
 }
 
+/**
+ * Load mounts from library.config.json (same format as server.js)
+ */
+function loadLibraryMounts($defaults) {
+    $config = array('mounts' => $defaults);
+    $baseDir = dirname(__FILE__);
+
+    if (file_exists(LIBRARY_CONFIG)) {
+        $parsed = json_decode(@file_get_contents(LIBRARY_CONFIG), true);
+        if (is_array($parsed) && isset($parsed['mounts']) && is_array($parsed['mounts'])) {
+            $config = $parsed;
+            $baseDir = dirname(LIBRARY_CONFIG);
+        } else {
+            logEvent('ERROR', 'Invalid library config: ' . LIBRARY_CONFIG);
+        }
+    }
+
+    $mounts = array();
+    foreach ($config['mounts'] as $name => $options) {
+        if (is_string($options)) {
+            $options = array('path' => $options);
+        }
+        if (!preg_match('/^[A-Za-z0-9_-][A-Za-z0-9._ -]*$/', $name) || empty($options['path'])) {
+            logEvent('ERROR', "Invalid library mount: $name");
+            continue;
+        }
+
+        $root = $options['path'];
+        if (substr($root, 0, 1) !== '/' && !preg_match('/^[A-Za-z]:[\\\/]/', $root)) {
+            $root = $baseDir . '/' . $root;
+        }
+
+        $mounts[$name] = array(
+            'root' => rtrim($root, '/'),
+            'requiresAuth' => isset($options['requiresAuth']) ? (bool)$options['requiresAuth'] : true,
+            'readOnly' => isset($options['readOnly']) ? (bool)$options['readOnly'] : true
+        );
+    }
+
+    return $mounts;
+}
+
+/**
+ * Map a public folder path ("pub_ab/Series") to its real directory on disk
+ * Returns null when the folder is missing or a symlink leads outside the mount
+ */
+function resolveFolderPath($folderPath, $mounts) {
+    $parts = explode('/', $folderPath);
+    $name = array_shift($parts);
+
+    if (!isset($mounts[$name])) {
+        return null;
+    }
+
+    $root = realpath($mounts[$name]['root']);
+    $target = realpath($parts ? $mounts[$name]['root'] . '/' . implode('/', $parts) : $mounts[$name]['root']);
+
+    if ($root === false || $target === false ||
+        ($target !== $root && strpos($target, rtrim($root, '/') . '/') !== 0)) {
+        return null;
+    }
+
+    return $target;
+}
+
 /**
  * Validate folder path - prevent directory traversal
  */
@@ -135,6 +223,7 @@ function validateFolderPath($folderPath, $allowedFolders) {
     if (strpos($folderPath, '..') !== false || 
         strpos($folderPath, '//') !== false || 
         strpos($folderPath, '\\') !== false ||
+        preg_match('/[\x00-\x1f\x7f]|%(2e|2f|5c|00)/i', $folderPath) ||
         substr($folderPath, 0, 1) === '/') {
         return false;
     }
@@ -171,6 +260,7 @@ function getMimeType($filePath) {
         'wav' => 'audio/wav',
         'flac' => 'audio/flac',
         'm4a' => 'audio/mp4',
+        'm4b' => 'audio/mp4',
         'pdf' => 'application/pdf',
         'txt' => 'text/plain',
         'md' => 'text/markdown',
@@ -189,8 +279,9 @@ function getMimeType($filePath) {
 
 /**
  * Recursively traverse directory and build structure
+ * File paths are built from $baseUrl (e.g. /pub_ab) plus the path relative to the top folder
  */
-function traverseDirectory($dirPath, $baseWebPath = '') {
+function traverseDirectory($dirPath, $baseWebPath = '', $baseUrl = '/pub_ab') {
     $items = array(
         'files' => array(),
         'folders' => array()
@@ -211,7 +302,8 @@ function traverseDirectory($dirPath, $baseWebPath = '') {
         $folders = array();
         
         foreach ($entries as $entry) {
-            if ($entry === '.' || $entry === '..' || $entry === 'manifest.json') {
+            // Hidden entries (.trash, upload staging files) are not listed
+            if ($entry[0] === '.' || $entry === 'manifest.json') {
                 continue;
             }
             
@@ -239,7 +331,7 @@ function traverseDirectory($dirPath, $baseWebPath = '') {
                 'folders' => array()
             );
             
-            $nested = traverseDirectory($fullPath, '/pub_ab/' . $webPath);
+            $nested = traverseDirectory($fullPath, $webPath, $baseUrl);
             $folderData['files'] = $nested['files'];
             $folderData['folders'] = $nested['folders'];
             
@@ -250,7 +342,7 @@ function traverseDirectory($dirPath, $baseWebPath = '') {
         foreach ($files as $fileName) {
             $fullPath = $dirPath . '/' . $fileName;
             $webPath = $baseWebPath ? $baseWebPath . '/' . $fileName : $fileName;
-            $filePath = '/pub_ab/' . $webPath;
+            $filePath = $baseUrl . '/' . $webPath;
             $fileSize = @filesize($fullPath);
             $fileType = getMimeType($fullPath);
             
@@ -269,6 +361,9 @@ function traverseDirectory($dirPath, $baseWebPath = '') {
     return $items;
 }
 
+$LIBRARY_MOUNTS = loadLibraryMounts($DEFAULT_MOUNTS);
+$ALLOWED_FOLDERS = array_keys($LIBRARY_MOUNTS);
+
 // === CORS HANDLER ===
 
 if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
@@ -299,12 +394,15 @@ if ($action === 'manifest' || strpos($requestUri, '/manifest') !== false) {
     // Check rate limit first
     checkRateLimit();
     
-    // Validate API key
-    validateApiKey();
-    
     // Get folder parameter
     $folder = $_GET['folder'] ?? '';
     
+    // Validate API key (mounts with requiresAuth: false can be read without one)
+    $mountName = explode('/', $folder)[0];
+    if (!isset($LIBRARY_MOUNTS[$mountName]) || $LIBRARY_MOUNTS[$mountName]['requiresAuth']) {
+        validateApiKey();
+    }
+    
     if (empty($folder)) {
         sendJsonResponse(array(
             'error' => 'Bad Request',
@@ -322,8 +420,15 @@ if ($action === 'manifest' || strpos($requestUri, '/manifest') !== false) {
     }
     
     // Get manifest or generate from directory
-    $manifestPath = $folder . '/manifest.json';
-    $dirPath = $folder;
+    $dirPath = resolveFolderPath($folder, $LIBRARY_MOUNTS);
+    if ($dirPath === null) {
+        logEvent('ERROR', "Manifest not found for folder: $folder");
+        sendJsonResponse(array(
+            'error' => 'Not Found',
+            'message' => 'Manifest file or folder not found'
+        ), 404);
+    }
+    $manifestPath = $dirPath . '/manifest.json';
     
     // Try to load manifest.json first
     if (fileExists($manifestPath)) {
@@ -342,11 +447,11 @@ if ($action === 'manifest' || strpos($requestUri, '/manifest') !== false) {
     
     // Generate manifest from directory
     if (is_dir($dirPath) && is_readable($dirPath)) {
-        $structure = traverseDirectory($dirPath);
+        $structure = traverseDirectory($dirPath, '', '/' . $folder);
         
         $manifest = array(
-            'name' => basename($dirPath),
-            'description' => 'File listing for ' . basename($dirPath),
+            'name' => basename($folder),
+            'description' => 'File listing for ' . basename($folder),
             'generated' => date('c'),
             'files' => $structure['files'],
             'folders' => $structure['folders']
@@ -8,30 +8,54 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { execFileSync, execFile } = require('child_process');
 
 class ManifestGenerator {
   constructor(basePath = './pub_ab', options = {}) {
     this.basePath = basePath;
-    this.baseUrl = `/pub_ab`; // Relative URL for web access
+    this.baseUrl = options.baseUrl || `/pub_ab`; // Relative URL for web access
     this.useFfprobe = options.ffprobe || false;
+    this.quiet = options.quiet || false;
     this.ffprobePath = 'ffprobe'; // Path to ffprobe executable
+    this.ffprobeAvailable = null; // checked once, on first use
+    this.onProgress = options.onProgress || null; // ({ filesScanned, currentFile }) before each file
+    this.onError = options.onError || null; // (filePath, message) for unreadable files and folders
+    this.filesScanned = 0;
   }
 
   /**
-   * Check if ffprobe is available
+   * Report a file or folder that could not be read
+   */
+  reportError(filePath, message) {
+    if (this.onError) {
+      this.onError(filePath, message);
+    }
+  }
+
+  /**
+   * Check if ffprobe is available (runs it once, later calls reuse the answer)
    */
   checkFfprobeAvailable() {
-    try {
-      execSync(`${this.ffprobePath} -version`, { stdio: 'ignore' });
-      return true;
-    } catch (error) {
-      return false;
+    if (this.ffprobeAvailable === null) {
+      try {
+        execFileSync(this.ffprobePath, ['-version'], { stdio: 'ignore' });
+        this.ffprobeAvailable = true;
+      } catch (error) {
+        this.ffprobeAvailable = false;
+      }
     }
+    return this.ffprobeAvailable;
+  }
+
+  /**
+   * ffprobe arguments for a file; the path is passed as its own argument, never through a shell
+   */
+  getFfprobeArgs(filePath) {
+    return ['-v', 'quiet', '-print_format', 'json', '-show_format', '-show_streams', filePath];
   }
 
   /**
-   * Extract audio metadata using ffprobe
+   * Extract audio metadata using ffprobe (blocking - for the CLI and the manifest worker process)
    */
   getAudioMetadata(filePath) {
     if (!this.useFfprobe || !this.checkFfprobeAvailable()) {
@@ -39,46 +63,77 @@ class ManifestGenerator {
     }
 
     try {
-      const command = `${this.ffprobePath} -v quiet -print_format json -show_format -show_streams "${filePath}"`;
-      const output = execSync(command, { encoding: 'utf-8' });
-      const data = JSON.parse(output);
+      const output = execFileSync(this.ffprobePath, this.getFfprobeArgs(filePath), {
+        encoding: 'utf-8',
+        maxBuffer: 10 * 1024 * 1024
+      });
+      return this.parseAudioMetadata(JSON.parse(output));
+    } catch (error) {
+      console.warn(`⚠️  FFprobe failed for ${path.basename(filePath)}: ${error.message}`);
+      this.reportError(filePath, `ffprobe failed: ${error.message}`);
+      return null;
+    }
+  }
 
-      const metadata = {};
+  /**
+   * Pick duration, bitrate and audio stream details from ffprobe's JSON output
+   */
+  parseAudioMetadata(data) {
+    const metadata = {};
 
-      // Get duration from format
-      if (data.format?.duration) {
-        metadata.duration = parseFloat(data.format.duration);
-      }
+    // Get duration from format
+    if (data.format?.duration) {
+      metadata.duration = parseFloat(data.format.duration);
+    }
+
+    // Get bitrate from format
+    if (data.format?.bit_rate) {
+      metadata.bitrate = parseInt(data.format.bit_rate);
+    }
 
-      // Get bitrate from format
-      if (data.format?.bit_rate) {
-        metadata.bitrate = parseInt(data.format.bit_rate);
+    // Extract audio stream information
+    const audioStream = data.streams?.find(s => s.codec_type === 'audio');
+    if (audioStream) {
+      if (audioStream.sample_rate) {
+        metadata.sampleRate = parseInt(audioStream.sample_rate);
       }
+      if (audioStream.channels) {
+        metadata.channels = parseInt(audioStream.channels);
+      } else if (audioStream.channel_layout) {
+        metadata.channelLayout = audioStream.channel_layout;
+      }
+      if (audioStream.codec_name) {
+        metadata.codec = audioStream.codec_name;
+      }
+      if (audioStream.bit_rate && !metadata.bitrate) {
+        metadata.bitrate = parseInt(audioStream.bit_rate);
+      }
+    }
 
-      // Extract audio stream information
-      const audioStream = data.streams?.find(s => s.codec_type === 'audio');
-      if (audioStream) {
-        if (audioStream.sample_rate) {
-          metadata.sampleRate = parseInt(audioStream.sample_rate);
-        }
-        if (audioStream.channels) {
-          metadata.channels = parseInt(audioStream.channels);
-        } else if (audioStream.channel_layout) {
-          metadata.channelLayout = audioStream.channel_layout;
-        }
-        if (audioStream.codec_name) {
-          metadata.codec = audioStream.codec_name;
-        }
-        if (audioStream.bit_rate && !metadata.bitrate) {
-          metadata.bitrate = parseInt(audioStream.bit_rate);
+    return Object.keys(metadata).length > 0 ? metadata : null;
+  }
+
+  /**
+   * Extract audio metadata without blocking, for servers (resolves null when ffprobe is missing or fails)
+   */
+  probeAudioMetadata(filePath) {
+    return new Promise(resolve => {
+      execFile(this.ffprobePath, this.getFfprobeArgs(filePath), { encoding: 'utf-8', maxBuffer: 10 * 1024 * 1024 }, (error, stdout) => {
+        if (error) {
+          if (error.code !== 'ENOENT') {
+            this.reportError(filePath, `ffprobe failed: ${error.message}`);
+          }
+          return resolve(null);
         }
-      }
 
-      return Object.keys(metadata).length > 0 ? metadata : null;
-    } catch (error) {
-      console.warn(`⚠️  FFprobe failed for ${path.basename(filePath)}: ${error.message}`);
-      return null;
-    }
+        try {
+          resolve(this.parseAudioMetadata(JSON.parse(stdout)));
+        } catch (parseError) {
+          this.reportError(filePath, `ffprobe failed: ${parseError.message}`);
+          resolve(null);
+        }
+      });
+    });
   }
 
   /**
@@ -90,6 +145,7 @@ class ManifestGenerator {
       return stats.size;
     } catch (error) {
       console.error(`Error getting size of ${filePath}:`, error.message);
+      this.reportError(filePath, error.message);
       return 0;
     }
   }
@@ -104,6 +160,7 @@ class ManifestGenerator {
       '.wav': 'audio/wav',
       '.flac': 'audio/flac',
       '.m4a': 'audio/mp4',
+      '.m4b': 'audio/mp4',
       '.pdf': 'application/pdf',
       '.txt': 'text/plain',
       '.md': 'text/markdown',
@@ -129,7 +186,9 @@ class ManifestGenerator {
     };
 
     try {
-      const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+      // Hidden entries (.trash, upload staging files, .DS_Store) are never served, so they are not listed
+      const entries = fs.readdirSync(dirPath, { withFileTypes: true })
+        .filter(entry => !entry.name.startsWith('.'));
 
       // Sort entries: folders first, then files
       entries.sort((a, b) => {
@@ -144,27 +203,24 @@ class ManifestGenerator {
         const webPath = baseWebPath ? `${baseWebPath}/${entry.name}` : entry.name;
 
         if (entry.isDirectory()) {
-          // Process folder
+          // Process folder - webPath stays relative to basePath while recursing
           const folderData = {
             name: entry.name,
-            ...this.traverseDirectory(fullPath, `${this.baseUrl}/${webPath}`)
+            ...this.traverseDirectory(fullPath, webPath)
           };
           items.folders.push(folderData);
         } else if (entry.isFile()) {
           // Process file
-          // webPath may already include baseUrl when recursing; avoid duplicate prefixes
-          let filePath;
-          if (webPath.startsWith(this.baseUrl)) {
-            filePath = webPath; // already includes /pub_ab prefix
-          } else if (webPath.startsWith('/')) {
-            filePath = webPath; // absolute already
-          } else {
-            filePath = `${this.baseUrl}/${webPath}`;
-          }
+          const filePath = `${this.baseUrl}/${webPath}`;
           const fullPathFile = path.join(dirPath, entry.name);
           const fileSize = this.getFileSize(fullPathFile);
           const fileType = this.getMimeType(fullPathFile);
 
+          this.filesScanned++;
+          if (this.onProgress) {
+            this.onProgress({ filesScanned: this.filesScanned, currentFile: webPath });
+          }
+
           const fileObj = {
             name: entry.name,
             path: filePath,
@@ -185,6 +241,7 @@ class ManifestGenerator {
       });
     } catch (error) {
       console.error(`Error reading directory ${dirPath}:`, error.message);
+      this.reportError(dirPath, error.message);
     }
 
     return items;
@@ -197,17 +254,17 @@ class ManifestGenerator {
     const targetPath = folderPath || this.basePath;
 
     if (!fs.existsSync(targetPath)) {
-      console.error(`Error: Path does not exist: ${targetPath}`);
-      process.exit(1);
+      throw new Error(`Path does not exist: ${targetPath}`);
     }
 
     const stats = fs.statSync(targetPath);
     if (!stats.isDirectory()) {
-      console.error(`Error: Path is not a directory: ${targetPath}`);
-      process.exit(1);
+      throw new Error(`Path is not a directory: ${targetPath}`);
     }
 
-    console.log(`📁 Generating manifest for: ${targetPath}`);
+    if (!this.quiet) {
+      console.log(`📁 Generating manifest for: ${targetPath}`);
+    }
 
     const structure = this.traverseDirectory(targetPath);
     
@@ -241,8 +298,7 @@ class ManifestGenerator {
       }
       return outputPath;
     } catch (error) {
-      console.error(`Error writing manifest to ${outputPath}:`, error.message);
-      process.exit(1);
+      throw new Error(`Error writing manifest to ${outputPath}: ${error.message}`);
     }
   }
 
@@ -324,7 +380,12 @@ if (require.main === module) {
     generator.useFfprobe = false;
   }
 
-  generator.writeManifest(folderPath);
+  try {
+    generator.writeManifest(folderPath);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
 }
 
 module.exports = ManifestGenerator;
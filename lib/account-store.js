@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+
+/**
+ * User accounts for browser logins: scrypt password hashes, scopes and folder grants
+ * Usage: node lib/account-store.js <add|passwd|list|remove> [options]
+ * Example: node lib/account-store.js add --username alice --folders pub_ab
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { parseBytes } = require('./usage-store');
+const logger = require('./logger');
+
+const DEFAULT_STORE_FILE = path.join(process.cwd(), 'data', 'accounts.json');
+
+// scrypt cost parameters (N, r, p), stored with each hash so they can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+/**
+ * Promise wrapper around crypto.scrypt
+ */
+function scrypt(password, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, KEY_LENGTH, { ...params, maxmem: 64 * 1024 * 1024 }, (error, key) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve(key);
+    });
+  });
+}
+
+class AccountStore {
+  /**
+   * @param {string} filePath - JSON file holding the account records
+   */
+  constructor(filePath = DEFAULT_STORE_FILE) {
+    this.filePath = filePath;
+    this.accounts = [];
+    this.loadedMtime = null;
+    this.load();
+  }
+
+  /**
+   * Hash a password as "scrypt$N$r$p$salt$hash"
+   */
+  static async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, SCRYPT_PARAMS);
+    const { N, r, p } = SCRYPT_PARAMS;
+    return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+  }
+
+  /**
+   * Check a password against a stored hash in constant time
+   */
+  static async verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const key = await scrypt(password, Buffer.from(salt, 'base64'), { N: Number(N), r: Number(r), p: Number(p) });
+    return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+  }
+
+  /**
+   * Load accounts from disk (no file means no accounts)
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      this.accounts = [];
+      this.loadedMtime = null;
+      return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    this.accounts = Array.isArray(data.accounts) ? data.accounts : [];
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  /**
+   * Reload the store when the file has been edited since the last load
+   */
+  refresh() {
+    let mtime = null;
+    try {
+      mtime = fs.statSync(this.filePath).mtimeMs;
+    } catch {
+      mtime = null;
+    }
+
+    if (mtime !== this.loadedMtime) {
+      try {
+        this.load();
+      } catch (error) {
+        logger.error('Could not reload account store', { file: this.filePath, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Write the current account records to disk
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ accounts: this.accounts }, null, 2), { encoding: 'utf-8', mode: 0o600 });
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  /**
+   * Find an account by username
+   */
+  get(username) {
+    this.refresh();
+    return this.accounts.find(account => account.username === username) || null;
+  }
+
+  /**
+   * Check a username and password
+   * Unknown users still cost one scrypt run, so timing does not reveal which usernames exist
+   * @returns {Promise<object|null>} the account record
+   */
+  async authenticate(username, password) {
+    const account = typeof username === 'string' ? this.get(username) : null;
+
+    if (!account || account.disabled) {
+      await AccountStore.verifyPassword(password, DUMMY_HASH);
+      return null;
+    }
+
+    return (await AccountStore.verifyPassword(password, account.passwordHash)) ? account : null;
+  }
+
+  /**
+   * Create an account
+   */
+  async add({ username, password, folders = [], scopes = ['read'], dailyQuota }) {
+    if (!USERNAME_PATTERN.test(username || '')) {
+      throw new Error('Username may only contain letters, digits, ".", "_" and "-"');
+    }
+    if (!password || password.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+    if (this.get(username)) {
+      throw new Error(`Account already exists: ${username}`);
+    }
+
+    const record = {
+      username,
+      passwordHash: await AccountStore.hashPassword(password),
+      folders,
+      scopes,
+      created: new Date().toISOString()
+    };
+    if (typeof dailyQuota === 'number') {
+      record.dailyQuota = dailyQuota;
+    }
+
+    this.accounts.push(record);
+    this.save();
+    return record;
+  }
+
+  /**
+   * Replace an account's password
+   */
+  async setPassword(username, password) {
+    const account = this.get(username);
+    if (!account) {
+      return false;
+    }
+    if (!password || password.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+
+    account.passwordHash = await AccountStore.hashPassword(password);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Delete an account
+   */
+  remove(username) {
+    const before = this.accounts.length;
+    this.accounts = this.accounts.filter(account => account.username !== username);
+    if (this.accounts.length === before) {
+      return false;
+    }
+    this.save();
+    return true;
+  }
+}
+
+// Fixed hash compared against for unknown usernames
+const DUMMY_HASH = `scrypt$${SCRYPT_PARAMS.N}$${SCRYPT_PARAMS.r}$${SCRYPT_PARAMS.p}$` +
+  `${Buffer.alloc(16).toString('base64')}$${Buffer.alloc(KEY_LENGTH).toString('base64')}`;
+
+/**
+ * Ask for a password on the terminal without echoing it
+ */
+function askPassword(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) {
+        rl.output.write(text);
+      }
+    };
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+// CLI Usage
+if (require.main === module) {
+  const [command, ...rest] = process.argv.slice(2);
+  const option = (name) => {
+    const index = rest.indexOf(`--${name}`);
+    return index !== -1 ? rest[index + 1] : undefined;
+  };
+  const list = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined);
+  const parseQuota = (value) => {
+    const bytes = parseBytes(value);
+    if (bytes === null) {
+      console.error(`❌ Invalid quota: ${value} (use bytes or a size like 500M, 5G)`);
+      process.exit(1);
+    }
+    return bytes;
+  };
+
+  const store = new AccountStore(process.env.ACCOUNT_STORE_FILE || DEFAULT_STORE_FILE);
+
+  // ACCOUNT_PASSWORD allows scripted setup; otherwise prompt twice
+  const readPassword = async () => {
+    if (process.env.ACCOUNT_PASSWORD) {
+      return process.env.ACCOUNT_PASSWORD;
+    }
+    const password = await askPassword('Password: ');
+    if (password !== await askPassword('Repeat password: ')) {
+      throw new Error('Passwords do not match');
+    }
+    return password;
+  };
+
+  const run = async () => {
+    if (command === 'add') {
+      const record = await store.add({
+        username: option('username'),
+        password: await readPassword(),
+        folders: list(option('folders')) || [],
+        scopes: list(option('scopes')) || ['read'],
+        dailyQuota: option('quota') !== undefined ? parseQuota(option('quota')) : undefined
+      });
+      console.log(`✅ Account created: ${record.username}`);
+      console.log(`   Folders: ${record.folders.join(', ') || '(none)'}`);
+      console.log(`   Scopes: ${record.scopes.join(', ')}`);
+      if (record.dailyQuota !== undefined) {
+        console.log(`   Daily download quota: ${record.dailyQuota ? record.dailyQuota + ' bytes' : 'unlimited'}`);
+      }
+    } else if (command === 'passwd' && rest[0]) {
+      const changed = await store.setPassword(rest[0], await readPassword());
+      console.log(changed ? `✅ Password changed: ${rest[0]}` : `Account not found: ${rest[0]}`);
+    } else if (command === 'list') {
+      store.accounts.forEach(account => {
+        console.log(`${account.username}  [${account.scopes.join(',')}]  ${account.folders.join(',')}  ${account.disabled ? 'disabled' : 'active'}`);
+      });
+    } else if (command === 'remove' && rest[0]) {
+      console.log(store.remove(rest[0]) ? `✅ Account removed: ${rest[0]}` : `Account not found: ${rest[0]}`);
+    } else {
+      console.log('Usage:');
+      console.log('  node lib/account-store.js add --username alice --folders pub_ab [--scopes read] [--quota 5G]');
+      console.log('  node lib/account-store.js passwd <username>');
+      console.log('  node lib/account-store.js list');
+      console.log('  node lib/account-store.js remove <username>');
+      process.exit(command ? 1 : 0);
+    }
+  };
+
+  run().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = AccountStore;
@@ -0,0 +1,293 @@
+/**
+ * Append-only security audit log
+ * One JSON line per event (rejected keys, forbidden folders, missing manifests, lockouts, ...)
+ * in data/audit.log; entries are never rewritten, only appended and queried.
+ * The file is rotated by size like the server log (audit.log.1, .2, ...), and failures anyone
+ * can cause without credentials are throttled per IP, so a flood of 401s cannot fill the disk
+ * or push older events out of the kept files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const logger = require('./logger');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Event types anyone can trigger without credentials
+const THROTTLED_TYPES = ['unauthorized', 'login_failed', 'origin_denied'];
+const THROTTLE_WINDOW_MS = 60 * 1000;
+const MAX_THROTTLE_WINDOWS = 10000;
+
+const DEFAULTS = {
+  maxSize: 10 * 1024 * 1024, // bytes before the file is rotated
+  maxFiles: 5, // audit.log plus audit.log.1 ... audit.log.4
+  perIp: 10, // throttled events recorded per IP and type per minute
+  total: 100 // throttled events recorded per type per minute, across all IPs
+};
+
+class AuditLog {
+  /**
+   * @param {string} filePath - Log file (created with mode 600)
+   * @param {object} options - { maxSize, maxFiles, perIp, total } (see DEFAULTS)
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.options = {
+      maxSize: options.maxSize || DEFAULTS.maxSize,
+      maxFiles: Math.max(options.maxFiles || DEFAULTS.maxFiles, 1),
+      perIp: options.perIp || DEFAULTS.perIp,
+      total: options.total || DEFAULTS.total
+    };
+    this.fd = null;
+    this.size = 0;
+    this.windows = new Map(); // "type" or "type\nip" -> { start, count, suppressed }
+  }
+
+  /**
+   * Append an event
+   * Throttled events past their limit are dropped and counted; the next one recorded for the
+   * same IP and type carries that count as `suppressed`
+   * @param {object} event - { type, ip, keyId, folder, userAgent, ... }
+   * @returns {object|null} The entry, or null when it was dropped
+   */
+  record(event) {
+    const suppressed = this.admit(event);
+    if (suppressed === false) {
+      return null;
+    }
+
+    const entry = { time: new Date().toISOString(), ...event };
+    if (suppressed > 0) {
+      entry.suppressed = suppressed;
+    }
+
+    try {
+      this.write(JSON.stringify(entry) + '\n');
+    } catch (error) {
+      logger.error('Could not write audit log', { file: this.filePath, error: error.message });
+    }
+
+    return entry;
+  }
+
+  // === THROTTLING ===
+
+  /**
+   * Count an event against its per-IP and per-type windows
+   * @returns {number|false} false when the event must be dropped, otherwise how many were dropped before it
+   */
+  admit(event) {
+    if (!THROTTLED_TYPES.includes(event.type)) {
+      return 0;
+    }
+
+    const now = Date.now();
+    const ipWindow = this.getWindow(`${event.type}\n${event.ip}`, now);
+    const typeWindow = this.getWindow(event.type, now);
+
+    if (ipWindow.count >= this.options.perIp || typeWindow.count >= this.options.total) {
+      ipWindow.suppressed++;
+      return false;
+    }
+
+    ipWindow.count++;
+    typeWindow.count++;
+    const suppressed = ipWindow.suppressed;
+    ipWindow.suppressed = 0;
+    return suppressed;
+  }
+
+  /**
+   * Current window for a key, started afresh once a minute has passed (keeping the suppressed count)
+   */
+  getWindow(key, now) {
+    let window = this.windows.get(key);
+
+    if (!window || now - window.start >= THROTTLE_WINDOW_MS) {
+      if (!window && this.windows.size >= MAX_THROTTLE_WINDOWS) {
+        this.windows.forEach((old, oldKey) => {
+          if (now - old.start >= THROTTLE_WINDOW_MS) {
+            this.windows.delete(oldKey);
+          }
+        });
+      }
+      window = { start: now, count: 0, suppressed: window ? window.suppressed : 0 };
+      this.windows.set(key, window);
+    }
+
+    return window;
+  }
+
+  // === FILE OUTPUT ===
+
+  /**
+   * Append a line, rotating the file first when it would grow past maxSize
+   */
+  write(line) {
+    if (this.fd === null) {
+      this.open();
+    }
+
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.options.maxSize) {
+      this.rotate();
+    }
+
+    fs.writeSync(this.fd, line);
+    this.size += bytes;
+  }
+
+  open() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.fd = fs.openSync(this.filePath, 'a', 0o600);
+    this.size = fs.fstatSync(this.fd).size;
+  }
+
+  /**
+   * audit.log -> audit.log.1 -> audit.log.2 ..., dropping the oldest
+   */
+  rotate() {
+    fs.closeSync(this.fd);
+    this.fd = null;
+
+    for (let index = this.options.maxFiles - 1; index >= 1; index--) {
+      const from = index === 1 ? this.filePath : `${this.filePath}.${index - 1}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${this.filePath}.${index}`);
+      }
+    }
+    if (this.options.maxFiles === 1) {
+      fs.unlinkSync(this.filePath);
+    }
+
+    this.open();
+  }
+
+  /**
+   * Kept files, oldest first
+   */
+  getFiles() {
+    const files = [];
+    for (let index = this.options.maxFiles - 1; index >= 1; index--) {
+      files.push(`${this.filePath}.${index}`);
+    }
+    files.push(this.filePath);
+    return files.filter(file => fs.existsSync(file));
+  }
+
+  /**
+   * Find events in the current and rotated files, newest first
+   * @param {object} filter - { from: Date, to: Date, type: string[], ip: string, limit: number }
+   * @returns {Promise<{ total: number, events: object[] }>} total counts all matches, events holds the newest `limit`
+   */
+  async query(filter = {}) {
+    const limit = filter.limit || DEFAULT_LIMIT;
+    const events = [];
+    let total = 0;
+
+    for (const file of this.getFiles()) {
+      const lines = readline.createInterface({
+        input: fs.createReadStream(file, { encoding: 'utf-8' }),
+        crlfDelay: Infinity
+      });
+
+      for await (const line of lines) {
+        if (!line) {
+          continue;
+        }
+
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch {
+          continue;
+        }
+
+        if (!matches(event, filter)) {
+          continue;
+        }
+
+        total++;
+        events.push(event);
+        if (events.length > limit) {
+          events.shift();
+        }
+      }
+    }
+
+    return { total, events: events.reverse() };
+  }
+}
+
+/**
+ * Check an event against a query filter
+ */
+function matches(event, filter) {
+  const time = Date.parse(event.time);
+  if (filter.from && time < filter.from.getTime()) {
+    return false;
+  }
+  if (filter.to && time > filter.to.getTime()) {
+    return false;
+  }
+  if (filter.type && filter.type.length > 0 && !filter.type.includes(event.type)) {
+    return false;
+  }
+  if (filter.ip && event.ip !== filter.ip) {
+    return false;
+  }
+  if (filter.keyId && event.keyId !== filter.keyId) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Parse and validate audit query parameters
+ * @returns {{ filter?: object, error?: string }}
+ */
+function parseAuditQuery(params) {
+  const filter = {};
+
+  for (const name of ['from', 'to']) {
+    if (params[name] === undefined || params[name] === '') {
+      continue;
+    }
+    const value = typeof params[name] === 'string' ? new Date(/^\d+$/.test(params[name]) ? Number(params[name]) : params[name]) : null;
+    if (!value || Number.isNaN(value.getTime())) {
+      return { error: `${name} must be an ISO date or a timestamp in milliseconds` };
+    }
+    filter[name] = value;
+  }
+
+  for (const name of ['ip', 'keyId']) {
+    if (params[name] !== undefined) {
+      if (typeof params[name] !== 'string') {
+        return { error: `${name} must be a string` };
+      }
+      filter[name] = params[name].trim();
+    }
+  }
+
+  if (params.type !== undefined) {
+    if (typeof params.type !== 'string') {
+      return { error: 'type must be a comma-separated list' };
+    }
+    filter.type = params.type.split(',').map(type => type.trim()).filter(Boolean);
+  }
+
+  if (params.limit !== undefined && params.limit !== '') {
+    const limit = Number(params.limit);
+    if (typeof params.limit !== 'string' || !Number.isInteger(limit) || limit < 1) {
+      return { error: 'limit must be a positive integer' };
+    }
+    filter.limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  return { filter };
+}
+
+module.exports = AuditLog;
+module.exports.parseAuditQuery = parseAuditQuery;
@@ -0,0 +1,118 @@
+/**
+ * Brute-force protection for authenticated endpoints
+ * Counts 401 responses per IP; after a few failures each further one locks the IP
+ * out for twice as long as the last (30s, 1m, 2m, ... up to 1h) and requests get 429
+ * Failures are only forgotten after a request whose credentials checked out (req.authenticated),
+ * not after public, signed-URL or share link requests that anyone can make
+ */
+
+const logger = require('./logger');
+
+const DEFAULTS = {
+  freeAttempts: 5, // failures allowed before the first lockout
+  baseDelay: 30, // seconds of the first lockout
+  maxDelay: 60 * 60, // longest lockout in seconds
+  forgetAfter: 60 * 60 // seconds without failures after which an IP starts over
+};
+
+class AuthGuard {
+  /**
+   * @param {object} options - { freeAttempts, baseDelay, maxDelay, forgetAfter, onLockout(req, seconds) }
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.clients = new Map(); // ip -> { failures, lastFailure, lockedUntil }
+  }
+
+  /**
+   * Seconds until an IP may try again, or 0 when it is not locked out
+   */
+  getRetryAfter(ip) {
+    const client = this.clients.get(ip);
+    if (!client || client.lockedUntil <= Date.now()) {
+      return 0;
+    }
+    return Math.ceil((client.lockedUntil - Date.now()) / 1000);
+  }
+
+  /**
+   * Record a failed attempt and return the lockout it caused in seconds (0 = none)
+   */
+  recordFailure(ip) {
+    const now = Date.now();
+    let client = this.clients.get(ip);
+
+    if (!client || now - client.lastFailure > this.options.forgetAfter * 1000) {
+      client = { failures: 0, lastFailure: now, lockedUntil: 0 };
+      this.clients.set(ip, client);
+    }
+
+    client.failures++;
+    client.lastFailure = now;
+
+    const excess = client.failures - this.options.freeAttempts;
+    if (excess <= 0) {
+      return 0;
+    }
+
+    const delay = Math.min(this.options.baseDelay * 2 ** (excess - 1), this.options.maxDelay);
+    client.lockedUntil = now + delay * 1000;
+    return delay;
+  }
+
+  /**
+   * Forget an IP's failures after it authenticated successfully
+   */
+  recordSuccess(ip) {
+    this.clients.delete(ip);
+  }
+
+  /**
+   * Drop IPs whose failures are old enough to be forgotten
+   */
+  prune() {
+    const cutoff = Date.now() - this.options.forgetAfter * 1000;
+    this.clients.forEach((client, ip) => {
+      if (client.lastFailure < cutoff && client.lockedUntil <= Date.now()) {
+        this.clients.delete(ip);
+      }
+    });
+  }
+
+  /**
+   * Express middleware: reject locked-out IPs with 429 and learn from the response status
+   */
+  middleware() {
+    return (req, res, next) => {
+      const retryAfter = this.getRetryAfter(req.ip);
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: 'Too Many Requests',
+          message: `Too many failed authentication attempts. Try again in ${retryAfter} seconds.`
+        });
+      }
+
+      res.on('finish', () => {
+        if (res.statusCode === 401) {
+          const delay = this.recordFailure(req.ip);
+          if (delay > 0 && this.options.onLockout) {
+            this.options.onLockout(req, delay);
+          } else if (delay > 0) {
+            (req.log || logger).security('IP locked out after repeated authentication failures', { lockoutSeconds: delay });
+          }
+        } else if (res.statusCode < 400 && req.authenticated) {
+          this.recordSuccess(req.ip);
+        }
+      });
+
+      if (this.clients.size > 1000) {
+        this.prune();
+      }
+
+      next();
+    };
+  }
+}
+
+module.exports = AuthGuard;
@@ -0,0 +1,385 @@
+/**
+ * File management for the admin API: rename, move, soft-delete to trash, restore and purge
+ * Works on public paths ("pub_ab/Series/Book.mp3") in mounts configured with readOnly: false.
+ * Deleted entries go to a .trash folder at the root of their mount, so trashing and restoring
+ * are renames on one filesystem; every change patches the affected manifest.json files
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { normalizePath } = require('./path-resolver');
+const { relocateEntry } = require('./manifest-store');
+const logger = require('./logger');
+
+const TRASH_DIR = '.trash';
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+/**
+ * Error answered with an HTTP status and error name by the routes
+ */
+function fail(status, error, message) {
+  return Object.assign(new Error(message), { status, error });
+}
+
+/**
+ * Check a new file or folder name: one visible path segment that is not a manifest
+ */
+function isValidName(name) {
+  return typeof name === 'string' && normalizePath(name) === name && !name.includes('/') &&
+    !name.startsWith('.') && Buffer.byteLength(name) <= 255 && name !== 'manifest.json';
+}
+
+/**
+ * Convert a public path to the path.sep form ManifestStore uses
+ */
+function toFolderPath(publicPath) {
+  return publicPath.split('/').join(path.sep);
+}
+
+class FileManager {
+  /**
+   * @param {object} options - { library, pathResolver, manifestStore }
+   */
+  constructor({ library, pathResolver, manifestStore }) {
+    this.library = library;
+    this.pathResolver = pathResolver;
+    this.manifestStore = manifestStore;
+  }
+
+  /**
+   * Rename a file or folder in place
+   * @returns {Promise<{ from: string, to: string, type: string, manifestError?: string }>}
+   */
+  async rename(relativePath, name) {
+    const source = this.getEntry(relativePath);
+    const newName = typeof name === 'string' ? name.normalize('NFC') : '';
+    if (!isValidName(newName)) {
+      throw fail(400, 'Bad Request', 'Name must be a single file or folder name');
+    }
+
+    return this.relocate(source, `${path.posix.dirname(source.path)}/${newName}`);
+  }
+
+  /**
+   * Move a file or folder into another folder, possibly in another mount
+   * @returns {Promise<{ from: string, to: string, type: string, manifestError?: string }>}
+   */
+  async move(relativePath, folder) {
+    const source = this.getEntry(relativePath);
+    const target = this.getEntry(folder, { allowRoot: true });
+
+    if (target.type !== 'folder') {
+      throw fail(400, 'Bad Request', 'Destination must be a folder');
+    }
+    if (target.path === source.path || target.path.startsWith(source.path + '/')) {
+      throw fail(400, 'Bad Request', 'A folder cannot be moved into itself');
+    }
+
+    return this.relocate(source, `${target.path}/${path.posix.basename(source.path)}`);
+  }
+
+  /**
+   * Move a file or folder to its mount's trash
+   * @param {string} deletedBy - Key or account id
+   * @returns {Promise<object>} the trash item
+   */
+  async trash(relativePath, deletedBy) {
+    const source = this.getEntry(relativePath);
+    const trashDir = this.getTrashDir(source.mount);
+    const id = crypto.randomUUID();
+
+    await fs.promises.mkdir(path.join(trashDir, id), { recursive: true, mode: 0o700 });
+    await moveOnDisk(source.absolutePath, path.join(trashDir, id, source.name));
+
+    const parent = path.posix.dirname(source.path);
+    const patched = this.patchManifests(() => this.manifestStore.takeEntry(toFolderPath(parent), source.name), [parent]);
+    const item = {
+      id,
+      mount: source.mount.name,
+      path: source.path,
+      name: source.name,
+      type: source.type,
+      size: getTreeSize(path.join(trashDir, id, source.name)),
+      deletedBy,
+      deletedAt: new Date().toISOString(),
+      // Restored as listed, so ffprobe metadata survives the round trip
+      entry: patched.result
+    };
+
+    fs.writeFileSync(path.join(trashDir, `${id}.json`), JSON.stringify(item, null, 2), { encoding: 'utf-8', mode: 0o600 });
+    return withManifestError(item, patched.error);
+  }
+
+  /**
+   * Items in the trash of every mount, newest first
+   */
+  listTrash() {
+    const items = [];
+
+    this.library.mounts.forEach(mount => {
+      const trashDir = this.getTrashDir(mount);
+      let names = [];
+      try {
+        names = fs.readdirSync(trashDir).filter(name => name.endsWith('.json'));
+      } catch {
+        return;
+      }
+
+      names.forEach(name => {
+        try {
+          items.push(JSON.parse(fs.readFileSync(path.join(trashDir, name), 'utf-8')));
+        } catch (error) {
+          logger.warn('Unreadable trash item', { mount: mount.name, file: name, error: error.message });
+        }
+      });
+    });
+
+    return items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  /**
+   * Find a trash item by id
+   */
+  getTrashItem(id) {
+    return (ID_PATTERN.test(id) && this.listTrash().find(item => item.id === id)) || null;
+  }
+
+  /**
+   * Put a trash item back where it was deleted from (its folder is recreated when needed)
+   * @returns {Promise<{ path: string, type: string, manifestError?: string }>}
+   */
+  async restore(item) {
+    const mount = this.getWritableMount(item.path);
+    const targetPath = this.pathResolver.resolve(item.path, { allowMissing: true });
+    if (!targetPath) {
+      throw fail(403, 'Forbidden', 'Access to this folder is not allowed');
+    }
+    if (fs.existsSync(targetPath)) {
+      throw fail(409, 'Conflict', `${item.path} already exists`);
+    }
+
+    const trashDir = this.getTrashDir(mount);
+    await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+    await moveOnDisk(path.join(trashDir, item.id, item.name), targetPath);
+    this.removeTrashFiles(trashDir, item.id);
+
+    const parent = path.posix.dirname(item.path);
+    const patched = this.patchManifests(() => this.manifestStore.putEntry(toFolderPath(parent),
+      item.entry || this.manifestStore.scanEntry(toFolderPath(item.path))), [parent]);
+
+    return withManifestError({ path: item.path, type: item.type }, patched.error);
+  }
+
+  /**
+   * Delete a trash item for good
+   */
+  purge(item) {
+    this.removeTrashFiles(this.getTrashDir(this.getWritableMount(item.path)), item.id);
+  }
+
+  /**
+   * Move an entry to a new public path and carry its manifest entry along
+   */
+  async relocate(source, destination) {
+    this.getWritableMount(destination);
+
+    const targetPath = this.pathResolver.resolve(destination, { allowMissing: true });
+    if (!targetPath) {
+      throw fail(403, 'Forbidden', 'Access to this folder is not allowed');
+    }
+    // A case-only rename on a case-insensitive filesystem finds the source itself
+    if (fs.existsSync(targetPath) && !isSameFile(source.absolutePath, targetPath)) {
+      throw fail(409, 'Conflict', `${destination} already exists`);
+    }
+
+    await moveOnDisk(source.absolutePath, targetPath);
+
+    const fromWebPath = '/' + source.path;
+    const toWebPath = '/' + destination;
+    const folders = [...new Set([path.posix.dirname(source.path), path.posix.dirname(destination)])];
+    const patched = this.patchManifests(() => {
+      const taken = this.manifestStore.takeEntry(toFolderPath(path.posix.dirname(source.path)), source.name);
+      const entry = taken || this.manifestStore.scanEntry(toFolderPath(destination));
+      const node = entry.file || entry.folder;
+
+      node.name = path.posix.basename(destination);
+      relocateEntry(entry.file ? { files: [node] } : node, fromWebPath, toWebPath);
+      this.manifestStore.putEntry(toFolderPath(path.posix.dirname(destination)), entry);
+
+      if (entry.folder) {
+        this.manifestStore.relocateManifests(toFolderPath(destination), fromWebPath);
+      }
+    }, folders);
+    this.manifestStore.invalidate(toFolderPath(source.path));
+
+    return withManifestError({ from: source.path, to: destination, type: source.type }, patched.error);
+  }
+
+  /**
+   * Patch manifests after the files already moved, all or nothing (see ManifestStore#transaction)
+   * When that fails every manifest.json stays as it was and the change is still done on disk,
+   * so the failure is logged and returned for the response instead of thrown
+   * @param {string[]} folders - Public paths of the folders whose listings change
+   * @returns {{ result: *, error: string|null }}
+   */
+  patchManifests(update, folders) {
+    try {
+      return { result: this.manifestStore.transaction(update) || null, error: null };
+    } catch (error) {
+      logger.error('Manifest update after file change failed', { folders, error: error.message });
+      return { result: null, error: `Manifests were not updated; regenerate ${folders.join(' and ')}` };
+    }
+  }
+
+  /**
+   * Resolve an existing, visible file or folder in a writable mount
+   * @param {object} options - { allowRoot: accept the mount folder itself }
+   */
+  getEntry(relativePath, options = {}) {
+    const normalized = typeof relativePath === 'string' ? normalizePath(relativePath.replace(/^\/+/, '')) : null;
+    if (!normalized || normalized.split('/').some(segment => segment.startsWith('.'))) {
+      throw fail(400, 'Bad Request', 'A valid path is required');
+    }
+
+    const mount = this.getWritableMount(normalized);
+    if (!options.allowRoot && normalized === mount.name) {
+      throw fail(400, 'Bad Request', 'Mount folders cannot be changed');
+    }
+    if (path.posix.basename(normalized) === 'manifest.json') {
+      throw fail(400, 'Bad Request', 'Manifests are updated automatically');
+    }
+
+    const absolutePath = this.pathResolver.resolve(normalized);
+    let stats = null;
+    try {
+      stats = absolutePath ? fs.statSync(absolutePath) : null;
+    } catch {
+      stats = null;
+    }
+    if (!stats) {
+      throw fail(404, 'Not Found', `${normalized} not found`);
+    }
+
+    return {
+      mount,
+      path: normalized,
+      name: path.posix.basename(normalized),
+      type: stats.isDirectory() ? 'folder' : 'file',
+      absolutePath
+    };
+  }
+
+  getWritableMount(relativePath) {
+    const mount = this.library.getMount(relativePath);
+    if (!mount) {
+      throw fail(403, 'Forbidden', 'Access to this folder is not allowed');
+    }
+    if (mount.readOnly !== false) {
+      throw fail(403, 'Forbidden', 'Folder is read-only');
+    }
+    return mount;
+  }
+
+  getTrashDir(mount) {
+    return path.join(mount.root, TRASH_DIR);
+  }
+
+  removeTrashFiles(trashDir, id) {
+    fs.rmSync(path.join(trashDir, id), { recursive: true, force: true });
+    fs.rmSync(path.join(trashDir, `${id}.json`), { force: true });
+  }
+
+  /**
+   * Public JSON view of a trash item
+   */
+  static describe(item) {
+    const { entry, ...fields } = item;
+    return fields;
+  }
+}
+
+/**
+ * Add the message of a failed manifest update to a result
+ */
+function withManifestError(result, error) {
+  return error ? { ...result, manifestError: error } : result;
+}
+
+/**
+ * Rename, or copy and delete when source and target are on different filesystems
+ * The copy is made under a hidden name next to the target and renamed into place when complete
+ */
+async function moveOnDisk(sourcePath, targetPath) {
+  try {
+    await fs.promises.rename(sourcePath, targetPath);
+    return;
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+  }
+
+  const stagedPath = path.join(path.dirname(targetPath), `.${path.basename(targetPath)}.${process.pid}.move.tmp`);
+  try {
+    await copyTree(sourcePath, stagedPath);
+    await fs.promises.rename(stagedPath, targetPath);
+  } catch (error) {
+    await fs.promises.rm(stagedPath, { recursive: true, force: true });
+    throw error;
+  }
+  await fs.promises.rm(sourcePath, { recursive: true, force: true });
+}
+
+/**
+ * Copy a file or folder with its modes and timestamps; symlinks are copied as links
+ * (fs.promises.cp would do this, but needs Node 16.7)
+ */
+async function copyTree(sourcePath, targetPath) {
+  const stats = await fs.promises.lstat(sourcePath);
+
+  if (stats.isSymbolicLink()) {
+    await fs.promises.symlink(await fs.promises.readlink(sourcePath), targetPath);
+    return;
+  }
+
+  if (stats.isDirectory()) {
+    await fs.promises.mkdir(targetPath);
+    for (const name of await fs.promises.readdir(sourcePath)) {
+      await copyTree(path.join(sourcePath, name), path.join(targetPath, name));
+    }
+    await fs.promises.chmod(targetPath, stats.mode);
+  } else {
+    await fs.promises.copyFile(sourcePath, targetPath, fs.constants.COPYFILE_EXCL);
+  }
+  await fs.promises.utimes(targetPath, stats.atime, stats.mtime);
+}
+
+/**
+ * Whether two paths name the same file (e.g. differently cased on a case-insensitive disk)
+ */
+function isSameFile(a, b) {
+  try {
+    const statsA = fs.statSync(a);
+    const statsB = fs.statSync(b);
+    return statsA.ino === statsB.ino && statsA.dev === statsB.dev;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Bytes in a file, or in all files under a folder
+ */
+function getTreeSize(entryPath) {
+  const stats = fs.lstatSync(entryPath);
+  if (!stats.isDirectory()) {
+    return stats.size;
+  }
+
+  return fs.readdirSync(entryPath).reduce((total, name) => total + getTreeSize(path.join(entryPath, name)), 0);
+}
+
+module.exports = FileManager;
+module.exports.isValidName = isValidName;
+module.exports.TRASH_DIR = TRASH_DIR;
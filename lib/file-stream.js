@@ -0,0 +1,156 @@
+/**
+ * HTTP file streaming with Range / If-Range support
+ * Used by every route that sends library files to the client
+ */
+
+const fs = require('fs');
+const logger = require('./logger');
+
+/**
+ * Build a validator ETag from file size and modification time
+ */
+function createEtag(stats) {
+  return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Parse a Range header for a file of the given size
+ * Returns { start, end } for a single satisfiable range,
+ * -1 when the range cannot be satisfied,
+ * or null when the header should be ignored (missing, malformed or multi-range)
+ */
+function parseRange(header, size) {
+  if (!header || !header.startsWith('bytes=')) {
+    return null;
+  }
+
+  const spec = header.slice('bytes='.length).trim();
+
+  // Multiple ranges would require multipart/byteranges; serve the whole file instead
+  if (spec.includes(',')) {
+    return null;
+  }
+
+  const match = /^(\d*)-(\d*)$/.exec(spec);
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Suffix range: last N bytes
+    const suffixLength = parseInt(match[2], 10);
+    if (suffixLength === 0) {
+      return -1;
+    }
+    start = Math.max(size - suffixLength, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    return -1;
+  }
+
+  return { start, end };
+}
+
+/**
+ * Check whether an If-Range precondition still matches the current file
+ */
+function ifRangeMatches(header, etag, lastModified) {
+  if (!header) {
+    return true;
+  }
+
+  const value = header.trim();
+
+  // Entity tag form - only strong comparison is allowed for ranges
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    return value === etag;
+  }
+
+  const date = Date.parse(value);
+  return !Number.isNaN(date) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(date / 1000);
+}
+
+/**
+ * The part of a file sendFile serves for a request, after If-Range:
+ * { start, end }, -1 when the range cannot be satisfied, or null for the whole file
+ */
+function getServedRange(req, stats) {
+  return ifRangeMatches(req.headers['if-range'], createEtag(stats), stats.mtime)
+    ? parseRange(req.headers.range, stats.size)
+    : null;
+}
+
+/**
+ * Send a file honoring HEAD, Range and If-Range
+ * @param {object} options - { contentType, stats, downloadName }
+ */
+function sendFile(req, res, filePath, options = {}) {
+  const stats = options.stats || fs.statSync(filePath);
+  const size = stats.size;
+  const etag = createEtag(stats);
+  const lastModified = stats.mtime;
+
+  res.set('Accept-Ranges', 'bytes');
+  res.set('ETag', etag);
+  res.set('Last-Modified', lastModified.toUTCString());
+  res.set('Content-Type', options.contentType || 'application/octet-stream');
+
+  if (options.downloadName) {
+    res.attachment(options.downloadName);
+  }
+
+  let start = 0;
+  let end = size - 1;
+  let status = 200;
+
+  const range = getServedRange(req, stats);
+
+  if (range === -1) {
+    res.set('Content-Range', `bytes */${size}`);
+    return res.status(416).json({
+      error: 'Range Not Satisfiable',
+      message: 'Requested range is outside the file'
+    });
+  }
+
+  if (range) {
+    start = range.start;
+    end = range.end;
+    status = 206;
+    res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+  }
+
+  res.status(status);
+  res.set('Content-Length', String(size === 0 ? 0 : end - start + 1));
+
+  if (req.method === 'HEAD' || size === 0) {
+    return res.end();
+  }
+
+  const stream = fs.createReadStream(filePath, { start, end });
+
+  stream.on('error', (error) => {
+    (req.log || logger).error('Stream failed', { file: filePath, error: error.message });
+    res.destroy(error);
+  });
+
+  // Stop reading from disk as soon as the client goes away
+  res.on('close', () => stream.destroy());
+
+  stream.pipe(res);
+}
+
+module.exports = {
+  createEtag,
+  parseRange,
+  getServedRange,
+  sendFile
+};
@@ -0,0 +1,114 @@
+/**
+ * Watches the library mounts for added, removed or modified files
+ * Bursts of filesystem events (a copy of a whole audiobook) are collected and
+ * reported as one "change" event listing the public folders that changed
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULTS = {
+  debounce: 1000, // ms without events before a change is reported
+  maxWait: 10000 // ms after the first event at which a change is reported regardless
+};
+
+class FolderWatcher extends EventEmitter {
+  /**
+   * @param {object} options - { debounce, maxWait }
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      debounce: options.debounce || DEFAULTS.debounce,
+      maxWait: options.maxWait || DEFAULTS.maxWait
+    };
+    this.watchers = new Map(); // mount name -> fs.FSWatcher
+    this.pending = new Set(); // public folder paths changed since the last report
+    this.timer = null;
+    this.firstEventAt = 0;
+  }
+
+  /**
+   * Watch the given mounts, replacing whatever was watched before
+   * @param {Iterable<{ name: string, root: string }>} mounts
+   */
+  watch(mounts) {
+    this.close();
+
+    for (const mount of mounts) {
+      try {
+        const watcher = fs.watch(mount.root, { recursive: true, persistent: false }, (eventType, filename) => {
+          this.record(mount.name, filename);
+        });
+        watcher.on('error', (error) => {
+          logger.warn('Stopped watching mount', { mount: mount.name, error: error.message });
+          watcher.close();
+          this.watchers.delete(mount.name);
+        });
+        this.watchers.set(mount.name, watcher);
+      } catch (error) {
+        logger.warn('Could not watch mount', { mount: mount.name, root: mount.root, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Whether changes below a mount are being reported (fs.watch may be unavailable or have stopped)
+   */
+  isWatching(mountName) {
+    return this.watchers.has(mountName);
+  }
+
+  /**
+   * Note the folder of a changed entry and (re)start the debounce timer
+   */
+  record(mountName, filename) {
+    const relative = filename ? String(filename).split(path.sep).join('/') : '';
+
+    // Hidden files (editor swap files, partial uploads) are not part of any listing
+    if (relative.split('/').some(segment => segment.startsWith('.'))) {
+      return;
+    }
+
+    const dir = path.posix.dirname(relative);
+    this.pending.add(dir === '.' || !relative ? mountName : `${mountName}/${dir}`);
+
+    const now = Date.now();
+    if (!this.timer) {
+      this.firstEventAt = now;
+    }
+    clearTimeout(this.timer);
+
+    const wait = Math.min(this.options.debounce, Math.max(this.firstEventAt + this.options.maxWait - now, 0));
+    this.timer = setTimeout(() => this.flush(), wait);
+    this.timer.unref();
+  }
+
+  /**
+   * Report the collected folders as one "change" event
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.pending.size === 0) {
+      return;
+    }
+
+    const folders = [...this.pending].sort();
+    this.pending.clear();
+    this.emit('change', folders);
+  }
+
+  /**
+   * Stop watching all mounts
+   */
+  close() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+  }
+}
+
+module.exports = FolderWatcher;
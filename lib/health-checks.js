@@ -0,0 +1,158 @@
+/**
+ * Readiness checks for GET /api/health/ready
+ * Every mount must be a readable directory, every manifest.json must parse and match
+ * the manifest schema, ffprobe must run when metadata extraction is enabled, and the
+ * data directory (and writable mounts) need free disk space
+ * Results never contain absolute paths, only public folder names
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { validateManifest } = require('./manifest-store');
+
+const MAX_DIRECTORIES = 5000; // per mount, so a huge library cannot stall the probe
+const FFPROBE_TIMEOUT = 3000; // ms
+
+/**
+ * Mount root exists, is a directory and can be listed
+ */
+async function checkMount(mount) {
+  try {
+    const stats = await fs.promises.stat(mount.root);
+    if (!stats.isDirectory()) {
+      return { name: mount.name, ok: false, error: 'Not a directory' };
+    }
+    await fs.promises.access(mount.root, fs.constants.R_OK | fs.constants.X_OK);
+    return { name: mount.name, ok: true };
+  } catch (error) {
+    return { name: mount.name, ok: false, error: error.code || error.message };
+  }
+}
+
+/**
+ * Public folder paths (with path.sep) under a mount that contain a manifest.json
+ */
+async function findManifestFolders(mount) {
+  const folders = [];
+  const pending = [[mount.root, mount.name]];
+  let visited = 0;
+
+  while (pending.length > 0 && visited < MAX_DIRECTORIES) {
+    const [dir, folder] = pending.shift();
+    visited++;
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+
+    entries.forEach(entry => {
+      if (entry.isFile() && entry.name === 'manifest.json') {
+        folders.push(folder);
+      } else if (entry.isDirectory() && !entry.name.startsWith('.')) {
+        pending.push([path.join(dir, entry.name), path.join(folder, entry.name)]);
+      }
+    });
+  }
+
+  return { folders, truncated: pending.length > 0 };
+}
+
+/**
+ * Parse and validate every manifest.json under the mounts (through the store's cache)
+ */
+async function checkManifests(mounts, manifestStore) {
+  const invalid = [];
+  let checked = 0;
+  let truncated = false;
+
+  for (const mount of mounts) {
+    const found = await findManifestFolders(mount);
+    truncated = truncated || found.truncated;
+
+    found.folders.forEach(folder => {
+      checked++;
+      const file = folder.split(path.sep).join('/') + '/manifest.json';
+
+      let manifest;
+      try {
+        manifest = manifestStore.readManifest(folder);
+      } catch (error) {
+        invalid.push({ file, errors: [`Invalid JSON: ${error.message}`] });
+        return;
+      }
+
+      const errors = validateManifest(manifest);
+      if (errors.length > 0) {
+        invalid.push({ file, errors });
+      }
+    });
+  }
+
+  return { ok: invalid.length === 0, checked, truncated, invalid };
+}
+
+/**
+ * Whether ffprobe runs; only a failure when manifests are generated with it
+ */
+function checkFfprobe(required) {
+  return new Promise(resolve => {
+    execFile('ffprobe', ['-version'], { timeout: FFPROBE_TIMEOUT }, (error, stdout) => {
+      const available = !error;
+      const version = available ? (String(stdout).match(/ffprobe version (\S+)/) || [])[1] || null : null;
+      resolve({ ok: available || !required, required, available, version });
+    });
+  });
+}
+
+/**
+ * Free space on the filesystem holding a directory (or its nearest existing parent)
+ */
+async function checkDiskSpace(name, dir, minFreeBytes) {
+  if (typeof fs.promises.statfs !== 'function') {
+    return { name, ok: true, freeBytes: null, error: 'Not supported by this Node.js version' };
+  }
+
+  let target = path.resolve(dir);
+  while (!fs.existsSync(target) && path.dirname(target) !== target) {
+    target = path.dirname(target);
+  }
+
+  try {
+    const stats = await fs.promises.statfs(target);
+    const freeBytes = stats.bavail * stats.bsize;
+    return { name, ok: freeBytes >= minFreeBytes, freeBytes, minFreeBytes };
+  } catch (error) {
+    return { name, ok: false, freeBytes: null, error: error.code || error.message };
+  }
+}
+
+/**
+ * Run all checks
+ * @param {object} options - { mounts, manifestStore, dataDir, ffprobe (required), minFreeBytes }
+ * @returns {Promise<{ ready: boolean, checks: object }>}
+ */
+async function checkReadiness({ mounts, manifestStore, dataDir, ffprobe, minFreeBytes }) {
+  const mountResults = await Promise.all(mounts.map(checkMount));
+  const readable = mounts.filter((mount, index) => mountResults[index].ok);
+
+  const [manifests, ffprobeResult, ...disk] = await Promise.all([
+    checkManifests(readable, manifestStore),
+    checkFfprobe(ffprobe),
+    checkDiskSpace('data', dataDir, minFreeBytes),
+    // Writable mounts receive uploads, read-only ones only need to be readable
+    ...readable.filter(mount => mount.readOnly === false)
+      .map(mount => checkDiskSpace(mount.name, mount.root, minFreeBytes))
+  ]);
+
+  const checks = { mounts: mountResults, manifests, ffprobe: ffprobeResult, disk };
+  const ready = mountResults.every(result => result.ok) && manifests.ok && ffprobeResult.ok &&
+    disk.every(result => result.ok);
+
+  return { ready, checks };
+}
+
+module.exports = checkReadiness;
@@ -0,0 +1,139 @@
+/**
+ * Conditional, compressed JSON responses
+ * Serializes a payload once, then serves ETag / Last-Modified validated
+ * 304 responses and cached gzip or brotli bodies
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// Bodies smaller than this are not worth compressing
+const MIN_COMPRESS_BYTES = 1024;
+
+const ENCODERS = {
+  br: (body) => zlib.brotliCompressSync(body, {
+    params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 }
+  }),
+  gzip: (body) => zlib.gzipSync(body, { level: 6 })
+};
+
+// payload object -> { body, hash, encoded: { br, gzip } }
+const representations = new WeakMap();
+
+/**
+ * Serialize a payload once and remember the result for as long as the object lives
+ */
+function getRepresentation(payload) {
+  let representation = representations.get(payload);
+
+  if (!representation) {
+    const body = Buffer.from(JSON.stringify(payload), 'utf-8');
+    representation = {
+      body,
+      hash: crypto.createHash('sha1').update(body).digest('base64url'),
+      encoded: {}
+    };
+    representations.set(payload, representation);
+  }
+
+  return representation;
+}
+
+/**
+ * Pick the best supported content coding from an Accept-Encoding header
+ */
+function negotiateEncoding(header) {
+  if (!header) {
+    return null;
+  }
+
+  const accepted = {};
+  header.split(',').forEach(part => {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    accepted[name] = q ? parseFloat(q.slice(2)) : 1;
+  });
+
+  const candidates = Object.keys(ENCODERS).filter(name => {
+    const q = accepted[name] !== undefined ? accepted[name] : accepted['*'];
+    return q > 0;
+  });
+
+  return candidates.length > 0 ? candidates[0] : null;
+}
+
+/**
+ * Check If-None-Match against the representation hash (any encoding variant matches)
+ */
+function noneMatch(header, hash) {
+  if (header.trim() === '*') {
+    return true;
+  }
+
+  return header.split(',').some(tag => {
+    const value = tag.trim().replace(/^W\//, '').replace(/^"|"$/g, '');
+    return value === hash || value.startsWith(hash + '-');
+  });
+}
+
+/**
+ * Send a JSON payload with validators, conditional request handling and compression
+ * @param {object} options - { lastModified: Date, cacheControl: string }
+ * @returns {number} HTTP status that was sent
+ */
+function sendCachedJson(req, res, payload, options = {}) {
+  const representation = getRepresentation(payload);
+  const encoding = representation.body.length >= MIN_COMPRESS_BYTES
+    ? negotiateEncoding(req.headers['accept-encoding'])
+    : null;
+  const etag = `"${representation.hash}${encoding ? '-' + encoding : ''}"`;
+
+  res.set('ETag', etag);
+  res.vary('Accept-Encoding');
+  if (options.cacheControl) {
+    res.set('Cache-Control', options.cacheControl);
+  }
+  if (options.lastModified) {
+    res.set('Last-Modified', options.lastModified.toUTCString());
+  }
+
+  // If-None-Match takes precedence; If-Modified-Since is only used without it
+  const ifNoneMatch = req.headers['if-none-match'];
+  const ifModifiedSince = req.headers['if-modified-since'];
+  const notModified = ifNoneMatch
+    ? noneMatch(ifNoneMatch, representation.hash)
+    : Boolean(ifModifiedSince && options.lastModified &&
+      Math.floor(options.lastModified.getTime() / 1000) <= Math.floor(Date.parse(ifModifiedSince) / 1000));
+
+  if (notModified) {
+    res.status(304).end();
+    return 304;
+  }
+
+  let body = representation.body;
+  if (encoding) {
+    if (!representation.encoded[encoding]) {
+      representation.encoded[encoding] = ENCODERS[encoding](representation.body);
+    }
+    body = representation.encoded[encoding];
+    res.set('Content-Encoding', encoding);
+  }
+
+  res.status(200);
+  res.set('Content-Type', 'application/json; charset=utf-8');
+  res.set('Content-Length', String(body.length));
+
+  if (req.method === 'HEAD') {
+    res.end();
+  } else {
+    res.end(body);
+  }
+
+  return 200;
+}
+
+module.exports = {
+  getRepresentation,
+  negotiateEncoding,
+  sendCachedJson
+};
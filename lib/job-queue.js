@@ -0,0 +1,179 @@
+/**
+ * In-memory queue for long-running admin jobs (e.g. manifest regeneration)
+ * Jobs run one at a time in order of creation; finished jobs are kept for
+ * a while so their outcome can still be read from GET /api/jobs/:id
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const DEFAULTS = {
+  concurrency: 1,
+  keepFinished: 100 // finished jobs remembered before the oldest are dropped
+};
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+class JobQueue {
+  /**
+   * @param {object} options - { concurrency, keepFinished }
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.jobs = new Map(); // id -> job (insertion order = creation order)
+    this.queue = []; // queued jobs
+    this.running = new Map(); // id -> { cancel }
+  }
+
+  /**
+   * Queue a job
+   * @param {string} type - e.g. "manifest"
+   * @param {object} params - Public description of the job, returned by describe()
+   * @param {function(object): { done: Promise<object>, cancel: function }} start - Runs the job;
+   *   may update job.progress and push to job.errors while running
+   * @param {string|null} createdBy - Key or account id that asked for it
+   */
+  add(type, params, start, createdBy = null) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      params,
+      status: 'queued',
+      progress: {},
+      errors: [],
+      result: null,
+      error: null,
+      createdBy,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      start
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.prune();
+    this.next();
+
+    return job;
+  }
+
+  /**
+   * Find a job by id
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Queued or running job of a type whose params match, so the same work is not queued twice
+   */
+  findActive(type, matches) {
+    for (const job of this.jobs.values()) {
+      if (job.type === type && !FINISHED.includes(job.status) && matches(job.params)) {
+        return job;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * All jobs, newest first
+   */
+  list() {
+    return [...this.jobs.values()].reverse();
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @returns {boolean} false when the job had already finished
+   */
+  cancel(job) {
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queued => queued !== job);
+      this.finish(job, 'cancelled');
+      return true;
+    }
+
+    if (job.status === 'running') {
+      job.status = 'cancelling';
+      this.running.get(job.id).cancel();
+      return true;
+    }
+
+    return job.status === 'cancelling';
+  }
+
+  /**
+   * Start queued jobs while there is capacity
+   */
+  next() {
+    while (this.running.size < this.options.concurrency && this.queue.length > 0) {
+      this.run(this.queue.shift());
+    }
+  }
+
+  run(job) {
+    job.status = 'running';
+    job.startedAt = new Date();
+
+    let handle;
+    try {
+      handle = job.start(job);
+    } catch (error) {
+      this.finish(job, 'failed', null, error);
+      return;
+    }
+
+    this.running.set(job.id, handle);
+    logger.info('Job started', { jobId: job.id, type: job.type, ...job.params });
+
+    handle.done
+      .then(result => this.finish(job, job.status === 'cancelling' ? 'cancelled' : 'completed', result))
+      .catch(error => this.finish(job, job.status === 'cancelling' ? 'cancelled' : 'failed', null, error))
+      .finally(() => {
+        this.running.delete(job.id);
+        this.next();
+      });
+  }
+
+  finish(job, status, result = null, error = null) {
+    job.status = status;
+    job.result = result;
+    job.error = status === 'failed' && error ? error.message : null;
+    job.finishedAt = new Date();
+
+    logger[status === 'failed' ? 'warn' : 'info']('Job finished', { jobId: job.id, type: job.type, status, error: job.error });
+  }
+
+  /**
+   * Forget the oldest finished jobs beyond keepFinished
+   */
+  prune() {
+    const finished = [...this.jobs.values()].filter(job => FINISHED.includes(job.status));
+    finished.slice(0, Math.max(finished.length - this.options.keepFinished, 0))
+      .forEach(job => this.jobs.delete(job.id));
+  }
+
+  /**
+   * Public JSON view of a job
+   */
+  static describe(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      params: job.params,
+      progress: job.progress,
+      errors: job.errors,
+      result: job.result,
+      error: job.error,
+      createdBy: job.createdBy,
+      createdAt: job.createdAt.toISOString(),
+      startedAt: job.startedAt && job.startedAt.toISOString(),
+      finishedAt: job.finishedAt && job.finishedAt.toISOString()
+    };
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+
+/**
+ * API key store with hashed keys, labels, expiry, scopes and per-key folder grants
+ * Usage: node lib/key-store.js <add|list|revoke> [options]
+ * Example: node lib/key-store.js add --label family --folders pub_ab
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseBytes } = require('./usage-store');
+const logger = require('./logger');
+
+const DEFAULT_STORE_FILE = path.join(process.cwd(), 'data', 'api-keys.json');
+
+class KeyStore {
+  /**
+   * @param {string} filePath - JSON file holding the key records
+   * @param {object} options - { fallbackKey, fallbackFolders } used when the file does not exist
+   */
+  constructor(filePath = DEFAULT_STORE_FILE, options = {}) {
+    this.filePath = filePath;
+    this.fallbackKey = options.fallbackKey || null;
+    this.fallbackFolders = options.fallbackFolders || ['*'];
+    this.keys = [];
+    this.loadedMtime = null;
+    this.load();
+  }
+
+  /**
+   * Hash a raw API key for storage and comparison
+   */
+  static hashKey(rawKey) {
+    return crypto.createHash('sha256').update(String(rawKey)).digest('hex');
+  }
+
+  /**
+   * Check whether a key record grants access to a folder or file path
+   */
+  static canAccess(record, targetPath) {
+    if (!record || !Array.isArray(record.folders)) {
+      return false;
+    }
+
+    const normalized = targetPath.split(path.sep).join('/');
+    return record.folders.some(grant =>
+      grant === '*' || normalized === grant || normalized.startsWith(grant + '/')
+    );
+  }
+
+  /**
+   * Check whether a key record carries a scope ("read", "write", "admin")
+   */
+  static hasScope(record, scope) {
+    return Boolean(record && Array.isArray(record.scopes) &&
+      (record.scopes.includes(scope) || record.scopes.includes('admin')));
+  }
+
+  /**
+   * Load keys from disk, or build the single fallback key from API_KEY
+   */
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      this.keys = Array.isArray(data.keys) ? data.keys : [];
+      this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+      return;
+    }
+
+    this.loadedMtime = null;
+    this.keys = this.fallbackKey ? [{
+      id: 'default',
+      label: 'API_KEY environment variable',
+      hash: KeyStore.hashKey(this.fallbackKey),
+      folders: this.fallbackFolders,
+      scopes: ['read', 'write', 'admin'],
+      expires: null
+    }] : [];
+  }
+
+  /**
+   * Reload the store when the file has been edited since the last load
+   */
+  refresh() {
+    let mtime = null;
+    try {
+      mtime = fs.statSync(this.filePath).mtimeMs;
+    } catch {
+      mtime = null;
+    }
+
+    if (mtime !== this.loadedMtime) {
+      try {
+        this.load();
+      } catch (error) {
+        logger.error('Could not reload key store', { file: this.filePath, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Write the current key records to disk
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ keys: this.keys }, null, 2), { encoding: 'utf-8', mode: 0o600 });
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  /**
+   * Check whether a record is past its expiry date
+   */
+  isExpired(record) {
+    return Boolean(record.expires && Date.parse(record.expires) <= Date.now());
+  }
+
+  /**
+   * Find the active record for a raw API key
+   * @returns {object|null}
+   */
+  verify(rawKey) {
+    if (!rawKey || typeof rawKey !== 'string') {
+      return null;
+    }
+
+    this.refresh();
+    const hash = Buffer.from(KeyStore.hashKey(rawKey), 'hex');
+
+    // Compare against every stored hash in constant time, without stopping at the first match
+    let record = null;
+    this.keys.forEach(key => {
+      const stored = Buffer.from(String(key.hash), 'hex');
+      if (stored.length === hash.length && crypto.timingSafeEqual(stored, hash) && !record) {
+        record = key;
+      }
+    });
+
+    return record && !this.isExpired(record) ? record : null;
+  }
+
+  /**
+   * Find an active record by id (used to validate signed URLs)
+   */
+  get(id) {
+    this.refresh();
+    const record = this.keys.find(key => key.id === id);
+    return record && !this.isExpired(record) ? record : null;
+  }
+
+  /**
+   * Create a new key and return the raw value once
+   * @returns {{ key: string, record: object }}
+   */
+  add({ label, folders = [], scopes = ['read'], expires = null, dailyQuota }) {
+    const key = crypto.randomBytes(32).toString('hex');
+    const record = {
+      id: crypto.randomBytes(6).toString('hex'),
+      label: label || 'unnamed',
+      hash: KeyStore.hashKey(key),
+      folders,
+      scopes,
+      created: new Date().toISOString(),
+      expires
+    };
+    if (typeof dailyQuota === 'number') {
+      record.dailyQuota = dailyQuota;
+    }
+
+    this.keys.push(record);
+    this.save();
+    return { key, record };
+  }
+
+  /**
+   * Remove a key by id
+   */
+  revoke(id) {
+    const before = this.keys.length;
+    this.keys = this.keys.filter(key => key.id !== id);
+    if (this.keys.length === before) {
+      return false;
+    }
+    this.save();
+    return true;
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  const [command, ...rest] = process.argv.slice(2);
+  const option = (name) => {
+    const index = rest.indexOf(`--${name}`);
+    return index !== -1 ? rest[index + 1] : undefined;
+  };
+  const list = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined);
+  const parseQuota = (value) => {
+    const bytes = parseBytes(value);
+    if (bytes === null) {
+      console.error(`❌ Invalid quota: ${value} (use bytes or a size like 500M, 5G)`);
+      process.exit(1);
+    }
+    return bytes;
+  };
+
+  const store = new KeyStore(process.env.KEY_STORE_FILE || DEFAULT_STORE_FILE);
+
+  if (command === 'add') {
+    const { key, record } = store.add({
+      label: option('label'),
+      folders: list(option('folders')) || [],
+      scopes: list(option('scopes')) || ['read'],
+      expires: option('expires') ? new Date(option('expires')).toISOString() : null,
+      dailyQuota: option('quota') !== undefined ? parseQuota(option('quota')) : undefined
+    });
+    console.log(`✅ Key created: ${record.id} (${record.label})`);
+    console.log(`   Folders: ${record.folders.join(', ') || '(none)'}`);
+    console.log(`   Scopes: ${record.scopes.join(', ')}`);
+    console.log(`   Expires: ${record.expires || 'never'}`);
+    if (record.dailyQuota !== undefined) {
+      console.log(`   Daily download quota: ${record.dailyQuota ? record.dailyQuota + ' bytes' : 'unlimited'}`);
+    }
+    console.log(`\n   API key (shown once): ${key}\n`);
+  } else if (command === 'list') {
+    store.keys.forEach(record => {
+      const status = store.isExpired(record) ? 'expired' : 'active';
+      console.log(`${record.id}  ${record.label}  [${record.scopes.join(',')}]  ${record.folders.join(',')}  ${record.expires || 'never'}  ${status}`);
+    });
+  } else if (command === 'revoke' && rest[0]) {
+    console.log(store.revoke(rest[0]) ? `✅ Key revoked: ${rest[0]}` : `Key not found: ${rest[0]}`);
+  } else {
+    console.log('Usage:');
+    console.log('  node lib/key-store.js add --label family --folders pub_ab [--scopes read] [--expires 2027-01-01] [--quota 5G]');
+    console.log('  node lib/key-store.js list');
+    console.log('  node lib/key-store.js revoke <id>');
+    process.exit(command ? 1 : 0);
+  }
+}
+
+module.exports = KeyStore;
@@ -0,0 +1,124 @@
+/**
+ * Library configuration: public mount names mapped to real directories
+ * Shared by server.js and api.php (library.config.json) and reloaded on change
+ * Paths inside a mount are mapped to disk only by PathResolver (lib/path-resolver.js), which checks realpaths
+ *
+ * {
+ *   "mounts": {
+ *     "pub_ab": { "path": "/mnt/media/audiobooks", "requiresAuth": true, "readOnly": true }
+ *   }
+ * }
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_MOUNT_OPTIONS = {
+  requiresAuth: true,
+  readOnly: true
+};
+
+// Mount names are single URL segments
+const MOUNT_NAME_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._ -]*$/;
+
+class LibraryConfig extends EventEmitter {
+  /**
+   * @param {string} filePath - Path to library.config.json
+   * @param {object} defaults - Config used when the file does not exist
+   */
+  constructor(filePath, defaults = { mounts: {} }) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.defaults = defaults;
+    this.mounts = new Map();
+    this.load();
+  }
+
+  /**
+   * Parse and validate a config object into mount records
+   */
+  static parse(config, baseDir) {
+    if (!config || typeof config.mounts !== 'object' || Array.isArray(config.mounts)) {
+      throw new Error('"mounts" must be an object of name -> { path, ... }');
+    }
+
+    const mounts = new Map();
+
+    Object.entries(config.mounts).forEach(([name, options]) => {
+      if (!MOUNT_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid mount name: ${name}`);
+      }
+
+      const mountOptions = typeof options === 'string' ? { path: options } : options;
+      if (!mountOptions || typeof mountOptions.path !== 'string' || !mountOptions.path) {
+        throw new Error(`Mount "${name}" needs a "path"`);
+      }
+
+      mounts.set(name, {
+        ...DEFAULT_MOUNT_OPTIONS,
+        ...mountOptions,
+        name,
+        root: path.resolve(baseDir, mountOptions.path)
+      });
+    });
+
+    return mounts;
+  }
+
+  /**
+   * Load the config file (or defaults); on error the previous mounts stay active
+   * @returns {boolean} whether the load succeeded
+   */
+  load() {
+    try {
+      const exists = fs.existsSync(this.filePath);
+      const config = exists ? JSON.parse(fs.readFileSync(this.filePath, 'utf-8')) : this.defaults;
+      const baseDir = exists ? path.dirname(this.filePath) : process.cwd();
+
+      this.mounts = LibraryConfig.parse(config, baseDir);
+      return true;
+    } catch (error) {
+      logger.error('Invalid library config', { file: this.filePath, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Reload the config whenever the file changes, emitting "change" on success
+   */
+  watch(interval = 2000) {
+    const watcher = fs.watchFile(this.filePath, { interval }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+        return;
+      }
+      if (this.load()) {
+        logger.info('Library config reloaded', { mounts: this.getFolderNames() });
+        this.emit('change', this);
+      }
+    });
+
+    // Do not keep the process alive just for the watcher
+    if (watcher && typeof watcher.unref === 'function') {
+      watcher.unref();
+    }
+  }
+
+  /**
+   * Public folder names (the whitelist)
+   */
+  getFolderNames() {
+    return [...this.mounts.keys()];
+  }
+
+  /**
+   * Find the mount a relative path ("pub_ab/Series/Book.mp3") belongs to
+   */
+  getMount(relativePath) {
+    const name = relativePath.split(/[\\/]/)[0];
+    return this.mounts.get(name) || null;
+  }
+}
+
+module.exports = LibraryConfig;
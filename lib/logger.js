@@ -0,0 +1,165 @@
+/**
+ * Structured logger: JSON lines to stdout and to a size-rotated file in logs/
+ * Entries share the fields api.php's logEvent writes (time, level, ip, message),
+ * so logs/server.log and logs/api.log can be read with the same tools
+ *
+ * Environment: LOG_LEVEL (debug|info|warn|error), LOG_DIR, LOG_MAX_SIZE, LOG_MAX_FILES
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+class Logger {
+  /**
+   * @param {object} options - { level, dir, fileName, maxSize (bytes), maxFiles, console, fields }
+   */
+  constructor(options = {}) {
+    this.level = LEVELS[options.level] ? options.level : 'info';
+    this.console = options.console !== false;
+    this.fields = options.fields || {};
+
+    // Shared with child loggers, so they all append to the same file
+    this.output = {
+      dir: options.dir || null,
+      fileName: options.fileName || 'server.log',
+      maxSize: options.maxSize || 10 * 1024 * 1024,
+      maxFiles: options.maxFiles || 5,
+      fd: null,
+      size: 0
+    };
+  }
+
+  /**
+   * Logger that adds fixed fields (e.g. requestId, ip) to every entry
+   */
+  child(fields) {
+    const child = Object.create(this);
+    child.fields = { ...this.fields, ...fields };
+    return child;
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  /**
+   * Security events (rejected keys, forbidden paths, lockouts) are warnings tagged category "security"
+   */
+  security(message, fields) {
+    this.write('warn', message, { category: 'security', ...fields });
+  }
+
+  /**
+   * Format and emit one entry
+   */
+  write(level, message, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const entry = { time: new Date().toISOString(), level, ...this.fields, message, ...fields };
+    if (entry.error instanceof Error) {
+      entry.error = entry.error.message;
+    }
+
+    const line = JSON.stringify(entry) + '\n';
+
+    if (this.console) {
+      (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+    }
+    if (this.output.dir) {
+      this.writeToFile(line);
+    }
+  }
+
+  // === FILE OUTPUT ===
+
+  /**
+   * Append a line to the log file, rotating it first when it would grow past maxSize
+   * Writes are synchronous so entries stay ordered and survive a crash
+   */
+  writeToFile(line) {
+    const output = this.output;
+
+    try {
+      if (output.fd === null) {
+        this.openFile();
+      }
+
+      const bytes = Buffer.byteLength(line);
+      if (output.size > 0 && output.size + bytes > output.maxSize) {
+        this.rotate();
+      }
+
+      fs.writeSync(output.fd, line);
+      output.size += bytes;
+    } catch (error) {
+      // Logging must never take the server down; fall back to console only
+      output.dir = null;
+      process.stderr.write(`Log file disabled: ${error.message}\n`);
+    }
+  }
+
+  openFile() {
+    const output = this.output;
+    fs.mkdirSync(output.dir, { recursive: true });
+    output.fd = fs.openSync(path.join(output.dir, output.fileName), 'a');
+    output.size = fs.fstatSync(output.fd).size;
+  }
+
+  /**
+   * server.log -> server.log.1 -> server.log.2 ..., dropping the oldest
+   */
+  rotate() {
+    const output = this.output;
+    fs.closeSync(output.fd);
+    output.fd = null;
+
+    const base = path.join(output.dir, output.fileName);
+    for (let index = output.maxFiles - 1; index >= 1; index--) {
+      const from = index === 1 ? base : `${base}.${index - 1}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${base}.${index}`);
+      }
+    }
+
+    this.openFile();
+  }
+}
+
+/**
+ * Logger configured from the environment
+ */
+function createLogger(env = process.env) {
+  const dir = env.LOG_DIR === undefined ? path.join(process.cwd(), 'logs') : env.LOG_DIR;
+
+  return new Logger({
+    level: (env.LOG_LEVEL || 'info').toLowerCase(),
+    dir: dir || null,
+    maxSize: parseInt(env.LOG_MAX_SIZE, 10) || undefined,
+    maxFiles: parseInt(env.LOG_MAX_FILES, 10) || undefined
+  });
+}
+
+module.exports = createLogger();
+module.exports.Logger = Logger;
+module.exports.createLogger = createLogger;
+module.exports.LEVELS = LEVELS;
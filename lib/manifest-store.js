@@ -0,0 +1,674 @@
+/**
+ * Manifest lookup helpers for the Node backend
+ * Locates manifest.json files and the entries they describe, and builds
+ * manifests on demand for folders without one (like api.php's traverseDirectory)
+ * Parsed manifests are cached in memory and reused while the file's mtime is unchanged
+ */
+
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ManifestGenerator = require('../generate-manifest');
+const logger = require('./logger');
+
+const RECHECK_INTERVAL = 5000; // ms a generated manifest of an unwatched tree is reused without a rescan
+
+class ManifestStore {
+  /**
+   * @param {string|function(string): string|null} root - Directory folder paths are relative to,
+   *   or a function mapping a relative folder path to its directory on disk
+   * @param {object} options - { ffprobe } adds audio metadata to generated manifests, probed in the background;
+   *   { isWatched(folderPath) } tells whether a file watcher calls invalidate() for the folder's changes;
+   *   { recheckInterval } ms between rescans of trees nobody watches
+   */
+  constructor(root = process.cwd(), options = {}) {
+    this.resolvePath = typeof root === 'function'
+      ? root
+      : (folderPath) => path.join(root, folderPath);
+    this.ffprobe = options.ffprobe || false;
+    this.isWatched = options.isWatched || (() => false);
+    this.recheckInterval = options.recheckInterval !== undefined ? options.recheckInterval : RECHECK_INTERVAL;
+    this.ffprobeAvailable = null; // Promise<boolean>, checked once
+    this.files = new Map(); // manifest.json path -> { manifest, mtime, mtimeMs, size }
+    this.subtrees = new Map(); // folder -> { source, manifest }
+    this.generated = new Map(); // folder -> { manifest, signature, checkedAt, generatedAt }
+    this.pending = null; // manifest.json path -> manifest, staged while a transaction() runs
+    this.stats = { file: { hits: 0, misses: 0 }, generated: { hits: 0, misses: 0 } }; // cache lookups
+  }
+
+  /**
+   * Load manifest.json for a folder through the mtime-keyed cache
+   * @returns {{ manifest: object, mtime: Date }|null} null when the folder has no manifest
+   */
+  loadManifestFile(folderPath) {
+    const dirPath = this.resolvePath(folderPath);
+    if (!dirPath) {
+      return null;
+    }
+
+    const manifestPath = path.join(dirPath, 'manifest.json');
+
+    let stats;
+    try {
+      stats = fs.statSync(manifestPath);
+    } catch {
+      this.files.delete(manifestPath);
+      return null;
+    }
+
+    if (!stats.isFile()) {
+      return null;
+    }
+
+    const cached = this.files.get(manifestPath);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+      this.stats.file.hits++;
+      return cached;
+    }
+    this.stats.file.misses++;
+
+    const entry = {
+      manifest: JSON.parse(fs.readFileSync(manifestPath, 'utf-8')),
+      mtime: stats.mtime,
+      mtimeMs: stats.mtimeMs,
+      size: stats.size
+    };
+    this.files.set(manifestPath, entry);
+
+    return entry;
+  }
+
+  /**
+   * Read and parse manifest.json for a folder
+   * Returns null when the folder has no manifest
+   */
+  readManifest(folderPath) {
+    const entry = this.loadManifestFile(folderPath);
+    return entry ? entry.manifest : null;
+  }
+
+  /**
+   * Get the manifest for a folder, trying in order:
+   * its own manifest.json, the matching subtree of the nearest ancestor manifest, a generated one
+   * The same object is returned for as long as the underlying data is unchanged
+   * @returns {{ manifest: object, source: string, lastModified: Date }|null} null when the folder does not exist
+   */
+  getManifest(folderPath) {
+    const file = this.loadManifestFile(folderPath);
+    if (file) {
+      return { manifest: file.manifest, source: 'file', lastModified: file.mtime };
+    }
+
+    const subtree = this.getAncestorSubtree(folderPath);
+    if (subtree) {
+      return { manifest: subtree.manifest, source: 'ancestor', lastModified: subtree.lastModified };
+    }
+
+    const generated = this.generateManifest(folderPath);
+    if (!generated) {
+      return null;
+    }
+
+    return {
+      manifest: generated,
+      source: 'generated',
+      lastModified: this.generated.get(folderPath).generatedAt
+    };
+  }
+
+  /**
+   * Extract a folder's subtree from the nearest ancestor manifest.json
+   * @returns {{ manifest: object, lastModified: Date }|null} a standalone manifest with the same schema,
+   *   or null when no ancestor describes the folder
+   */
+  getAncestorSubtree(folderPath) {
+    const segments = folderPath.split(path.sep);
+
+    for (let depth = segments.length - 1; depth > 0; depth--) {
+      const ancestor = segments.slice(0, depth).join(path.sep);
+      const file = this.loadManifestFile(ancestor);
+
+      if (!file) {
+        continue;
+      }
+
+      const cached = this.subtrees.get(folderPath);
+      if (cached && cached.source === file.manifest) {
+        return { manifest: cached.manifest, lastModified: file.mtime };
+      }
+
+      // Nearest manifest wins; if it does not list the folder it is stale and we fall back to generation
+      const node = findFolderNode(file.manifest, segments.slice(depth));
+      if (!node) {
+        return null;
+      }
+
+      const manifest = {
+        name: node.name,
+        description: `File listing for ${node.name}`,
+        generated: file.manifest.generated,
+        files: node.files || [],
+        folders: node.folders || []
+      };
+      this.subtrees.set(folderPath, { source: file.manifest, manifest });
+
+      return { manifest, lastModified: file.mtime };
+    }
+
+    return null;
+  }
+
+  /**
+   * Build a manifest from the directory tree, reusing the cached copy while the tree is unchanged
+   */
+  generateManifest(folderPath) {
+    const dirPath = this.resolvePath(folderPath);
+    if (!dirPath) {
+      return null;
+    }
+
+    let stats;
+    try {
+      stats = fs.statSync(dirPath);
+    } catch {
+      return null;
+    }
+
+    if (!stats.isDirectory()) {
+      return null;
+    }
+
+    const cached = this.generated.get(folderPath);
+    if (cached && this.isCurrent(folderPath, dirPath, cached)) {
+      this.stats.generated.hits++;
+      return cached.manifest;
+    }
+    this.stats.generated.misses++;
+
+    // The listing itself is built without ffprobe; audio metadata is added in the background
+    const generator = new ManifestGenerator(dirPath, {
+      baseUrl: '/' + folderPath.split(path.sep).join('/'),
+      quiet: true
+    });
+    const manifest = generator.generateManifest(dirPath);
+
+    // Name the listing after the public folder, not the directory it is mounted from
+    manifest.name = path.basename(folderPath);
+    manifest.description = `File listing for ${manifest.name}`;
+
+    // Watched trees need no fingerprint: the watcher drops the entry when they change
+    const signature = this.isWatched(folderPath) ? null : this.getTreeSignature(dirPath);
+    const entry = { manifest, signature, checkedAt: Date.now(), generatedAt: new Date() };
+    this.generated.set(folderPath, entry);
+    logger.info('Manifest generated for directory', { folder: folderPath });
+
+    if (this.ffprobe) {
+      this.addAudioMetadata(folderPath, dirPath, entry).catch(error => {
+        logger.warn('Could not add audio metadata to generated manifest', { folder: folderPath, error: error.message });
+      });
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Probe a generated manifest's audio files one at a time without blocking requests, then cache a copy
+   * that includes their metadata (a new object, so it gets a new ETag)
+   */
+  async addAudioMetadata(folderPath, dirPath, entry) {
+    const generator = new ManifestGenerator(dirPath, {
+      quiet: true,
+      onError: (file, message) => logger.warn('ffprobe failed', { file: path.relative(dirPath, file), error: message })
+    });
+
+    if (!this.ffprobeAvailable) {
+      this.ffprobeAvailable = new Promise(resolve => {
+        execFile(generator.ffprobePath, ['-version'], (error) => resolve(!error));
+      });
+    }
+    if (!(await this.ffprobeAvailable)) {
+      return;
+    }
+
+    const probeNode = async (node, nodeDir) => {
+      const files = [];
+      for (const file of node.files || []) {
+        const audio = String(file.type).startsWith('audio/')
+          ? await generator.probeAudioMetadata(path.join(nodeDir, file.name))
+          : null;
+        files.push(audio ? { ...file, audio } : file);
+      }
+
+      const folders = [];
+      for (const folder of node.folders || []) {
+        folders.push(await probeNode(folder, path.join(nodeDir, folder.name)));
+      }
+
+      return { ...node, files, folders };
+    };
+
+    const manifest = await probeNode(entry.manifest, dirPath);
+
+    // Skip the swap when the tree changed (or the cache was cleared) while probing
+    if (this.generated.get(folderPath) === entry) {
+      this.generated.set(folderPath, { ...entry, manifest, generatedAt: new Date() });
+    }
+  }
+
+  /**
+   * Check whether a cached generated manifest still matches its directory tree
+   * Watched trees stay current until invalidate() drops them; the others are rescanned
+   * (a synchronous walk) at most once per recheckInterval
+   */
+  isCurrent(folderPath, dirPath, cached) {
+    // Entries made while the tree was watched carry no fingerprint and expire once watching stops
+    if (cached.signature === null) {
+      return this.isWatched(folderPath);
+    }
+
+    const now = Date.now();
+    if (now - cached.checkedAt < this.recheckInterval) {
+      return true;
+    }
+
+    if (this.getTreeSignature(dirPath) !== cached.signature) {
+      return false;
+    }
+    cached.checkedAt = now;
+    return true;
+  }
+
+  /**
+   * Fingerprint a directory tree from the mtimes of its directories
+   * Adding, removing or renaming an entry updates its parent directory's mtime
+   */
+  getTreeSignature(dirPath) {
+    const hash = crypto.createHash('sha1');
+
+    const walk = (current) => {
+      let entries;
+      try {
+        hash.update(`${current}:${fs.statSync(current).mtimeMs}\n`);
+        entries = fs.readdirSync(current, { withFileTypes: true });
+      } catch {
+        return;
+      }
+
+      entries
+        .filter(entry => entry.isDirectory())
+        .forEach(entry => walk(path.join(current, entry.name)));
+    };
+
+    walk(dirPath);
+    return hash.digest('hex');
+  }
+
+  /**
+   * Drop every cached manifest (e.g. after mounts were remapped)
+   */
+  clear() {
+    this.files.clear();
+    this.subtrees.clear();
+    this.generated.clear();
+  }
+
+  /**
+   * Drop cached generated manifests that list a folder: its own, its subfolders' and its ancestors'
+   */
+  invalidate(folderPath) {
+    for (const key of this.generated.keys()) {
+      if (key === folderPath || key.startsWith(folderPath + path.sep) || folderPath.startsWith(key + path.sep)) {
+        this.generated.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Run several manifest changes as one: every manifest.json they touch is written
+   * (each through a temp file and rename) only after all of them succeeded
+   * @returns {*} what change returned
+   */
+  transaction(change) {
+    if (this.pending) {
+      return change();
+    }
+
+    this.pending = new Map();
+    try {
+      const result = change();
+      this.commit(this.pending);
+      return result;
+    } finally {
+      this.pending = null;
+    }
+  }
+
+  /**
+   * Write staged manifests: all temp files first, so a failed write leaves every manifest.json as it was
+   */
+  commit(staged) {
+    const written = [];
+    try {
+      staged.forEach((manifest, manifestPath) => {
+        const tmpPath = getTmpPath(manifestPath);
+        fs.writeFileSync(tmpPath, JSON.stringify(manifest, null, 2), 'utf-8');
+        written.push([tmpPath, manifestPath]);
+      });
+    } catch (error) {
+      written.forEach(([tmpPath]) => fs.rmSync(tmpPath, { force: true }));
+      throw error;
+    }
+
+    written.forEach(([tmpPath, manifestPath]) => fs.renameSync(tmpPath, manifestPath));
+  }
+
+  /**
+   * Parse a manifest.json for changing it, preferring the copy staged by the open transaction
+   */
+  readForUpdate(manifestPath) {
+    if (this.pending && this.pending.has(manifestPath)) {
+      return this.pending.get(manifestPath);
+    }
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  }
+
+  /**
+   * Write a changed manifest.json atomically, or stage it while a transaction runs
+   */
+  writeManifestFile(manifestPath, manifest) {
+    if (this.pending) {
+      this.pending.set(manifestPath, manifest);
+      return;
+    }
+    this.commit(new Map([[manifestPath, manifest]]));
+  }
+
+  /**
+   * Change the nearest manifest.json at or above a folder and write it atomically
+   * A folder the manifest does not list yet is scanned from disk, so its other entries are not hidden
+   * @param {string} folderPath - e.g. "pub_ab/Series" (path.sep separators)
+   * @param {function(object): boolean|void} change - Edits the folder's node in place; returns false when nothing changed
+   * @returns {string|null} the folder whose manifest.json covers the folder, or null when none does
+   */
+  updateManifest(folderPath, change) {
+    const segments = folderPath.split(path.sep);
+
+    for (let depth = segments.length; depth > 0; depth--) {
+      const manifestFolder = segments.slice(0, depth).join(path.sep);
+      const dirPath = this.resolvePath(manifestFolder);
+      const manifestPath = dirPath && path.join(dirPath, 'manifest.json');
+      if (!manifestPath || !fs.existsSync(manifestPath)) {
+        continue;
+      }
+
+      // Parsed from disk (or staged), not the cache, whose objects are shared with readers
+      const manifest = this.readForUpdate(manifestPath);
+      let node = manifest;
+
+      segments.slice(depth).forEach((name, index) => {
+        node.folders = node.folders || [];
+        let child = node.folders.find(folder => folder.name === name);
+
+        if (!child) {
+          child = this.scanEntry(segments.slice(0, depth + index + 1).join(path.sep)).folder;
+          node.folders.push(child);
+          node.folders.sort(byName);
+        }
+        node = child;
+      });
+
+      if (change(node) === false) {
+        return manifestFolder;
+      }
+      manifest.generated = new Date().toISOString();
+      this.writeManifestFile(manifestPath, manifest);
+
+      this.invalidate(folderPath);
+      logger.info('Manifest updated', { folder: manifestFolder, changed: folderPath });
+      return manifestFolder;
+    }
+
+    return null;
+  }
+
+  /**
+   * Add or replace a file entry in its folder's manifest
+   * @param {object} entry - { name, path, size, type[, audio] }
+   */
+  addFileEntry(folderPath, entry) {
+    return this.putEntry(folderPath, { file: entry });
+  }
+
+  /**
+   * Add or replace a file ({ file }) or subfolder ({ folder }) entry in a folder's manifest
+   */
+  putEntry(folderPath, { file, folder }) {
+    const key = file ? 'files' : 'folders';
+    const entry = file || folder;
+
+    return this.updateManifest(folderPath, node => {
+      node[key] = (node[key] || []).filter(existing => existing.name !== entry.name);
+      node[key].push(entry);
+      node[key].sort(byName);
+    });
+  }
+
+  /**
+   * Remove a file or subfolder entry from a folder's manifest
+   * @returns {{ file: object }|{ folder: object }|null} the removed entry, or null when the manifest did not list it
+   */
+  takeEntry(folderPath, name) {
+    let taken = null;
+
+    this.updateManifest(folderPath, node => {
+      const file = (node.files || []).find(entry => entry.name === name);
+      const folder = !file && (node.folders || []).find(entry => entry.name === name);
+      if (!file && !folder) {
+        return false;
+      }
+
+      taken = file ? { file } : { folder };
+      node.files = (node.files || []).filter(entry => entry !== file);
+      node.folders = (node.folders || []).filter(entry => entry !== folder);
+    });
+
+    return taken;
+  }
+
+  /**
+   * Manifest entry for a file ({ file }) or folder ({ folder }) read from disk
+   * @param {string} entryPath - e.g. "pub_ab/Series/Book.mp3" (path.sep separators)
+   */
+  scanEntry(entryPath) {
+    const absolutePath = this.resolvePath(entryPath);
+    const webPath = '/' + entryPath.split(path.sep).join('/');
+    const name = path.basename(entryPath);
+    const generator = new ManifestGenerator(absolutePath, { baseUrl: webPath, quiet: true });
+
+    if (fs.statSync(absolutePath).isDirectory()) {
+      return { folder: { name, ...generator.traverseDirectory(absolutePath) } };
+    }
+    return { file: { name, path: webPath, size: generator.getFileSize(absolutePath), type: generator.getMimeType(absolutePath) } };
+  }
+
+  /**
+   * Rewrite the web paths in the manifest.json files inside a folder that was moved or renamed
+   * @param {string} folderPath - The folder's new path (path.sep separators)
+   * @param {string} fromWebPath - Its old web path, e.g. "/pub_ab/Old_Name"
+   */
+  relocateManifests(folderPath, fromWebPath) {
+    const toWebPath = '/' + folderPath.split(path.sep).join('/');
+
+    const walk = (dirPath) => {
+      let entries;
+      try {
+        entries = fs.readdirSync(dirPath, { withFileTypes: true });
+      } catch {
+        return;
+      }
+
+      entries.forEach(entry => {
+        const entryPath = path.join(dirPath, entry.name);
+        if (entry.isDirectory() && !entry.name.startsWith('.')) {
+          walk(entryPath);
+        } else if (entry.isFile() && entry.name === 'manifest.json') {
+          const manifest = this.readForUpdate(entryPath);
+          relocateEntry(manifest, fromWebPath, toWebPath);
+
+          // The folder's own listing is named after it
+          if (dirPath === rootPath && manifest.name === path.posix.basename(fromWebPath)) {
+            manifest.name = path.basename(folderPath);
+            manifest.description = `File listing for ${manifest.name}`;
+          }
+
+          this.writeManifestFile(entryPath, manifest);
+        }
+      });
+    };
+
+    const rootPath = this.resolvePath(folderPath);
+    walk(rootPath);
+  }
+
+  /**
+   * Find the manifest entry for a file by walking up to the nearest manifest.json
+   * @param {string} filePath - Relative file path, e.g. "pub_ab/Series/Book.mp3"
+   */
+  findFileEntry(filePath) {
+    const webPath = '/' + filePath.split(path.sep).join('/');
+    let folder = path.dirname(filePath);
+
+    while (folder && folder !== '.') {
+      let manifest = null;
+      try {
+        manifest = this.readManifest(folder);
+      } catch (error) {
+        logger.warn('Unreadable manifest', { folder, error: error.message });
+      }
+
+      if (manifest) {
+        return findEntryByPath(manifest, webPath);
+      }
+
+      folder = path.dirname(folder);
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Temp file a manifest.json is written to before it is renamed into place
+ */
+function getTmpPath(manifestPath) {
+  return path.join(path.dirname(manifestPath), `.manifest.json.${process.pid}.tmp`);
+}
+
+/**
+ * Sort comparator for manifest entries, matching ManifestGenerator's order
+ */
+function byName(a, b) {
+  return a.name.localeCompare(b.name);
+}
+
+/**
+ * Point the paths in a manifest entry (and everything under it) at a new location
+ */
+function relocateEntry(node, fromWebPath, toWebPath) {
+  (node.files || []).forEach(file => {
+    if (typeof file.path === 'string' && (file.path === fromWebPath || file.path.startsWith(fromWebPath + '/'))) {
+      file.path = toWebPath + file.path.slice(fromWebPath.length);
+    }
+  });
+  (node.folders || []).forEach(folder => relocateEntry(folder, fromWebPath, toWebPath));
+  return node;
+}
+
+/**
+ * Walk a manifest's folders hierarchy by folder names
+ */
+function findFolderNode(node, names) {
+  return names.reduce(
+    (current, name) => current && (current.folders || []).find(folder => folder.name === name),
+    node
+  ) || null;
+}
+
+/**
+ * Recursively search a manifest tree for a file entry by its web path
+ */
+function findEntryByPath(node, webPath) {
+  const file = (node.files || []).find(entry => entry.path === webPath);
+  if (file) {
+    return file;
+  }
+
+  for (const folder of node.folders || []) {
+    const found = findEntryByPath(folder, webPath);
+    if (found) {
+      return found;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a manifest against the schema ManifestGenerator writes:
+ * { name, files: [{ name, path, size, type }], folders: [{ name, files, folders }] }
+ * @returns {string[]} problems found, each prefixed with where in the manifest it is (at most `limit`)
+ */
+function validateManifest(manifest, limit = 10) {
+  const problems = [];
+
+  const check = (node, where, isRoot) => {
+    if (problems.length >= limit) {
+      return;
+    }
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      problems.push(`${where || 'manifest'} must be an object`);
+      return;
+    }
+    if (!isRoot && typeof node.name !== 'string') {
+      problems.push(`${where}.name must be a string`);
+    }
+
+    ['files', 'folders'].forEach(key => {
+      if (node[key] !== undefined && !Array.isArray(node[key])) {
+        problems.push(`${where ? where + '.' : ''}${key} must be an array`);
+      }
+    });
+
+    (Array.isArray(node.files) ? node.files : []).forEach((file, index) => {
+      const at = `${where ? where + '.' : ''}files[${index}]`;
+      if (problems.length >= limit) {
+        return;
+      }
+      if (!file || typeof file !== 'object') {
+        problems.push(`${at} must be an object`);
+      } else if (typeof file.name !== 'string' || typeof file.path !== 'string') {
+        problems.push(`${at} needs string "name" and "path"`);
+      } else if (file.size !== undefined && (typeof file.size !== 'number' || file.size < 0)) {
+        problems.push(`${at}.size must be a non-negative number`);
+      }
+    });
+
+    (Array.isArray(node.folders) ? node.folders : []).forEach((folder, index) => {
+      check(folder, `${where ? where + '.' : ''}folders[${index}]`, false);
+    });
+  };
+
+  check(manifest, '', true);
+  if (problems.length === 0 && !Array.isArray(manifest.files) && !Array.isArray(manifest.folders)) {
+    problems.push('manifest lists neither "files" nor "folders"');
+  }
+
+  return problems.slice(0, limit);
+}
+
+module.exports = ManifestStore;
+module.exports.validateManifest = validateManifest;
+module.exports.findEntryByPath = findEntryByPath;
+module.exports.findFolderNode = findFolderNode;
+module.exports.relocateEntry = relocateEntry;
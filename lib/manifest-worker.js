@@ -0,0 +1,108 @@
+/**
+ * Manifest regeneration in a child process
+ * ManifestGenerator reads the tree and runs ffprobe synchronously, so jobs run it
+ * in a forked copy of this file and follow its progress over IPC; cancelling kills the child
+ */
+
+const { fork } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const PROGRESS_INTERVAL = 250; // ms between progress messages
+const MAX_ERRORS = 100; // errors kept per job
+
+/**
+ * Start regenerating manifest.json for a job (runs in the server)
+ * @param {object} job - JobQueue job; progress and errors are updated as the child reports them
+ * @param {object} options - { dirPath, baseUrl, name, ffprobe }
+ * @returns {{ done: Promise<object>, cancel: function }}
+ */
+function startManifestJob(job, options) {
+  const child = fork(__filename, [], { stdio: ['ignore', 'ignore', 'ignore', 'ipc'] });
+  const tmpPath = path.join(options.dirPath, `.manifest.json.${child.pid}.tmp`);
+
+  const done = new Promise((resolve, reject) => {
+    child.on('message', (message) => {
+      if (message.type === 'progress') {
+        job.progress = { filesScanned: message.filesScanned, currentFile: message.currentFile };
+      } else if (message.type === 'error' && job.errors.length < MAX_ERRORS) {
+        job.errors.push({ file: message.file, message: message.message });
+      } else if (message.type === 'done') {
+        resolve(message.result);
+      } else if (message.type === 'failed') {
+        reject(new Error(message.message));
+      }
+    });
+
+    child.on('error', reject);
+    child.on('exit', (code, signal) => {
+      // A killed child may leave its temporary file behind
+      fs.rm(tmpPath, { force: true }, () => {});
+      reject(new Error(signal ? `Worker stopped (${signal})` : `Worker exited with code ${code}`));
+    });
+  });
+
+  child.send({ ...options, tmpPath });
+
+  return { done, cancel: () => child.kill() };
+}
+
+/**
+ * Generate the manifest and replace manifest.json atomically (runs in the child)
+ */
+function runWorker({ dirPath, baseUrl, name, ffprobe, tmpPath }) {
+  const ManifestGenerator = require('../generate-manifest');
+  let lastReport = 0;
+
+  const generator = new ManifestGenerator(dirPath, {
+    baseUrl,
+    ffprobe,
+    quiet: true,
+    onProgress: (progress) => {
+      const now = Date.now();
+      if (now - lastReport >= PROGRESS_INTERVAL) {
+        lastReport = now;
+        process.send({ type: 'progress', ...progress });
+      }
+    },
+    onError: (file, message) => process.send({ type: 'error', file: path.relative(dirPath, file) || '.', message })
+  });
+
+  try {
+    if (ffprobe && !generator.checkFfprobeAvailable()) {
+      process.send({ type: 'error', file: null, message: 'ffprobe not found - audio metadata skipped' });
+      generator.useFfprobe = false;
+    }
+
+    const manifest = generator.generateManifest(dirPath);
+
+    // Name the listing after the public folder, not the directory it is mounted from
+    manifest.name = name;
+    manifest.description = `File listing for ${name}`;
+
+    fs.writeFileSync(tmpPath, JSON.stringify(manifest, null, 2), 'utf-8');
+    fs.renameSync(tmpPath, path.join(dirPath, 'manifest.json'));
+
+    process.send({ type: 'progress', filesScanned: generator.filesScanned, currentFile: null });
+    process.send({
+      type: 'done',
+      result: {
+        files: generator.countFiles(manifest),
+        folders: generator.countFolders(manifest),
+        totalSize: generator.getTotalSize(manifest),
+        audioMetadata: generator.useFfprobe
+      }
+    }, () => process.exit(0));
+  } catch (error) {
+    process.send({ type: 'failed', message: error.message }, () => process.exit(1));
+  }
+}
+
+// Child process entry
+if (require.main === module) {
+  process.once('message', runWorker);
+  // Stop when the server goes away
+  process.on('disconnect', () => process.exit(1));
+}
+
+module.exports = startManifestJob;
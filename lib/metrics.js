@@ -0,0 +1,152 @@
+/**
+ * Minimal Prometheus metrics: counters, gauges and histograms with labels,
+ * rendered in the text exposition format for GET /api/metrics
+ * https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+// Request latency buckets in seconds, from cached JSON up to long downloads
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Render a label set as {name="value",...}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+  /**
+   * @param {function(): Array<[object, number]>} [collect] - Reads values kept elsewhere at scrape time
+   */
+  constructor(name, help, type, collect = null) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.collect = collect;
+    this.series = new Map(); // formatted labels -> { labels, value }
+  }
+
+  getSeries(labels = {}) {
+    const key = formatLabels(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, value: 0 };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  render() {
+    if (this.collect) {
+      this.collect().forEach(([labels, value]) => {
+        this.getSeries(labels).value = value;
+      });
+    }
+
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    this.series.forEach((series, key) => lines.push(`${this.name}${key} ${series.value}`));
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, collect) {
+    super(name, help, 'counter', collect);
+  }
+
+  inc(labels, amount = 1) {
+    this.getSeries(labels).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, collect) {
+    super(name, help, 'gauge', collect);
+  }
+
+  inc(labels, amount = 1) {
+    this.getSeries(labels).value += amount;
+  }
+
+  dec(labels, amount = 1) {
+    this.getSeries(labels).value -= amount;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super(name, help, 'histogram');
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels);
+    if (!series.counts) {
+      series.counts = this.buckets.map(() => 0);
+      series.sum = 0;
+      series.count = 0;
+    }
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+
+    this.series.forEach(series => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    });
+
+    return lines.join('\n');
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help, collect) {
+    return this.register(new Counter(name, help, collect));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * All metrics in the Prometheus text format
+   */
+  render() {
+    return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+module.exports = Registry;
+module.exports.Counter = Counter;
+module.exports.Gauge = Gauge;
+module.exports.Histogram = Histogram;
+module.exports.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
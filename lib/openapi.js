@@ -0,0 +1,972 @@
+/**
+ * OpenAPI 3 description of every server.js route
+ * Served as /api/openapi.json, rendered by /api/docs, and used by lib/request-validator.js to check
+ * query parameters and JSON bodies at runtime - a route change needs its entry here updated too
+ */
+
+const { version } = require('../package.json');
+
+// === HELPERS ===
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (description, schema, extra = {}) => ({ description, content: { 'application/json': { schema } }, ...extra });
+
+const query = (name, schema, description, required = false) => ({ name, in: 'query', required, description, schema });
+
+const body = (schema, required = true) => ({ required, content: { 'application/json': { schema } } });
+
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  410: 'Gone',
+  413: 'PayloadTooLarge',
+  415: 'UnsupportedMediaType',
+  429: 'TooManyRequests',
+  500: 'ServerError',
+  503: 'ServiceUnavailable'
+};
+
+/**
+ * Shared error responses by status, e.g. errors(400, 401)
+ */
+const errors = (...statuses) => Object.fromEntries(
+  statuses.map(status => [String(status), { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` }])
+);
+
+const noContent = { description: 'Done, no body' };
+
+const UUID = { type: 'string', pattern: '^[0-9a-f-]{36}$' };
+
+// Keys, logins, and readers of mounts configured with requiresAuth: false
+const READ_ACCESS = [{ apiKey: [] }, { session: [] }, {}];
+const SIGNED = ['exp', 'kid', 'sig'].map(name => ({ $ref: `#/components/parameters/${name}` }));
+
+// === DOCUMENT ===
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'File Explorer Secure API',
+    version,
+    description: [
+      'Authenticated access to the audiobook library: manifests, streaming, search, ZIP archives, uploads and file management.',
+      '',
+      'Send an API key in `X-API-Key`, or log in with `POST /api/login` and send the session cookie; state-changing',
+      'requests made with the cookie also need the session\'s `X-CSRF-Token`. Keys carry scopes (`read`, `write`, `admin`)',
+      'and folder grants; routes marked with a scope need a key or login that has it.',
+      '',
+      'Every error answers `{ error, message, requestId }`. Requests whose query parameters or JSON body do not match this',
+      'document are rejected with `400` and a `details` list naming each problem.'
+    ].join('\n')
+  },
+  servers: [{ url: '/' }],
+  security: [{ apiKey: [] }, { session: [] }],
+  tags: [
+    { name: 'Health', description: 'Liveness and readiness probes' },
+    { name: 'Sessions', description: 'Browser logins with a session cookie' },
+    { name: 'Library', description: 'Manifests, streaming, search and archives' },
+    { name: 'Uploads', description: 'Resumable chunked uploads into writable mounts' },
+    { name: 'Files', description: 'Rename, move, trash and restore in writable mounts' },
+    { name: 'Shares', description: 'Share links for a folder or file' },
+    { name: 'Admin', description: 'Background jobs, audit log and metrics' },
+    { name: 'Docs', description: 'This document' }
+  ],
+  paths: {
+    '/api/health': {
+      get: {
+        tags: ['Health'],
+        summary: 'Liveness check',
+        security: [],
+        responses: { 200: json('Server is up', ref('Health')) }
+      }
+    },
+    '/api/health/ready': {
+      get: {
+        tags: ['Health'],
+        summary: 'Readiness: mounts readable, manifests valid, ffprobe, free disk space',
+        description: 'Results are cached for 5 seconds.',
+        security: [],
+        responses: {
+          200: json('Ready', ref('Readiness')),
+          503: json('Not ready (with the failing checks), or the check itself failed', { oneOf: [ref('Readiness'), ref('Error')] })
+        }
+      }
+    },
+    '/api/login': {
+      post: {
+        tags: ['Sessions'],
+        summary: 'Log in and receive the session cookie and CSRF token',
+        security: [],
+        requestBody: body(ref('LoginRequest')),
+        responses: {
+          200: json('Logged in; sets the HttpOnly session cookie', ref('Session')),
+          ...errors(400, 401, 403, 429, 500)
+        }
+      }
+    },
+    '/api/logout': {
+      post: {
+        tags: ['Sessions'],
+        summary: 'End the current session',
+        security: [{ session: [] }, {}],
+        responses: {
+          200: json('Logged out', ref('Session')),
+          ...errors(403)
+        }
+      }
+    },
+    '/api/session': {
+      get: {
+        tags: ['Sessions'],
+        summary: 'Current login state',
+        security: [{ session: [] }, {}],
+        responses: { 200: json('The session, or { authenticated: false }', ref('Session')) }
+      }
+    },
+    '/api/manifest': {
+      get: {
+        tags: ['Library'],
+        summary: 'Manifest of a folder',
+        description: 'Served from the folder\'s manifest.json, the matching part of an ancestor\'s, or generated from the directory. ' +
+          'Revalidate with If-None-Match / If-Modified-Since; with `signed` every file path becomes a signed, expiring URL.',
+        security: READ_ACCESS,
+        parameters: [
+          query('folder', { type: 'string', minLength: 1 }, 'Folder path, e.g. pub_ab/Series', true),
+          query('signed', { type: 'boolean' }, 'Replace file paths with signed download URLs'),
+          query('expires', { type: 'integer', minimum: 1 }, 'Lifetime of signed URLs in seconds')
+        ],
+        responses: {
+          200: json('The manifest', ref('Manifest')),
+          304: { description: 'Not modified' },
+          ...errors(400, 401, 403, 404, 429, 500)
+        }
+      }
+    },
+    '/api/files/stream': {
+      get: {
+        tags: ['Library'],
+        summary: 'Stream a file with HTTP Range support',
+        description: 'Also accepts URLs signed for the file (from a signed manifest or share link). Counts against the daily download quota.',
+        security: READ_ACCESS,
+        parameters: [
+          query('path', { type: 'string', minLength: 1 }, 'File path, e.g. pub_ab/Series/Book.mp3', true),
+          ...SIGNED,
+          { name: 'Range', in: 'header', description: 'e.g. bytes=0-', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: { description: 'The whole file', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+          206: { description: 'The requested range', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+          416: json('Range not satisfiable', ref('Error')),
+          ...errors(400, 401, 403, 404, 429)
+        }
+      }
+    },
+    '/api/me/usage': {
+      get: {
+        tags: ['Library'],
+        summary: 'Rate limit and download quota usage of the caller',
+        responses: {
+          200: json('Usage', ref('Usage')),
+          ...errors(401, 429)
+        }
+      }
+    },
+    '/api/search': {
+      get: {
+        tags: ['Library'],
+        summary: 'Search files across all accessible manifests',
+        parameters: [
+          query('q', { type: 'string' }, 'Words that must all appear in the file or folder name'),
+          query('folder', { type: 'string' }, 'Only search below this folder'),
+          query('type', { type: 'string' }, 'MIME type or prefix, e.g. audio/ or audio/mpeg'),
+          query('minSize', { type: 'number', minimum: 0 }, 'Bytes'),
+          query('maxSize', { type: 'number', minimum: 0 }, 'Bytes'),
+          query('minDuration', { type: 'number', minimum: 0 }, 'Seconds'),
+          query('maxDuration', { type: 'number', minimum: 0 }, 'Seconds'),
+          query('minBitrate', { type: 'number', minimum: 0 }, 'Bits per second'),
+          query('maxBitrate', { type: 'number', minimum: 0 }, 'Bits per second'),
+          query('page', { type: 'number', minimum: 0 }, 'Page number (default 1)'),
+          query('pageSize', { type: 'number', minimum: 0 }, 'Results per page (default 25, at most 100)')
+        ],
+        responses: {
+          200: json('Matching files', ref('SearchResults')),
+          ...errors(400, 401, 429, 500)
+        }
+      }
+    },
+    '/api/archive/link': {
+      get: {
+        tags: ['Library'],
+        summary: 'Signed link to download a folder as ZIP',
+        parameters: [
+          query('folder', { type: 'string', minLength: 1 }, 'Folder path', true),
+          query('expires', { type: 'integer', minimum: 1 }, 'Lifetime of the link in seconds')
+        ],
+        responses: {
+          200: json('The link', ref('ArchiveLink')),
+          ...errors(400, 401, 403, 429)
+        }
+      }
+    },
+    '/api/archive': {
+      get: {
+        tags: ['Library'],
+        summary: 'Download a folder as a streamed ZIP',
+        security: READ_ACCESS,
+        parameters: [
+          query('folder', { type: 'string', minLength: 1 }, 'Folder path', true),
+          ...SIGNED
+        ],
+        responses: {
+          200: { description: 'ZIP archive (store mode, ZIP64 for large files)', content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } } },
+          ...errors(400, 401, 403, 404, 429, 500)
+        }
+      }
+    },
+    '/api/folders': {
+      get: {
+        tags: ['Library'],
+        summary: 'Folders the caller may access',
+        responses: {
+          200: json('Folders', ref('FolderList')),
+          ...errors(401, 429)
+        }
+      }
+    },
+    '/api/events': {
+      get: {
+        tags: ['Library'],
+        summary: 'Live folder change feed (Server-Sent Events)',
+        description: 'Sends a `ready` event, then `change` events with data `{ "folders": [...], "time": "..." }` for accessible folders. ' +
+          'Without credentials only changes in mounts with `requiresAuth: false` are sent.',
+        security: [{ apiKey: [] }, { session: [] }, {}],
+        responses: {
+          200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+          204: { description: 'No credentials and no public mounts: nothing to stream (EventSource stops reconnecting)' },
+          ...errors(401, 429, 503)
+        }
+      }
+    },
+    '/api/uploads': {
+      post: {
+        tags: ['Uploads'],
+        summary: 'Start a resumable upload',
+        'x-scope': 'write',
+        requestBody: body(ref('UploadRequest')),
+        responses: {
+          201: json('Upload created; send chunks to its Location', ref('Upload'), {
+            headers: {
+              Location: { schema: { type: 'string' }, description: '/api/uploads/{id}' },
+              'Upload-Offset': { schema: { type: 'integer' }, description: 'Always 0' }
+            }
+          }),
+          ...errors(400, 401, 403, 409, 413, 415)
+        }
+      }
+    },
+    '/api/uploads/{id}': {
+      parameters: [{ name: 'id', in: 'path', required: true, schema: UUID }],
+      get: {
+        tags: ['Uploads'],
+        summary: 'Upload status; Upload-Offset tells where to resume',
+        'x-scope': 'write',
+        responses: {
+          200: json('The upload', ref('Upload')),
+          ...errors(400, 401, 403, 404)
+        }
+      },
+      put: {
+        tags: ['Uploads'],
+        summary: 'Append a chunk at the current offset',
+        description: 'Send raw bytes with Content-Length. The chunk that completes the file answers 201 with its manifest entry.',
+        'x-scope': 'write',
+        parameters: [
+          { name: 'Upload-Offset', in: 'header', required: true, description: 'Offset the chunk starts at', schema: { type: 'integer', minimum: 0 } }
+        ],
+        requestBody: {
+          required: true,
+          content: { 'application/offset+octet-stream': { schema: { type: 'string', format: 'binary' } } }
+        },
+        responses: {
+          200: json('Chunk stored', ref('Upload')),
+          201: json('Upload complete', ref('UploadCompleted')),
+          411: json('Content-Length missing', ref('Error')),
+          ...errors(400, 401, 403, 404, 409, 413, 415, 500)
+        }
+      },
+      delete: {
+        tags: ['Uploads'],
+        summary: 'Abandon an unfinished upload',
+        'x-scope': 'write',
+        responses: {
+          204: noContent,
+          ...errors(400, 401, 403, 404, 409)
+        }
+      }
+    },
+    '/api/files/rename': {
+      post: {
+        tags: ['Files'],
+        summary: 'Rename a file or folder',
+        'x-scope': 'admin',
+        requestBody: body(ref('RenameRequest')),
+        responses: {
+          200: json('Renamed', ref('FileChange')),
+          ...errors(400, 401, 403, 404, 409, 500)
+        }
+      }
+    },
+    '/api/files/move': {
+      post: {
+        tags: ['Files'],
+        summary: 'Move a file or folder into another folder, also across mounts',
+        'x-scope': 'admin',
+        requestBody: body(ref('MoveRequest')),
+        responses: {
+          200: json('Moved', ref('FileChange')),
+          ...errors(400, 401, 403, 404, 409, 500)
+        }
+      }
+    },
+    '/api/files/trash': {
+      post: {
+        tags: ['Files'],
+        summary: 'Move a file or folder to its mount\'s trash',
+        'x-scope': 'admin',
+        requestBody: body(ref('TrashRequest')),
+        responses: {
+          200: json('Trashed', ref('TrashItem')),
+          ...errors(400, 401, 403, 404, 500)
+        }
+      }
+    },
+    '/api/trash': {
+      get: {
+        tags: ['Files'],
+        summary: 'Trashed items, newest first',
+        'x-scope': 'admin',
+        responses: {
+          200: json('Trash', { type: 'object', properties: { items: { type: 'array', items: ref('TrashItem') } } }),
+          ...errors(401, 403)
+        }
+      }
+    },
+    '/api/trash/{id}/restore': {
+      parameters: [{ name: 'id', in: 'path', required: true, schema: UUID }],
+      post: {
+        tags: ['Files'],
+        summary: 'Put a trashed item back where it was',
+        'x-scope': 'admin',
+        responses: {
+          200: json('Restored', {
+            type: 'object',
+            properties: {
+              path: { type: 'string' },
+              type: { type: 'string', enum: ['file', 'folder'] },
+              manifestError: { type: 'string', description: 'Only when the item is back but manifest.json files could not be updated' }
+            }
+          }),
+          ...errors(400, 401, 403, 404, 409, 500)
+        }
+      }
+    },
+    '/api/trash/{id}': {
+      parameters: [{ name: 'id', in: 'path', required: true, schema: UUID }],
+      delete: {
+        tags: ['Files'],
+        summary: 'Delete a trashed item for good',
+        'x-scope': 'admin',
+        responses: {
+          204: noContent,
+          ...errors(400, 401, 403, 404, 500)
+        }
+      }
+    },
+    '/api/shares': {
+      post: {
+        tags: ['Shares'],
+        summary: 'Create a share link; the token is only returned here',
+        'x-scope': 'admin',
+        requestBody: body(ref('ShareRequest')),
+        responses: {
+          201: json('Share created', ref('ShareCreated')),
+          ...errors(400, 401, 403, 404, 500)
+        }
+      },
+      get: {
+        tags: ['Shares'],
+        summary: 'Share links, newest first',
+        'x-scope': 'admin',
+        responses: {
+          200: json('Shares', { type: 'object', properties: { shares: { type: 'array', items: ref('Share') } } }),
+          ...errors(401, 403)
+        }
+      }
+    },
+    '/api/shares/{id}': {
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^[0-9a-f]{12}$' } }],
+      delete: {
+        tags: ['Shares'],
+        summary: 'Revoke a share link and every URL signed for it',
+        'x-scope': 'admin',
+        responses: {
+          204: noContent,
+          ...errors(400, 401, 403, 404)
+        }
+      }
+    },
+    '/s/{token}': {
+      parameters: [{ name: 'token', in: 'path', required: true, schema: { type: 'string' } }],
+      get: {
+        tags: ['Shares'],
+        summary: 'Share page (HTML) for anyone with the link',
+        security: [],
+        responses: { 200: { description: 'The page', content: { 'text/html': { schema: { type: 'string' } } } } }
+      }
+    },
+    '/s/{token}/manifest': {
+      parameters: [{ name: 'token', in: 'path', required: true, schema: { type: 'string' } }],
+      get: {
+        tags: ['Shares'],
+        summary: 'Listing behind a share link without a password',
+        security: [],
+        responses: {
+          200: json('Listing with signed /api/files/stream URLs', ref('ShareListing')),
+          ...errors(401, 404, 410, 429, 500)
+        }
+      },
+      post: {
+        tags: ['Shares'],
+        summary: 'Listing behind a password-protected share link',
+        description: 'Wrong passwords answer 401 with `passwordRequired: true` and count toward the IP lockout.',
+        security: [],
+        requestBody: body(ref('SharePasswordRequest'), false),
+        responses: {
+          200: json('Listing with signed /api/files/stream URLs', ref('ShareListing')),
+          ...errors(400, 401, 404, 410, 429, 500)
+        }
+      }
+    },
+    '/api/manifest/regenerate': {
+      post: {
+        tags: ['Admin'],
+        summary: 'Regenerate a folder\'s manifest.json as a background job (granted folders in writable mounts)',
+        'x-scope': 'admin',
+        parameters: [
+          query('folder', { type: 'string', minLength: 1 }, 'Folder path', true),
+          query('ffprobe', { type: 'boolean' }, 'Read audio metadata (default MANIFEST_FFPROBE)')
+        ],
+        responses: {
+          202: json('Job queued (or the one already running for the folder)', ref('Job'), {
+            headers: { Location: { schema: { type: 'string' }, description: '/api/jobs/{id}' } }
+          }),
+          ...errors(400, 401, 403, 404)
+        }
+      }
+    },
+    '/api/jobs': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Background jobs for granted folders, newest first',
+        'x-scope': 'admin',
+        responses: {
+          200: json('Jobs', { type: 'object', properties: { jobs: { type: 'array', items: ref('Job') } } }),
+          ...errors(401, 403)
+        }
+      }
+    },
+    '/api/jobs/{id}': {
+      parameters: [{ name: 'id', in: 'path', required: true, schema: UUID }],
+      get: {
+        tags: ['Admin'],
+        summary: 'Job progress, errors and result',
+        'x-scope': 'admin',
+        responses: {
+          200: json('The job', ref('Job')),
+          ...errors(400, 401, 403, 404)
+        }
+      }
+    },
+    '/api/jobs/{id}/cancel': {
+      parameters: [{ name: 'id', in: 'path', required: true, schema: UUID }],
+      post: {
+        tags: ['Admin'],
+        summary: 'Cancel a queued or running job',
+        'x-scope': 'admin',
+        responses: {
+          200: json('Cancelled, or cancelling while the worker stops', ref('Job')),
+          ...errors(400, 401, 403, 404, 409)
+        }
+      }
+    },
+    '/api/audit': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Security audit log, newest events first',
+        'x-scope': 'admin',
+        parameters: [
+          query('from', { type: 'string' }, 'ISO date or timestamp in milliseconds'),
+          query('to', { type: 'string' }, 'ISO date or timestamp in milliseconds'),
+          query('type', { type: 'string' }, 'Comma-separated event types, e.g. unauthorized,forbidden'),
+          query('ip', { type: 'string' }, 'Client IP'),
+          query('keyId', { type: 'string' }, 'Key id, or user:<name> for logins'),
+          query('limit', { type: 'integer', minimum: 1 }, 'Events to return (default 100, at most 1000)')
+        ],
+        responses: {
+          200: json('Events', {
+            type: 'object',
+            properties: {
+              total: { type: 'integer', description: 'Matching events' },
+              count: { type: 'integer', description: 'Events returned' },
+              events: { type: 'array', items: ref('AuditEvent') }
+            }
+          }),
+          ...errors(400, 401, 403, 500)
+        }
+      }
+    },
+    '/api/metrics': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Prometheus metrics (metrics or admin scope; no key from localhost with METRICS_LOCALHOST=1)',
+        'x-scope': 'metrics',
+        responses: {
+          200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } },
+          ...errors(401, 403)
+        }
+      }
+    },
+    '/api.php': {
+      get: {
+        tags: ['Library'],
+        summary: 'api.php compatibility router',
+        description: 'Same query style, status codes and bodies as api.php: `action=health`, `action=manifest&folder=` or `action=folders`.',
+        security: READ_ACCESS,
+        parameters: [
+          query('action', { type: 'string' }, 'health, manifest or folders'),
+          query('folder', { type: 'string' }, 'Folder path (manifest)'),
+          query('signed', { type: 'boolean' }, 'Replace file paths with signed download URLs (manifest)'),
+          query('expires', { type: 'integer', minimum: 1 }, 'Lifetime of signed URLs in seconds (manifest)')
+        ],
+        responses: {
+          200: json('Health, manifest or folder list', { oneOf: [ref('Health'), ref('Manifest'), ref('FolderList')] }),
+          304: { description: 'Not modified (manifest)' },
+          ...errors(400, 401, 403, 404, 429, 500)
+        }
+      }
+    },
+    '/api/openapi.json': {
+      get: {
+        tags: ['Docs'],
+        summary: 'This OpenAPI document',
+        security: [],
+        responses: { 200: json('OpenAPI 3 document', { type: 'object' }) }
+      }
+    },
+    '/api/docs': {
+      get: {
+        tags: ['Docs'],
+        summary: 'API reference page rendered from this document',
+        security: [],
+        responses: { 200: { description: 'The page', content: { 'text/html': { schema: { type: 'string' } } } } }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      session: {
+        type: 'apiKey',
+        in: 'cookie',
+        name: 'fe_session',
+        description: 'Set by POST /api/login; POST, PUT and DELETE requests also need the X-CSRF-Token header'
+      }
+    },
+    parameters: {
+      exp: { name: 'exp', in: 'query', description: 'Signed URL expiry (Unix seconds)', schema: { type: 'integer', minimum: 0 } },
+      kid: { name: 'kid', in: 'query', description: 'Id of the key, login (user:<name>) or share (share:<id>) that signed the URL', schema: { type: 'string' } },
+      sig: { name: 'sig', in: 'query', description: 'HMAC signature', schema: { type: 'string' } }
+    },
+    responses: {
+      BadRequest: json('Invalid request; validation failures list each problem in details', ref('Error')),
+      Unauthorized: json('Missing or invalid API key, session, signature or share password', ref('Error')),
+      Forbidden: json('Not allowed for this key, folder or scope', ref('Error')),
+      NotFound: json('Not found', ref('Error')),
+      Conflict: json('Conflicts with the current state', ref('Error')),
+      Gone: json('Share link expired or used up', ref('Error')),
+      PayloadTooLarge: json('Over the size limit', ref('Error')),
+      UnsupportedMediaType: json('File type not allowed, or content does not match it', ref('Error')),
+      TooManyRequests: json('Rate limit, lockout or download quota reached; see Retry-After', ref('Error')),
+      ServerError: json('Unexpected error', ref('Error')),
+      ServiceUnavailable: json('Temporarily unavailable; see Retry-After', ref('Error'))
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error', 'message'],
+        properties: {
+          error: { type: 'string', example: 'Bad Request' },
+          message: { type: 'string', example: 'Invalid request: folder is required' },
+          requestId: { type: 'string', description: 'Same as the X-Request-Id response header' },
+          details: { type: 'array', items: ref('ValidationProblem'), description: 'Validation failures only' },
+          passwordRequired: { type: 'boolean', description: 'Share links that need a password' }
+        }
+      },
+      ValidationProblem: {
+        type: 'object',
+        properties: {
+          in: { type: 'string', enum: ['query', 'path', 'header', 'body'] },
+          name: { type: 'string', example: 'folder', description: 'Parameter or body property ("" for the whole body)' },
+          message: { type: 'string', example: 'is required' }
+        }
+      },
+      Health: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', example: 'ok' },
+          timestamp: { type: 'string', format: 'date-time' },
+          environment: { type: 'string', example: 'production' },
+          features: {
+            type: 'array',
+            items: { type: 'string', enum: ['archive', 'events', 'login', 'search', 'shares', 'uploads'] },
+            description: 'Routes this server offers beyond api.php (which sends no features)'
+          }
+        }
+      },
+      Readiness: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['ready', 'not_ready'] },
+          version: { type: 'string' },
+          uptime: { type: 'integer', description: 'Seconds' },
+          timestamp: { type: 'string', format: 'date-time' },
+          checks: {
+            type: 'object',
+            properties: {
+              mounts: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, ok: { type: 'boolean' }, error: { type: 'string' } } } },
+              manifests: {
+                type: 'object',
+                properties: {
+                  ok: { type: 'boolean' },
+                  checked: { type: 'integer' },
+                  truncated: { type: 'boolean' },
+                  invalid: { type: 'array', items: { type: 'object', properties: { file: { type: 'string' }, errors: { type: 'array', items: { type: 'string' } } } } }
+                }
+              },
+              ffprobe: {
+                type: 'object',
+                properties: { ok: { type: 'boolean' }, required: { type: 'boolean' }, available: { type: 'boolean' }, version: { type: 'string', nullable: true } }
+              },
+              disk: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: { name: { type: 'string' }, ok: { type: 'boolean' }, freeBytes: { type: 'integer', nullable: true }, minFreeBytes: { type: 'integer' }, error: { type: 'string' } }
+                }
+              }
+            }
+          }
+        }
+      },
+      LoginRequest: {
+        type: 'object',
+        required: ['username', 'password'],
+        additionalProperties: false,
+        properties: {
+          username: { type: 'string', minLength: 1 },
+          password: { type: 'string', minLength: 1 }
+        }
+      },
+      Session: {
+        type: 'object',
+        properties: {
+          authenticated: { type: 'boolean' },
+          username: { type: 'string' },
+          folders: { type: 'array', items: { type: 'string' } },
+          scopes: { type: 'array', items: { type: 'string', enum: ['read', 'write', 'admin'] } },
+          csrfToken: { type: 'string', description: 'Send as X-CSRF-Token on POST, PUT and DELETE' },
+          expires: { type: 'string', format: 'date-time' }
+        }
+      },
+      AudioMetadata: {
+        type: 'object',
+        description: 'Read with ffprobe when enabled',
+        properties: {
+          duration: { type: 'number', description: 'Seconds' },
+          bitrate: { type: 'integer', description: 'Bits per second' },
+          sampleRate: { type: 'integer' },
+          channels: { type: 'integer' },
+          channelLayout: { type: 'string' },
+          codec: { type: 'string', example: 'mp3' }
+        }
+      },
+      FileEntry: {
+        type: 'object',
+        required: ['name', 'path'],
+        properties: {
+          name: { type: 'string', example: 'Book 01.mp3' },
+          path: { type: 'string', example: '/pub_ab/Series/Book 01.mp3', description: 'Web path, or a signed URL in signed listings' },
+          size: { type: 'integer', description: 'Bytes' },
+          type: { type: 'string', example: 'audio/mpeg' },
+          audio: ref('AudioMetadata')
+        }
+      },
+      Folder: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+          files: { type: 'array', items: ref('FileEntry') },
+          folders: { type: 'array', items: ref('Folder') }
+        }
+      },
+      Manifest: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          description: { type: 'string' },
+          generated: { type: 'string', format: 'date-time' },
+          files: { type: 'array', items: ref('FileEntry') },
+          folders: { type: 'array', items: ref('Folder') }
+        }
+      },
+      FolderList: {
+        type: 'object',
+        properties: {
+          folders: { type: 'array', items: { type: 'string' }, example: ['pub_ab'] },
+          message: { type: 'string' }
+        }
+      },
+      Usage: {
+        type: 'object',
+        properties: {
+          identity: { type: 'string', example: 'key:3f9a1c2b7d10' },
+          label: { type: 'string' },
+          requests: {
+            type: 'object',
+            properties: {
+              windowSeconds: { type: 'integer' },
+              general: ref('RequestUsage'),
+              manifest: ref('RequestUsage')
+            }
+          },
+          downloads: {
+            type: 'object',
+            properties: {
+              day: { type: 'string', example: '2026-01-31' },
+              usedBytes: { type: 'integer' },
+              quotaBytes: { type: 'integer', nullable: true, description: 'null when unlimited' },
+              remainingBytes: { type: 'integer', nullable: true },
+              reset: { type: 'string', format: 'date-time' }
+            }
+          }
+        }
+      },
+      RequestUsage: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer' },
+          used: { type: 'integer' },
+          remaining: { type: 'integer' },
+          reset: { type: 'string', format: 'date-time' }
+        }
+      },
+      SearchResults: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          page: { type: 'integer' },
+          pageSize: { type: 'integer' },
+          totalPages: { type: 'integer' },
+          results: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { folder: { type: 'string' }, path: { type: 'string' }, entry: ref('FileEntry') }
+            }
+          }
+        }
+      },
+      ArchiveLink: {
+        type: 'object',
+        properties: {
+          url: { type: 'string', example: '/api/archive?folder=pub_ab%2FSeries&exp=1769860800&kid=3f9a1c2b7d10&sig=...' },
+          expires: { type: 'string', format: 'date-time' }
+        }
+      },
+      UploadRequest: {
+        type: 'object',
+        required: ['folder', 'name', 'size'],
+        additionalProperties: false,
+        properties: {
+          folder: { type: 'string', minLength: 1, example: 'pub_ab/New_Series' },
+          name: { type: 'string', minLength: 1, maxLength: 255, example: 'Book 01.mp3' },
+          size: { type: 'integer', minimum: 0, description: 'Bytes' }
+        }
+      },
+      Upload: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          folder: { type: 'string' },
+          name: { type: 'string' },
+          type: { type: 'string' },
+          size: { type: 'integer' },
+          offset: { type: 'integer', description: 'Bytes received so far' },
+          createdBy: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+          chunkSize: { type: 'integer', description: 'Largest chunk accepted' }
+        }
+      },
+      UploadCompleted: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['completed'] },
+          file: ref('FileEntry'),
+          manifest: { type: 'string', nullable: true, description: 'The manifest.json that now lists the file' }
+        }
+      },
+      RenameRequest: {
+        type: 'object',
+        required: ['path', 'name'],
+        additionalProperties: false,
+        properties: {
+          path: { type: 'string', minLength: 1, example: 'pub_ab/Enchatner_Child' },
+          name: { type: 'string', minLength: 1, maxLength: 255, example: 'Enchanted_Child' }
+        }
+      },
+      MoveRequest: {
+        type: 'object',
+        required: ['path', 'to'],
+        additionalProperties: false,
+        properties: {
+          path: { type: 'string', minLength: 1, example: 'pub_ab/Inbox/Book01.mp3' },
+          to: { type: 'string', minLength: 1, example: 'pub_ab/New_Series' }
+        }
+      },
+      TrashRequest: {
+        type: 'object',
+        required: ['path'],
+        additionalProperties: false,
+        properties: {
+          path: { type: 'string', minLength: 1 }
+        }
+      },
+      FileChange: {
+        type: 'object',
+        properties: {
+          from: { type: 'string' },
+          to: { type: 'string' },
+          type: { type: 'string', enum: ['file', 'folder'] },
+          manifestError: { type: 'string', description: 'Only when the change is done but manifest.json files could not be updated' }
+        }
+      },
+      TrashItem: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          mount: { type: 'string' },
+          path: { type: 'string', description: 'Where it was deleted from' },
+          name: { type: 'string' },
+          type: { type: 'string', enum: ['file', 'folder'] },
+          size: { type: 'integer' },
+          deletedBy: { type: 'string' },
+          deletedAt: { type: 'string', format: 'date-time' },
+          manifestError: { type: 'string', description: 'Only when the change is done but manifest.json files could not be updated' }
+        }
+      },
+      ShareRequest: {
+        type: 'object',
+        required: ['path'],
+        additionalProperties: false,
+        properties: {
+          path: { type: 'string', minLength: 1, example: 'pub_ab/Expeditionary_Force' },
+          password: { type: 'string', minLength: 8, nullable: true },
+          expires: { type: 'string', format: 'date-time', nullable: true },
+          maxDownloads: { type: 'integer', minimum: 1, nullable: true },
+          label: { type: 'string', maxLength: 100, nullable: true }
+        }
+      },
+      Share: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          path: { type: 'string' },
+          type: { type: 'string', enum: ['file', 'folder'] },
+          label: { type: 'string' },
+          passwordProtected: { type: 'boolean' },
+          expires: { type: 'string', format: 'date-time', nullable: true },
+          maxDownloads: { type: 'integer', nullable: true },
+          downloads: { type: 'integer' },
+          status: { type: 'string', enum: ['active', 'expired', 'exhausted'] },
+          createdBy: { type: 'string' },
+          created: { type: 'string', format: 'date-time' }
+        }
+      },
+      ShareCreated: {
+        allOf: [ref('Share'), { type: 'object', properties: { url: { type: 'string', example: '/s/Xk2...' } } }]
+      },
+      SharePasswordRequest: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          password: { type: 'string' }
+        }
+      },
+      ShareListing: {
+        type: 'object',
+        properties: {
+          share: {
+            type: 'object',
+            properties: {
+              label: { type: 'string' },
+              type: { type: 'string', enum: ['file', 'folder'] },
+              expires: { type: 'string', format: 'date-time', nullable: true },
+              maxDownloads: { type: 'integer', nullable: true },
+              downloads: { type: 'integer' }
+            }
+          },
+          manifest: ref('Manifest')
+        }
+      },
+      Job: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          type: { type: 'string', example: 'manifest' },
+          status: { type: 'string', enum: ['queued', 'running', 'cancelling', 'completed', 'failed', 'cancelled'] },
+          params: { type: 'object', example: { folder: 'pub_ab/Series', ffprobe: false } },
+          progress: { type: 'object', properties: { filesScanned: { type: 'integer' }, currentFile: { type: 'string' } } },
+          errors: { type: 'array', items: { type: 'object' }, description: 'Files that could not be read' },
+          result: { type: 'object', nullable: true },
+          error: { type: 'string', nullable: true },
+          createdBy: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          startedAt: { type: 'string', format: 'date-time', nullable: true },
+          finishedAt: { type: 'string', format: 'date-time', nullable: true }
+        }
+      },
+      AuditEvent: {
+        type: 'object',
+        description: 'Events may carry more fields depending on their type (to, trashId, size, shareId, lockoutSeconds, ...)',
+        properties: {
+          time: { type: 'string', format: 'date-time' },
+          type: { type: 'string', example: 'unauthorized' },
+          ip: { type: 'string' },
+          keyId: { type: 'string', nullable: true },
+          folder: { type: 'string', nullable: true },
+          method: { type: 'string' },
+          url: { type: 'string', description: 'Signatures and share tokens are redacted' },
+          userAgent: { type: 'string', nullable: true },
+          requestId: { type: 'string' },
+          message: { type: 'string' }
+        }
+      }
+    }
+  }
+};
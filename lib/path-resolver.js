@@ -0,0 +1,128 @@
+/**
+ * Single place where client-supplied paths become filesystem paths
+ * 1. normalizePath: string checks on the decoded path - no NUL or control characters,
+ *    backslashes, look-alike slashes or dots, leftover percent-encoding, empty, "." or ".." segments;
+ *    Unicode is NFC-normalized
+ * 2. PathResolver.resolve: maps the mount name to its root, resolves symlinks with
+ *    fs.realpath and refuses targets that end up outside the mount's real root
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Control characters, including NUL
+const CONTROL_CHARS = /[\u0000-\u001f\u007f]/;
+
+// Characters that render like "/", "\", "." or ".." (fraction slash, fullwidth solidus, one-dot leader, ...)
+// and are folded into them by some filesystems and tools
+const LOOKALIKES = /[\u2024\u2025\u2044\u2215\u2216\u2571\u2572\u29f5\u29f8\u29f9\ufe52\ufe68\uff0e\uff0f\uff3c]/;
+
+// Percent-encoded ".", "/", "\" or NUL left after decoding means the path was encoded twice
+const ENCODED_SEPARATORS = /%(2e|2f|5c|00)/i;
+
+/**
+ * Decode a URL path once
+ * @returns {string|null} null when the encoding is malformed
+ */
+function decodeUrlPath(urlPath) {
+  try {
+    return decodeURIComponent(urlPath);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check and normalize a relative public path ("pub_ab/Series/Book.mp3")
+ * A single trailing slash is allowed; a leading one is not
+ * @returns {string|null} the NFC-normalized path with "/" separators, or null when it is unsafe
+ */
+function normalizePath(input) {
+  if (typeof input !== 'string' || input === '') {
+    return null;
+  }
+
+  const value = input.normalize('NFC').replace(/\/$/, '');
+
+  if (value === '' || value.startsWith('/') || value.includes('\\') || CONTROL_CHARS.test(value) ||
+      LOOKALIKES.test(value) || ENCODED_SEPARATORS.test(value)) {
+    return null;
+  }
+
+  const segments = value.split('/');
+  if (segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+    return null;
+  }
+
+  return value;
+}
+
+/**
+ * Whether a real path is the root itself or inside it
+ */
+function isWithinRoot(root, target) {
+  return target === root || target.startsWith(root.endsWith(path.sep) ? root : root + path.sep);
+}
+
+class PathResolver {
+  /**
+   * @param {LibraryConfig} library - Mount names and roots
+   */
+  constructor(library) {
+    this.library = library;
+  }
+
+  /**
+   * Whether a path is safe and under a mount (the folder whitelist)
+   */
+  isAllowed(relativePath) {
+    const normalized = normalizePath(relativePath);
+    return Boolean(normalized && this.library.getMount(normalized));
+  }
+
+  /**
+   * Map a public path to its real location on disk
+   * @param {string} relativePath - e.g. "pub_ab/Series/Book.mp3"
+   * @param {object} options - { allowMissing: resolve paths that do not exist yet (e.g. upload targets)
+   *   through their nearest existing ancestor }
+   * @returns {string|null} the absolute real path, or null when the path is unsafe, missing,
+   *   or leaves the mount through a symlink
+   */
+  resolve(relativePath, options = {}) {
+    const normalized = normalizePath(relativePath);
+    const mount = normalized && this.library.getMount(normalized);
+    if (!mount) {
+      return null;
+    }
+
+    let root;
+    try {
+      root = fs.realpathSync(mount.root);
+    } catch {
+      return null;
+    }
+
+    const target = path.join(mount.root, ...normalized.split('/').slice(1));
+
+    let existing = target;
+    const missing = [];
+    for (;;) {
+      try {
+        const real = fs.realpathSync(existing);
+        const resolved = path.join(real, ...missing);
+        return isWithinRoot(root, real) ? resolved : null;
+      } catch (error) {
+        if (error.code !== 'ENOENT' || !options.allowMissing || existing === mount.root) {
+          return null;
+        }
+        missing.unshift(path.basename(existing));
+        existing = path.dirname(existing);
+      }
+    }
+  }
+}
+
+module.exports = PathResolver;
+module.exports.normalizePath = normalizePath;
+module.exports.decodeUrlPath = decodeUrlPath;
+module.exports.isWithinRoot = isWithinRoot;
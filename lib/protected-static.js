@@ -0,0 +1,125 @@
+/**
+ * Protected static file layer
+ * Serves public site assets anonymously and library folders only to authorized requests
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { sendFile } = require('./file-stream');
+const { normalizePath, decodeUrlPath } = require('./path-resolver');
+const logger = require('./logger');
+
+/**
+ * Check whether a relative path equals a prefix or lives beneath it
+ */
+function isWithin(relativePath, prefix) {
+  return relativePath === prefix || relativePath.startsWith(prefix + '/');
+}
+
+/**
+ * Create the static middleware
+ * @param {object} options
+ * @param {string} options.root - Directory public files are served from
+ * @param {function(string): string|null} options.resolvePath - Location on disk of a protected file
+ * @param {string[]} options.publicPaths - Files or folders anyone may fetch
+ * @param {function(string): boolean} options.isProtected - Whether a path belongs to a protected folder
+ * @param {RegExp[]} options.deniedPatterns - Paths that are never served
+ * @param {function(object, string): object|null} options.authorize - Key record allowed to read a protected file, or null
+ * @param {function(object, object, function)} [options.guard] - Middleware run before a protected file is authorized
+ *   (e.g. the brute-force lockout), so failed attempts here count like those on the API
+ * @param {function(object, object, function)} [options.limiter] - Middleware run after the guard (e.g. the rate limiter),
+ *   since protected files are answered before any app-wide middleware mounted after this layer
+ * @param {function(object, object, object, string, fs.Stats): boolean} [options.beforeSend] - Last check before a protected file
+ *   is sent (e.g. quotas); returning false means it already responded
+ * @param {function(object, string)} [options.onUnauthorized] - Report a rejected request (defaults to a security log entry)
+ * @param {function(string, string): string} options.contentType - Content type for a protected file
+ */
+function createProtectedStatic(options) {
+  const root = path.resolve(options.root);
+  const publicPaths = options.publicPaths || [];
+  const deniedPatterns = options.deniedPatterns || [];
+  const serveStatic = express.static(root, { dotfiles: 'deny', index: ['index.html'] });
+
+  return (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+
+    const decoded = decodeUrlPath(req.path);
+    if (decoded === null) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Malformed URL'
+      });
+    }
+
+    // Never serve traversal attempts (including encoded and look-alike separators) or anything on the deny-list
+    const relativePath = normalizePath(decoded.replace(/^\/+/, '') || 'index.html');
+    if (!relativePath || deniedPatterns.some(pattern => pattern.test(relativePath))) {
+      return next();
+    }
+
+    if (publicPaths.some(prefix => isWithin(relativePath, prefix))) {
+      return serveStatic(req, res, next);
+    }
+
+    if (!options.isProtected(relativePath)) {
+      return next();
+    }
+
+    const checks = [options.guard, options.limiter].filter(Boolean);
+    const run = (index) => {
+      if (index === checks.length) {
+        return serveProtected(req, res, next, relativePath);
+      }
+      checks[index](req, res, () => run(index + 1));
+    };
+    run(0);
+  };
+
+  /**
+   * Authorize and send a file from a protected folder
+   */
+  function serveProtected(req, res, next, relativePath) {
+    const keyRecord = options.authorize(req, relativePath);
+    if (!keyRecord) {
+      if (options.onUnauthorized) {
+        options.onUnauthorized(req, relativePath);
+      } else {
+        (req.log || logger).security('Unauthorized file request', { path: relativePath });
+      }
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid or missing API key or signature'
+      });
+    }
+
+    const absolutePath = options.resolvePath(relativePath);
+    if (!absolutePath) {
+      return next();
+    }
+
+    let stats;
+    try {
+      stats = fs.statSync(absolutePath);
+    } catch {
+      return next();
+    }
+
+    if (!stats.isFile()) {
+      return next();
+    }
+
+    if (options.beforeSend && options.beforeSend(req, res, keyRecord, relativePath, stats) === false) {
+      return;
+    }
+
+    sendFile(req, res, absolutePath, {
+      contentType: options.contentType(relativePath, absolutePath),
+      stats
+    });
+  }
+}
+
+module.exports = createProtectedStatic;
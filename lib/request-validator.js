@@ -0,0 +1,315 @@
+/**
+ * Runtime request validation against the OpenAPI document (lib/openapi.js)
+ * Before a documented route runs, its path, query and header parameters and its JSON body are
+ * checked against the operation's schemas, and every problem is answered in one 400 shape:
+ *   { error: 'Bad Request', message, details: [{ in: 'query', name: 'folder', message: 'is required' }] }
+ * Supports the JSON Schema keywords the document uses: type, nullable, enum, pattern, format (date-time),
+ * minimum, maximum, minLength, maxLength, required, properties, additionalProperties, items and $ref
+ */
+
+const MAX_PROBLEMS = 20;
+
+// Flag-style query values, as read by isTruthyParam in server.js
+const BOOLEAN_VALUES = ['1', 'true', 'yes', '0', 'false', 'no'];
+
+/**
+ * Follow "#/components/..." references
+ */
+function resolveRef(document, node) {
+  let resolved = node;
+  while (resolved && resolved.$ref) {
+    resolved = resolved.$ref.slice(2).split('/').reduce((parent, key) => parent && parent[key], document);
+  }
+  return resolved || {};
+}
+
+/**
+ * Check a value against a schema, adding { name, message } problems
+ * @param {string} name - Where the value is ("path", "audio.duration", "" for a whole body)
+ */
+function checkSchema(document, schemaNode, value, name, problems) {
+  const schema = resolveRef(document, schemaNode);
+  const fail = (message) => problems.length < MAX_PROBLEMS && problems.push({ name, message });
+
+  if (value === null) {
+    if (!schema.nullable) {
+      fail('must not be null');
+    }
+    return;
+  }
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        return fail('must be a string');
+      }
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return fail(`must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        return fail(`must match ${schema.pattern}`);
+      }
+      if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+        return fail('must be an ISO 8601 date');
+      }
+      break;
+
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+        return fail(`must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`);
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        return fail(`must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        return fail(`must be at most ${schema.maximum}`);
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return fail('must be true or false');
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        return fail('must be an array');
+      }
+      value.forEach((item, index) => checkSchema(document, schema.items, item, `${name}[${index}]`, problems));
+      break;
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return fail('must be an object');
+      }
+      const properties = schema.properties || {};
+      const prefix = name ? `${name}.` : '';
+
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+          problems.length < MAX_PROBLEMS && problems.push({ name: prefix + key, message: 'is required' });
+        }
+      });
+      Object.keys(value).forEach(key => {
+        if (properties[key]) {
+          checkSchema(document, properties[key], value[key], prefix + key, problems);
+        } else if (schema.additionalProperties === false) {
+          problems.length < MAX_PROBLEMS && problems.push({ name: prefix + key, message: 'is not allowed' });
+        }
+      });
+      break;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(', ')}`);
+  }
+}
+
+/**
+ * Turn a query, header or path string into the type its schema expects
+ * @returns {{ value }|{ message: string }}
+ */
+function parseParameterValue(schema, raw) {
+  if (Array.isArray(raw)) {
+    return { message: 'must be given once' };
+  }
+
+  switch (schema.type) {
+    case 'integer':
+      return /^-?\d+$/.test(raw) ? { value: Number(raw) } : { message: 'must be an integer' };
+    case 'number':
+      return raw.trim() !== '' && Number.isFinite(Number(raw)) ? { value: Number(raw) } : { message: 'must be a number' };
+    case 'boolean':
+      return BOOLEAN_VALUES.includes(raw) ? { value: BOOLEAN_VALUES.indexOf(raw) < 3 } : { message: `must be one of ${BOOLEAN_VALUES.join(', ')}` };
+    default:
+      return typeof raw === 'string' ? { value: raw } : { message: 'must be a string' };
+  }
+}
+
+/**
+ * "/api/jobs/{id}/cancel" -> { regex, names: ['id'] }, matching like Express (any case, optional trailing slash)
+ */
+function compilePath(template) {
+  const names = [];
+  const source = template
+    .split(/(\{[^}]+\})/)
+    .map(part => {
+      if (part.startsWith('{')) {
+        names.push(part.slice(1, -1));
+        return '([^/]+)';
+      }
+      return part.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return { regex: new RegExp(`^${source}/?$`, 'i'), names };
+}
+
+class RequestValidator {
+  /**
+   * @param {object} document - OpenAPI 3 document
+   */
+  constructor(document) {
+    this.document = document;
+    this.operations = [];
+
+    Object.entries(document.paths).forEach(([template, pathItem]) => {
+      const { regex, names } = compilePath(template);
+      const shared = pathItem.parameters || [];
+
+      ['get', 'post', 'put', 'delete'].forEach(method => {
+        const operation = pathItem[method];
+        if (operation) {
+          const parameters = [...shared, ...(operation.parameters || [])].map(parameter => resolveRef(document, parameter));
+          this.operations.push({ method, template, regex, names, operation, parameters });
+        }
+      });
+    });
+
+    // Literal paths win over templated ones, e.g. /api/uploads before /api/uploads/{id}
+    this.operations.sort((a, b) => a.names.length - b.names.length);
+  }
+
+  /**
+   * Documented operation for a request, with its raw path parameters
+   * @returns {{ operation: object, parameters: object[], params: object }|null}
+   */
+  match(method, requestPath) {
+    const verb = method === 'HEAD' ? 'get' : method.toLowerCase();
+
+    for (const entry of this.operations) {
+      const found = entry.method === verb && requestPath.match(entry.regex);
+      if (found) {
+        const params = {};
+        entry.names.forEach((name, index) => {
+          params[name] = found[index + 1];
+        });
+        return { ...entry, params };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Who may call an operation: "public" (security: [], no credentials involved), "optional"
+   * (credentials or none, e.g. public mounts) or "required"
+   */
+  getAccess(operation) {
+    const security = operation.security || this.document.security || [];
+    if (security.length === 0) {
+      return 'public';
+    }
+    return security.some(requirement => Object.keys(requirement).length === 0) ? 'optional' : 'required';
+  }
+
+  /**
+   * Problems with a request, as [{ in, name, message }] (empty when it is valid or not documented)
+   * @param {object} [matched] - The request's operation from match(), when already looked up
+   */
+  validate(req, matched = this.match(req.method, req.path)) {
+    if (!matched) {
+      return [];
+    }
+
+    const problems = [];
+    const sources = { query: req.query, header: req.headers, path: matched.params };
+
+    matched.parameters.forEach(parameter => {
+      const source = sources[parameter.in];
+      if (!source) {
+        return;
+      }
+
+      let raw = source[parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name];
+      if (parameter.in === 'path') {
+        try {
+          raw = decodeURIComponent(raw);
+        } catch {
+          problems.push({ in: 'path', name: parameter.name, message: 'is not correctly encoded' });
+          return;
+        }
+      }
+
+      // Empty query values count as absent, as they do in the route handlers
+      if (raw === undefined || (raw === '' && parameter.in === 'query')) {
+        if (parameter.required) {
+          problems.push({ in: parameter.in, name: parameter.name, message: 'is required' });
+        }
+        return;
+      }
+
+      const schema = resolveRef(this.document, parameter.schema);
+      const parsed = parseParameterValue(schema, raw);
+      if (parsed.message) {
+        problems.push({ in: parameter.in, name: parameter.name, message: parsed.message });
+        return;
+      }
+
+      const found = [];
+      checkSchema(this.document, schema, parsed.value, parameter.name, found);
+      found.forEach(problem => problems.push({ in: parameter.in, ...problem }));
+    });
+
+    const body = matched.operation.requestBody && resolveRef(this.document, matched.operation.requestBody);
+    const media = body && body.content && body.content['application/json'];
+    if (media) {
+      const value = req.body && Object.keys(req.body).length > 0 ? req.body : undefined;
+      if (value === undefined) {
+        if (body.required) {
+          problems.push({ in: 'body', name: '', message: 'is required' });
+        }
+      } else {
+        const found = [];
+        checkSchema(this.document, media.schema, value, '', found);
+        found.forEach(problem => problems.push({ in: 'body', ...problem }));
+      }
+    }
+
+    return problems.slice(0, MAX_PROBLEMS);
+  }
+
+  /**
+   * Express middleware answering 400 for invalid requests to documented routes
+   * @param {object} options - { skip(req, operation, access) }: leave a request to its route unchecked,
+   *   e.g. so a request without valid credentials gets the route's 401 instead of schema details
+   */
+  middleware(options = {}) {
+    return (req, res, next) => {
+      const matched = this.match(req.method, req.path);
+      if (!matched || (options.skip && options.skip(req, matched.operation, this.getAccess(matched.operation)))) {
+        return next();
+      }
+
+      const problems = this.validate(req, matched);
+      if (problems.length === 0) {
+        return next();
+      }
+
+      res.status(400).json({
+        error: 'Bad Request',
+        message: describeProblems(problems),
+        details: problems
+      });
+    };
+  }
+}
+
+/**
+ * One-line summary of validation problems, e.g. "Invalid request: folder is required (and 1 more)"
+ */
+function describeProblems(problems) {
+  const [first] = problems;
+  const subject = first.name || (first.in === 'body' ? 'body' : first.in);
+  const more = problems.length > 1 ? ` (and ${problems.length - 1} more)` : '';
+  return `Invalid request: ${subject} ${first.message}${more}`;
+}
+
+module.exports = RequestValidator;
+module.exports.checkSchema = checkSchema;
+module.exports.describeProblems = describeProblems;
@@ -0,0 +1,182 @@
+/**
+ * Library search across every whitelisted manifest
+ * Flattens manifest trees into file records and filters them by
+ * name, folder, MIME type, size and audio metadata
+ */
+
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+class SearchIndex {
+  /**
+   * @param {ManifestStore} manifestStore - Source of manifests
+   * @param {function(): string[]} getRootFolders - Folders to index
+   */
+  constructor(manifestStore, getRootFolders) {
+    this.manifestStore = manifestStore;
+    this.getRootFolders = getRootFolders;
+    this.roots = new Map(); // root folder -> { manifest, records }
+  }
+
+  /**
+   * Root folders without a whitelisted ancestor, so nested entries are not indexed twice
+   */
+  getIndexedRoots() {
+    const folders = this.getRootFolders();
+    return folders.filter(folder =>
+      !folders.some(other => other !== folder && folder.startsWith(other + '/'))
+    );
+  }
+
+  /**
+   * Return all file records, re-flattening only the manifests that changed
+   */
+  getRecords() {
+    const records = [];
+
+    this.getIndexedRoots().forEach(root => {
+      let result = null;
+      try {
+        result = this.manifestStore.getManifest(root.split('/').join(path.sep));
+      } catch (error) {
+        logger.warn('Search index skipped folder', { folder: root, error: error.message });
+      }
+
+      if (!result) {
+        this.roots.delete(root);
+        return;
+      }
+
+      let indexed = this.roots.get(root);
+      if (!indexed || indexed.manifest !== result.manifest) {
+        indexed = { manifest: result.manifest, records: flattenManifest(result.manifest, root) };
+        this.roots.set(root, indexed);
+      }
+
+      records.push(...indexed.records);
+    });
+
+    return records;
+  }
+
+  /**
+   * Search the library
+   * @param {object} query - Parsed query (see parseSearchQuery)
+   * @param {function(string): boolean} canAccess - Whether the caller may see a folder
+   */
+  search(query, canAccess = () => true) {
+    const terms = (query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+    const matches = this.getRecords().filter(record => {
+      if (!canAccess(record.folder)) {
+        return false;
+      }
+
+      if (terms.length > 0) {
+        const haystack = `${record.folder}/${record.entry.name}`.toLowerCase();
+        if (!terms.every(term => haystack.includes(term))) {
+          return false;
+        }
+      }
+
+      if (query.folder && record.folder !== query.folder && !record.folder.startsWith(query.folder + '/')) {
+        return false;
+      }
+
+      if (query.type && !matchesType(record.entry.type || '', query.type)) {
+        return false;
+      }
+
+      const audio = record.entry.audio || {};
+      return inRange(record.entry.size, query.minSize, query.maxSize) &&
+        inRange(audio.duration, query.minDuration, query.maxDuration) &&
+        inRange(audio.bitrate, query.minBitrate, query.maxBitrate);
+    });
+
+    const start = (query.page - 1) * query.pageSize;
+
+    return {
+      total: matches.length,
+      page: query.page,
+      pageSize: query.pageSize,
+      totalPages: Math.ceil(matches.length / query.pageSize),
+      results: matches.slice(start, start + query.pageSize).map(record => ({
+        folder: record.folder,
+        path: record.entry.path,
+        entry: record.entry
+      }))
+    };
+  }
+}
+
+/**
+ * Flatten a manifest tree into { folder, entry } records
+ */
+function flattenManifest(manifest, rootFolder) {
+  const records = [];
+
+  const walk = (node, folder) => {
+    (node.files || []).forEach(entry => records.push({ folder, entry }));
+    (node.folders || []).forEach(child => walk(child, `${folder}/${child.name}`));
+  };
+
+  walk(manifest, rootFolder);
+  return records;
+}
+
+/**
+ * Match a MIME type against "audio/mpeg", "audio/" or "audio/*"
+ */
+function matchesType(type, filter) {
+  const wanted = filter.toLowerCase().replace(/\*$/, '');
+  return wanted.endsWith('/') ? type.startsWith(wanted) : type === wanted;
+}
+
+/**
+ * Check an optional numeric value against optional bounds
+ * Entries without the value only match when no bound is set
+ */
+function inRange(value, min, max) {
+  if (min === undefined && max === undefined) {
+    return true;
+  }
+  if (typeof value !== 'number') {
+    return false;
+  }
+  return (min === undefined || value >= min) && (max === undefined || value <= max);
+}
+
+/**
+ * Parse and validate search query parameters
+ * @returns {{ query?: object, error?: string }}
+ */
+function parseSearchQuery(params) {
+  const query = {
+    q: typeof params.q === 'string' ? params.q.trim() : '',
+    folder: typeof params.folder === 'string' ? params.folder.replace(/^\/+|\/+$/g, '') : '',
+    type: typeof params.type === 'string' ? params.type.trim() : ''
+  };
+
+  const numbers = ['minSize', 'maxSize', 'minDuration', 'maxDuration', 'minBitrate', 'maxBitrate', 'page', 'pageSize'];
+  for (const name of numbers) {
+    if (params[name] === undefined || params[name] === '') {
+      continue;
+    }
+    const value = Number(params[name]);
+    if (typeof params[name] !== 'string' || !Number.isFinite(value) || value < 0) {
+      return { error: `${name} must be a non-negative number` };
+    }
+    query[name] = value;
+  }
+
+  query.page = Math.max(Math.floor(query.page || 1), 1);
+  query.pageSize = Math.min(Math.max(Math.floor(query.pageSize || DEFAULT_PAGE_SIZE), 1), MAX_PAGE_SIZE);
+
+  return { query };
+}
+
+module.exports = SearchIndex;
+module.exports.parseSearchQuery = parseSearchQuery;
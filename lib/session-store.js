@@ -0,0 +1,172 @@
+/**
+ * In-memory login sessions for the browser UI
+ * The session id travels in an HttpOnly cookie; the CSRF token is handed to the page
+ * and must come back in the X-CSRF-Token header on state-changing requests
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL = 12 * 60 * 60; // seconds
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Parse a Cookie header into a name -> value object
+ */
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) {
+    return cookies;
+  }
+
+  header.split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index === -1) {
+      return;
+    }
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    if (name && !(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch {
+        cookies[name] = value;
+      }
+    }
+  });
+
+  return cookies;
+}
+
+/**
+ * Compare two strings without leaking where they differ
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+class SessionStore {
+  /**
+   * @param {object} options - { cookieName, ttl (seconds), secure }
+   */
+  constructor(options = {}) {
+    this.cookieName = options.cookieName || 'fe_session';
+    this.ttl = options.ttl || DEFAULT_TTL;
+    this.secure = Boolean(options.secure);
+    this.sessions = new Map(); // session id -> { id, username, csrfToken, created, expires }
+  }
+
+  /**
+   * Start a session for an account
+   */
+  create(username) {
+    this.prune();
+
+    const session = {
+      id: crypto.randomBytes(32).toString('base64url'),
+      username,
+      csrfToken: crypto.randomBytes(32).toString('base64url'),
+      created: Date.now(),
+      expires: Date.now() + this.ttl * 1000
+    };
+
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Find the live session named by the request's cookie
+   */
+  fromRequest(req) {
+    const id = parseCookies(req.headers.cookie)[this.cookieName];
+    if (!id) {
+      return null;
+    }
+
+    const session = this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+    if (session.expires <= Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * End a session
+   */
+  destroy(id) {
+    return this.sessions.delete(id);
+  }
+
+  /**
+   * End every session of an account (e.g. after it was removed)
+   */
+  destroyUser(username) {
+    this.sessions.forEach((session, id) => {
+      if (session.username === username) {
+        this.sessions.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Drop expired sessions
+   */
+  prune() {
+    const now = Date.now();
+    this.sessions.forEach((session, id) => {
+      if (session.expires <= now) {
+        this.sessions.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Cookie options for res.cookie / res.clearCookie
+   */
+  cookieOptions() {
+    return {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: this.secure,
+      path: '/',
+      maxAge: this.ttl * 1000
+    };
+  }
+
+  /**
+   * Set the session cookie on a response
+   */
+  setCookie(res, session) {
+    res.cookie(this.cookieName, session.id, this.cookieOptions());
+  }
+
+  /**
+   * Remove the session cookie from the browser
+   */
+  clearCookie(res) {
+    const { maxAge, ...options } = this.cookieOptions();
+    res.clearCookie(this.cookieName, options);
+  }
+
+  /**
+   * Check the X-CSRF-Token header against the session's token
+   */
+  checkCsrf(req, session) {
+    if (SAFE_METHODS.includes(req.method)) {
+      return true;
+    }
+
+    const token = req.headers['x-csrf-token'];
+    return typeof token === 'string' && safeEqual(token, session.csrfToken);
+  }
+}
+
+module.exports = SessionStore;
+module.exports.parseCookies = parseCookies;
+module.exports.safeEqual = safeEqual;
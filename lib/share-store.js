@@ -0,0 +1,196 @@
+/**
+ * Share links: a token that opens one folder or file read-only at /s/<token>,
+ * with an optional password (scrypt), expiry date and download limit
+ * Tokens are stored hashed like API keys; the raw link is shown once when it is created
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const AccountStore = require('./account-store');
+const logger = require('./logger');
+
+const DEFAULT_STORE_FILE = path.join(process.cwd(), 'data', 'shares.json');
+
+class ShareStore {
+  /**
+   * @param {string} filePath - JSON file holding the share records
+   */
+  constructor(filePath = DEFAULT_STORE_FILE) {
+    this.filePath = filePath;
+    this.shares = [];
+    this.load();
+  }
+
+  /**
+   * Hash a raw share token for storage and comparison
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Load shares from disk (none when the file does not exist)
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      this.shares = [];
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      this.shares = Array.isArray(data.shares) ? data.shares : [];
+    } catch (error) {
+      logger.error('Could not load share store', { file: this.filePath, error: error.message });
+      this.shares = [];
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ shares: this.shares }, null, 2), { encoding: 'utf-8', mode: 0o600 });
+  }
+
+  /**
+   * Create a share and return the raw token once
+   * @param {object} options - { path, type ("folder" or "file"), label, password, expires (ISO date), maxDownloads, createdBy }
+   * @returns {Promise<{ token: string, share: object }>}
+   */
+  async create({ path: sharedPath, type, label, password, expires = null, maxDownloads = null, createdBy = null }) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const share = {
+      id: crypto.randomBytes(6).toString('hex'),
+      hash: ShareStore.hashToken(token),
+      path: sharedPath,
+      type,
+      label: label || path.posix.basename(sharedPath),
+      passwordHash: password ? await AccountStore.hashPassword(password) : null,
+      expires,
+      maxDownloads,
+      downloads: 0,
+      createdBy,
+      created: new Date().toISOString()
+    };
+
+    this.shares.push(share);
+    this.save();
+    return { token, share };
+  }
+
+  /**
+   * Find the share for a raw token, including expired and used-up ones (see ShareStore.getStatus)
+   */
+  find(token) {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+
+    const hash = Buffer.from(ShareStore.hashToken(token), 'hex');
+    const share = this.shares.find(record => {
+      const stored = Buffer.from(String(record.hash), 'hex');
+      return stored.length === hash.length && crypto.timingSafeEqual(stored, hash);
+    });
+
+    return share || null;
+  }
+
+  /**
+   * Find an unexpired share by id (used to validate signed URLs)
+   */
+  get(id) {
+    const share = this.shares.find(record => record.id === id);
+    return share && ShareStore.getStatus(share) !== 'expired' ? share : null;
+  }
+
+  /**
+   * All shares, newest first
+   */
+  list() {
+    return [...this.shares].reverse();
+  }
+
+  /**
+   * Remove a share by id; links and signed URLs made from it stop working
+   */
+  revoke(id) {
+    const before = this.shares.length;
+    this.shares = this.shares.filter(share => share.id !== id);
+    if (this.shares.length === before) {
+      return false;
+    }
+
+    this.save();
+    return true;
+  }
+
+  /**
+   * Check a share's password (always true for shares without one)
+   */
+  async checkPassword(share, password) {
+    if (!share.passwordHash) {
+      return true;
+    }
+    return typeof password === 'string' && AccountStore.verifyPassword(password, share.passwordHash);
+  }
+
+  /**
+   * Count one download; false when the share's download limit is used up
+   */
+  recordDownload(share) {
+    if (ShareStore.getStatus(share) !== 'active') {
+      return false;
+    }
+
+    share.downloads++;
+    this.save();
+    return true;
+  }
+
+  /**
+   * "active", "expired" (past its expiry date) or "exhausted" (download limit reached)
+   */
+  static getStatus(share) {
+    if (share.expires && Date.parse(share.expires) <= Date.now()) {
+      return 'expired';
+    }
+    if (typeof share.maxDownloads === 'number' && share.downloads >= share.maxDownloads) {
+      return 'exhausted';
+    }
+    return 'active';
+  }
+
+  /**
+   * Public JSON view of a share (no hashes)
+   */
+  static describe(share) {
+    return {
+      id: share.id,
+      path: share.path,
+      type: share.type,
+      label: share.label,
+      passwordProtected: Boolean(share.passwordHash),
+      expires: share.expires,
+      maxDownloads: share.maxDownloads,
+      downloads: share.downloads,
+      status: ShareStore.getStatus(share),
+      createdBy: share.createdBy,
+      created: share.created
+    };
+  }
+
+  /**
+   * What visitors of a share link see about it
+   */
+  static describePublic(share) {
+    return {
+      label: share.label,
+      type: share.type,
+      expires: share.expires,
+      maxDownloads: share.maxDownloads,
+      downloads: share.downloads
+    };
+  }
+}
+
+module.exports = ShareStore;
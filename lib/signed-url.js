@@ -0,0 +1,177 @@
+/**
+ * HMAC-signed, expiring URLs for protected files
+ * Lets <a href> downloads and <audio> elements reach protected folders
+ * without sending the X-API-Key header
+ */
+
+const crypto = require('crypto');
+
+// Rounded expiries (see getExpiry) move in steps of a quarter of the lifetime, at most this many seconds
+const MAX_EXPIRY_STEP = 15 * 60;
+
+// Signed copies kept per manifest; older ones are dropped first
+const MAX_SIGNED_COPIES = 50;
+
+class UrlSigner {
+  /**
+   * @param {string} secret - HMAC secret (never the API key itself)
+   * @param {object} options - { defaultTtl, maxTtl } in seconds
+   */
+  constructor(secret, options = {}) {
+    if (!secret) {
+      throw new Error('UrlSigner requires a secret');
+    }
+    this.secret = secret;
+    this.defaultTtl = options.defaultTtl || 6 * 60 * 60;
+    this.maxTtl = options.maxTtl || 7 * 24 * 60 * 60;
+  }
+
+  /**
+   * Compute the signature for a resource, expiry and key id
+   */
+  computeSignature(resource, expires, keyId) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${resource}\n${expires}\n${keyId}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Expiry (unix seconds) for a lifetime in seconds (options.expiresIn)
+   * With options.round the expiry is rounded down to a step of the lifetime, so everything
+   * signed within one step gets the same expiry and therefore the same URL
+   */
+  getExpiry(options = {}) {
+    const ttl = Math.min(Math.max(parseInt(options.expiresIn, 10) || this.defaultTtl, 1), this.maxTtl);
+    const exp = Math.floor(Date.now() / 1000) + ttl;
+    const step = Math.min(Math.floor(ttl / 4), MAX_EXPIRY_STEP);
+
+    return options.round && step > 1 ? exp - (exp % step) : exp;
+  }
+
+  /**
+   * Sign a resource (usually a relative file path like "pub_ab/Book.mp3")
+   * options.exp signs with a fixed expiry instead of one computed from options.expiresIn
+   * @returns {{ exp: number, kid: string, sig: string }}
+   */
+  sign(resource, options = {}) {
+    const exp = options.exp || this.getExpiry(options);
+    const kid = options.keyId || 'default';
+
+    return { exp, kid, sig: this.computeSignature(resource, exp, kid) };
+  }
+
+  /**
+   * Turn a manifest web path ("/pub_ab/Series/Book 1.mp3") into a signed URL
+   * With options.route the path is passed as ?path= to that route (e.g. "/api/files/stream")
+   */
+  signPath(webPath, options = {}) {
+    const resource = webPath.replace(/^\/+/, '');
+    const { exp, kid, sig } = this.sign(resource, options);
+    if (options.route) {
+      return `${options.route}?${new URLSearchParams({ path: resource, exp: String(exp), kid, sig })}`;
+    }
+
+    const encodedPath = '/' + resource.split('/').map(encodeURIComponent).join('/');
+    const query = new URLSearchParams({ exp: String(exp), kid, sig });
+
+    return `${encodedPath}?${query}`;
+  }
+
+  /**
+   * Verify the exp/kid/sig query parameters for a resource
+   * @returns {{ valid: boolean, keyId?: string, reason?: string }}
+   */
+  verify(resource, query = {}) {
+    const { exp, kid, sig } = query;
+
+    if (typeof exp !== 'string' || typeof kid !== 'string' || typeof sig !== 'string') {
+      return { valid: false, reason: 'missing' };
+    }
+
+    const expires = parseInt(exp, 10);
+    if (!Number.isFinite(expires) || expires < Math.floor(Date.now() / 1000)) {
+      return { valid: false, reason: 'expired' };
+    }
+
+    const expected = Buffer.from(this.computeSignature(resource, expires, kid));
+    const provided = Buffer.from(sig);
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return { valid: false, reason: 'signature' };
+    }
+
+    return { valid: true, keyId: kid };
+  }
+}
+
+/**
+ * Derive a signing secret from another secret so the original is never exposed
+ */
+function deriveSigningSecret(masterSecret) {
+  return crypto.createHmac('sha256', masterSecret).update('file-explorer:url-signing').digest('hex');
+}
+
+/**
+ * Return a copy of a manifest with every file path replaced by a signed URL
+ * All files share one expiry (options.exp, or one computed from options)
+ */
+function signManifest(manifest, signer, options = {}) {
+  const signOptions = { ...options, exp: options.exp || signer.getExpiry(options) };
+  const signNode = (node) => ({
+    ...node,
+    files: (node.files || []).map(file => ({
+      ...file,
+      path: signer.signPath(file.path, signOptions)
+    })),
+    folders: (node.folders || []).map(signNode)
+  });
+
+  return signNode(manifest);
+}
+
+/**
+ * Signed copies of manifests, reused while their rounded expiry stays the same
+ * Returning the same object keeps its ETag (lib/http-cache.js), so clients revalidate
+ * signed manifests with If-None-Match like plain ones instead of downloading them again
+ */
+class SignedManifestCache {
+  /**
+   * @param {UrlSigner} signer
+   */
+  constructor(signer) {
+    this.signer = signer;
+    this.copies = new WeakMap(); // manifest -> Map("keyId\nexp" -> signed manifest)
+  }
+
+  /**
+   * Signed copy of a manifest for a key id and lifetime
+   * @param {object} options - { keyId, expiresIn }
+   */
+  get(manifest, options = {}) {
+    const exp = this.signer.getExpiry({ expiresIn: options.expiresIn, round: true });
+    const cacheKey = `${options.keyId}\n${exp}`;
+
+    let copies = this.copies.get(manifest);
+    if (!copies) {
+      copies = new Map();
+      this.copies.set(manifest, copies);
+    }
+
+    let signed = copies.get(cacheKey);
+    if (!signed) {
+      signed = signManifest(manifest, this.signer, { keyId: options.keyId, exp });
+      copies.set(cacheKey, signed);
+      if (copies.size > MAX_SIGNED_COPIES) {
+        copies.delete(copies.keys().next().value);
+      }
+    }
+
+    return signed;
+  }
+}
+
+module.exports = UrlSigner;
+module.exports.deriveSigningSecret = deriveSigningSecret;
+module.exports.signManifest = signManifest;
+module.exports.SignedManifestCache = SignedManifestCache;
@@ -0,0 +1,248 @@
+/**
+ * Resumable chunked uploads
+ * Each upload is staged as <id>.part next to <id>.json (its metadata) in the upload directory;
+ * chunks are appended at the current offset, so an interrupted transfer resumes where the
+ * part file ends, even after a restart. Finished files are moved into the library by moveInto
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const util = require('util');
+const logger = require('./logger');
+
+const DEFAULTS = {
+  maxSize: 10 * 1024 * 1024 * 1024, // bytes per file
+  chunkSize: 64 * 1024 * 1024, // bytes per request
+  ttl: 24 * 60 * 60 * 1000 // ms an unfinished upload is kept after its last chunk
+};
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// stream/promises only exists from Node 15
+const pipeline = util.promisify(stream.pipeline);
+
+// Leading bytes that every file of a type starts with; types not listed are not sniffed
+const SIGNATURES = {
+  'audio/mpeg': [[0x49, 0x44, 0x33], [0xff, 0xfb], [0xff, 0xf3], [0xff, 0xf2]], // ID3 tag or MPEG frame
+  'audio/flac': [[0x66, 0x4c, 0x61, 0x43]], // fLaC
+  'audio/wav': [[0x52, 0x49, 0x46, 0x46]], // RIFF
+  'audio/mp4': [[null, null, null, null, 0x66, 0x74, 0x79, 0x70]], // ....ftyp
+  'application/pdf': [[0x25, 0x50, 0x44, 0x46]], // %PDF
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  'image/png': [[0x89, 0x50, 0x4e, 0x47]]
+};
+
+/**
+ * Whether a file's first bytes match the signature of its MIME type
+ */
+function matchesSignature(type, header) {
+  const signatures = SIGNATURES[type];
+  return !signatures || signatures.some(bytes =>
+    bytes.every((byte, index) => byte === null || header[index] === byte)
+  );
+}
+
+class UploadStore {
+  /**
+   * @param {string} dir - Staging directory for part files
+   * @param {object} options - { maxSize, chunkSize, ttl }
+   */
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.options = {
+      maxSize: options.maxSize || DEFAULTS.maxSize,
+      chunkSize: options.chunkSize || DEFAULTS.chunkSize,
+      ttl: options.ttl || DEFAULTS.ttl
+    };
+    this.uploads = new Map(); // id -> upload
+    this.load();
+  }
+
+  /**
+   * Pick up unfinished uploads from a previous run; the part file's size is the offset
+   */
+  load() {
+    let names = [];
+    try {
+      names = fs.readdirSync(this.dir);
+    } catch {
+      return;
+    }
+
+    names.filter(name => name.endsWith('.json')).forEach(name => {
+      const id = name.slice(0, -'.json'.length);
+      try {
+        const upload = JSON.parse(fs.readFileSync(path.join(this.dir, name), 'utf-8'));
+        upload.offset = fs.statSync(this.getPartPath(id)).size;
+        upload.busy = false;
+        this.uploads.set(id, upload);
+      } catch {
+        this.removeFiles(id);
+      }
+    });
+
+    this.prune();
+  }
+
+  /**
+   * Start an upload
+   * @param {object} fields - { folder, name, size, type, createdBy }
+   */
+  create(fields) {
+    this.prune();
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+
+    const now = new Date().toISOString();
+    const upload = {
+      id: crypto.randomUUID(),
+      ...fields,
+      offset: 0,
+      createdAt: now,
+      updatedAt: now,
+      busy: false
+    };
+
+    fs.writeFileSync(this.getPartPath(upload.id), '', { mode: 0o600 });
+    this.uploads.set(upload.id, upload);
+    this.save(upload);
+
+    return upload;
+  }
+
+  /**
+   * Find an unfinished upload by id
+   */
+  get(id) {
+    return ID_PATTERN.test(id) ? this.uploads.get(id) || null : null;
+  }
+
+  /**
+   * Unfinished upload of a file name into a folder
+   */
+  find(folder, name) {
+    return [...this.uploads.values()].find(upload => upload.folder === folder && upload.name === name) || null;
+  }
+
+  /**
+   * Append a chunk at the upload's offset
+   * Bytes that arrived before an interruption are kept, and the offset is re-read from the part file
+   * @param {stream.Readable} source - The request body
+   */
+  async append(upload, source) {
+    upload.busy = true;
+    try {
+      await pipeline(source, fs.createWriteStream(this.getPartPath(upload.id), { flags: 'a' }));
+    } finally {
+      upload.offset = fs.statSync(this.getPartPath(upload.id)).size;
+      upload.updatedAt = new Date().toISOString();
+      upload.busy = false;
+      this.save(upload);
+    }
+  }
+
+  /**
+   * Whether the complete file starts like its MIME type says it should
+   */
+  async checkSignature(upload) {
+    const handle = await fs.promises.open(this.getPartPath(upload.id), 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(16), 0, 16, 0);
+      return matchesSignature(upload.type, buffer.subarray(0, bytesRead));
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Move a complete upload to its place in the library without replacing an existing file
+   * Across filesystems the part file is first copied next to the target, so the final step
+   * is always a rename and readers never see a partial file
+   * @returns {Promise<void>} rejects with code EEXIST when the target appeared meanwhile
+   */
+  async moveInto(upload, targetPath) {
+    const partPath = this.getPartPath(upload.id);
+    const stagedPath = path.join(path.dirname(targetPath), `.${upload.id}.upload.tmp`);
+
+    try {
+      await fs.promises.rename(partPath, stagedPath);
+    } catch (error) {
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      await fs.promises.copyFile(partPath, stagedPath).catch(copyError => {
+        fs.rmSync(stagedPath, { force: true });
+        throw copyError;
+      });
+    }
+
+    try {
+      // Checked and renamed in the same tick, so two uploads of one name cannot both land
+      if (fs.existsSync(targetPath)) {
+        throw Object.assign(new Error('Target file already exists'), { code: 'EEXIST' });
+      }
+      // Part files are private; library files are read by the web server and api.php too
+      fs.chmodSync(stagedPath, 0o644);
+      fs.renameSync(stagedPath, targetPath);
+    } finally {
+      fs.rmSync(stagedPath, { force: true });
+      this.remove(upload);
+    }
+  }
+
+  /**
+   * Forget an upload and delete its files
+   */
+  remove(upload) {
+    this.uploads.delete(upload.id);
+    this.removeFiles(upload.id);
+  }
+
+  /**
+   * Drop uploads that received no chunk within the ttl
+   */
+  prune() {
+    const cutoff = Date.now() - this.options.ttl;
+    this.uploads.forEach(upload => {
+      if (!upload.busy && Date.parse(upload.updatedAt) < cutoff) {
+        logger.info('Expired upload removed', { uploadId: upload.id, folder: upload.folder, name: upload.name });
+        this.remove(upload);
+      }
+    });
+  }
+
+  save(upload) {
+    const { busy, ...record } = upload;
+    fs.writeFileSync(path.join(this.dir, `${upload.id}.json`), JSON.stringify(record), { encoding: 'utf-8', mode: 0o600 });
+  }
+
+  removeFiles(id) {
+    fs.rmSync(this.getPartPath(id), { force: true });
+    fs.rmSync(path.join(this.dir, `${id}.json`), { force: true });
+  }
+
+  getPartPath(id) {
+    return path.join(this.dir, `${id}.part`);
+  }
+
+  /**
+   * Public JSON view of an upload
+   */
+  static describe(upload) {
+    return {
+      id: upload.id,
+      folder: upload.folder,
+      name: upload.name,
+      type: upload.type,
+      size: upload.size,
+      offset: upload.offset,
+      createdBy: upload.createdBy,
+      createdAt: upload.createdAt,
+      updatedAt: upload.updatedAt
+    };
+  }
+}
+
+module.exports = UploadStore;
+module.exports.matchesSignature = matchesSignature;
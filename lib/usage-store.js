@@ -0,0 +1,251 @@
+/**
+ * Persistent usage counters: rate limit hits and daily download bytes
+ * Kept in one JSON file so limits survive restarts; writes are batched
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const FLUSH_DELAY = 1000; // ms between a change and the file write
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BYTE_UNITS = { '': 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+
+/**
+ * Parse "500M", "10G", "1.5T" or plain bytes into a byte count (0 = unlimited)
+ * @returns {number|null} null when the value is not a size
+ */
+function parseBytes(value) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+
+  const match = String(value).trim().toUpperCase().match(/^(\d+(?:\.\d+)?)\s*([KMGT]?)I?B?$/);
+  return match ? Math.floor(parseFloat(match[1]) * BYTE_UNITS[match[2]]) : null;
+}
+
+/**
+ * Current UTC day ("2026-01-31") and the time it ends
+ */
+function currentDay(now = Date.now()) {
+  const day = new Date(now).toISOString().slice(0, 10);
+  return { day, resetTime: new Date(Date.parse(day) + DAY_MS) };
+}
+
+/**
+ * Count the body bytes written to a response and report them once it closes
+ */
+function countResponseBytes(res, onDone) {
+  let bytes = 0;
+  const write = res.write;
+  const end = res.end;
+
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf-8');
+    }
+  };
+
+  res.write = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+
+  res.once('close', () => onDone(bytes));
+}
+
+class UsageStore {
+  /**
+   * @param {string} filePath - JSON file for the counters
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.hits = {}; // limiter prefix -> key -> { count, resetTime (ms) }
+    this.bytes = {}; // identity -> { day, bytes }
+    this.timer = null;
+    this.load();
+  }
+
+  /**
+   * Load counters from disk, dropping expired windows and past days
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      const now = Date.now();
+      const { day } = currentDay(now);
+
+      Object.entries(data.hits || {}).forEach(([prefix, keys]) => {
+        this.hits[prefix] = {};
+        Object.entries(keys).forEach(([key, entry]) => {
+          if (entry.resetTime > now) {
+            this.hits[prefix][key] = entry;
+          }
+        });
+      });
+
+      Object.entries(data.bytes || {}).forEach(([identity, entry]) => {
+        if (entry.day === day) {
+          this.bytes[identity] = entry;
+        }
+      });
+    } catch (error) {
+      logger.error('Could not load usage store', { file: this.filePath, error: error.message });
+    }
+  }
+
+  /**
+   * Write counters to disk now
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.prune();
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath + '.tmp', JSON.stringify({ hits: this.hits, bytes: this.bytes }), 'utf-8');
+      fs.renameSync(this.filePath + '.tmp', this.filePath);
+    } catch (error) {
+      logger.error('Could not save usage store', { file: this.filePath, error: error.message });
+    }
+  }
+
+  /**
+   * Forget expired rate limit windows and previous days
+   */
+  prune() {
+    const now = Date.now();
+    const { day } = currentDay(now);
+
+    Object.values(this.hits).forEach(keys => {
+      Object.keys(keys).forEach(key => {
+        if (keys[key].resetTime <= now) {
+          delete keys[key];
+        }
+      });
+    });
+
+    Object.keys(this.bytes).forEach(identity => {
+      if (this.bytes[identity].day !== day) {
+        delete this.bytes[identity];
+      }
+    });
+  }
+
+  /**
+   * Schedule a write, so a burst of requests causes a single one
+   */
+  scheduleFlush() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setTimeout(() => this.flush(), FLUSH_DELAY);
+    this.timer.unref();
+  }
+
+  // === RATE LIMIT HITS ===
+
+  /**
+   * Read a limiter counter, or null when its window has passed
+   */
+  getHits(prefix, key) {
+    const entry = (this.hits[prefix] || {})[key];
+    return entry && entry.resetTime > Date.now() ? entry : null;
+  }
+
+  /**
+   * Create an express-rate-limit store backed by this file
+   * @param {string} prefix - Separates the counters of different limiters
+   */
+  createLimiterStore(prefix) {
+    const usage = this;
+    let windowMs = 60 * 1000;
+
+    const current = (key) => {
+      const counters = usage.hits[prefix] || (usage.hits[prefix] = {});
+      let entry = usage.getHits(prefix, key);
+      if (!entry) {
+        entry = { count: 0, resetTime: Date.now() + windowMs };
+        counters[key] = entry;
+      }
+      return entry;
+    };
+
+    return {
+      prefix,
+      localKeys: false,
+
+      init(options) {
+        windowMs = options.windowMs;
+      },
+
+      async get(key) {
+        const entry = usage.getHits(prefix, key);
+        return entry ? { totalHits: entry.count, resetTime: new Date(entry.resetTime) } : undefined;
+      },
+
+      async increment(key) {
+        const entry = current(key);
+        entry.count++;
+        usage.scheduleFlush();
+        return { totalHits: entry.count, resetTime: new Date(entry.resetTime) };
+      },
+
+      async decrement(key) {
+        const entry = usage.getHits(prefix, key);
+        if (entry && entry.count > 0) {
+          entry.count--;
+          usage.scheduleFlush();
+        }
+      },
+
+      async resetKey(key) {
+        if (usage.hits[prefix]) {
+          delete usage.hits[prefix][key];
+          usage.scheduleFlush();
+        }
+      }
+    };
+  }
+
+  // === DOWNLOAD BYTES ===
+
+  /**
+   * Bytes downloaded today (UTC) by an identity
+   */
+  getBytes(identity) {
+    const entry = this.bytes[identity];
+    return entry && entry.day === currentDay().day ? entry.bytes : 0;
+  }
+
+  /**
+   * Add downloaded bytes to today's total
+   */
+  addBytes(identity, bytes) {
+    if (!bytes) {
+      return;
+    }
+
+    const { day } = currentDay();
+    const entry = this.bytes[identity];
+    this.bytes[identity] = entry && entry.day === day
+      ? { day, bytes: entry.bytes + bytes }
+      : { day, bytes };
+    this.scheduleFlush();
+  }
+}
+
+module.exports = UsageStore;
+module.exports.parseBytes = parseBytes;
+module.exports.currentDay = currentDay;
+module.exports.countResponseBytes = countResponseBytes;
@@ -0,0 +1,255 @@
+/**
+ * Streaming ZIP writer (store mode, ZIP64 when needed)
+ * Files are read from disk and written straight to the response, nothing is buffered to disk.
+ * Because entries are stored uncompressed the archive size is known up front.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+const UINT32_MAX = 0xFFFFFFFF;
+const UINT16_MAX = 0xFFFF;
+const FLAGS = 0x0808; // bit 3: sizes/CRC in data descriptor, bit 11: UTF-8 names
+
+// === CRC32 ===
+
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+/**
+ * Update a running CRC32 with a chunk (uses zlib.crc32 where Node provides it)
+ */
+function crc32(chunk, crc = 0) {
+  if (typeof zlib.crc32 === 'function') {
+    return zlib.crc32(chunk, crc);
+  }
+
+  let c = (crc ^ -1) | 0;
+  for (let i = 0; i < chunk.length; i++) {
+    c = CRC_TABLE[(c ^ chunk[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return (c ^ -1) >>> 0;
+}
+
+// === HEADERS ===
+
+/**
+ * Convert a Date to MS-DOS time and date fields
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function localHeader(entry) {
+  const extra = entry.zip64 ? Buffer.alloc(20) : Buffer.alloc(0);
+  if (entry.zip64) {
+    // Sizes live in the data descriptor; the ZIP64 extra marks the entry as 64-bit
+    extra.writeUInt16LE(0x0001, 0);
+    extra.writeUInt16LE(16, 2);
+  }
+
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(entry.zip64 ? 45 : 20, 4);
+  header.writeUInt16LE(FLAGS, 6);
+  header.writeUInt16LE(0, 8); // store
+  header.writeUInt16LE(entry.dos.time, 10);
+  header.writeUInt16LE(entry.dos.date, 12);
+  header.writeUInt32LE(0, 14); // CRC in descriptor
+  header.writeUInt32LE(entry.zip64 ? UINT32_MAX : 0, 18);
+  header.writeUInt32LE(entry.zip64 ? UINT32_MAX : 0, 22);
+  header.writeUInt16LE(entry.nameBuffer.length, 26);
+  header.writeUInt16LE(extra.length, 28);
+
+  return Buffer.concat([header, entry.nameBuffer, extra]);
+}
+
+function dataDescriptor(entry, crc) {
+  const descriptor = Buffer.alloc(entry.zip64 ? 24 : 16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(crc, 4);
+  if (entry.zip64) {
+    descriptor.writeBigUInt64LE(BigInt(entry.size), 8);
+    descriptor.writeBigUInt64LE(BigInt(entry.size), 16);
+  } else {
+    descriptor.writeUInt32LE(entry.size, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+  }
+  return descriptor;
+}
+
+/**
+ * Central directory header; sizes are 64-bit exactly when the local header and descriptor are,
+ * an offset past 4 GiB only adds the offset to the ZIP64 extra
+ */
+function centralHeader(entry) {
+  const sizeOverflow = entry.zip64;
+  const offsetOverflow = entry.offset >= UINT32_MAX;
+
+  const fields = [];
+  if (sizeOverflow) {
+    fields.push(entry.size, entry.size);
+  }
+  if (offsetOverflow) {
+    fields.push(entry.offset);
+  }
+
+  const extra = Buffer.alloc(fields.length ? 4 + fields.length * 8 : 0);
+  if (fields.length) {
+    extra.writeUInt16LE(0x0001, 0);
+    extra.writeUInt16LE(fields.length * 8, 2);
+    fields.forEach((value, index) => extra.writeBigUInt64LE(BigInt(value), 4 + index * 8));
+  }
+
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(45, 4);
+  header.writeUInt16LE(sizeOverflow || offsetOverflow ? 45 : 20, 6);
+  header.writeUInt16LE(FLAGS, 8);
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(entry.dos.time, 12);
+  header.writeUInt16LE(entry.dos.date, 14);
+  header.writeUInt32LE(entry.crc, 16);
+  header.writeUInt32LE(sizeOverflow ? UINT32_MAX : entry.size, 20);
+  header.writeUInt32LE(sizeOverflow ? UINT32_MAX : entry.size, 24);
+  header.writeUInt16LE(entry.nameBuffer.length, 28);
+  header.writeUInt16LE(extra.length, 30);
+  header.writeUInt32LE(offsetOverflow ? UINT32_MAX : entry.offset, 42);
+
+  return Buffer.concat([header, entry.nameBuffer, extra]);
+}
+
+function endOfCentralDirectory(count, cdOffset, cdSize) {
+  const needsZip64 = count >= UINT16_MAX || cdOffset >= UINT32_MAX || cdSize >= UINT32_MAX;
+  const parts = [];
+
+  if (needsZip64) {
+    const record = Buffer.alloc(56);
+    record.writeUInt32LE(0x06064b50, 0);
+    record.writeBigUInt64LE(44n, 4);
+    record.writeUInt16LE(45, 12);
+    record.writeUInt16LE(45, 14);
+    record.writeBigUInt64LE(BigInt(count), 24);
+    record.writeBigUInt64LE(BigInt(count), 32);
+    record.writeBigUInt64LE(BigInt(cdSize), 40);
+    record.writeBigUInt64LE(BigInt(cdOffset), 48);
+
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(cdOffset + cdSize), 8);
+    locator.writeUInt32LE(1, 16);
+
+    parts.push(record, locator);
+  }
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Math.min(count, UINT16_MAX), 8);
+  end.writeUInt16LE(Math.min(count, UINT16_MAX), 10);
+  end.writeUInt32LE(Math.min(cdSize, UINT32_MAX), 12);
+  end.writeUInt32LE(Math.min(cdOffset, UINT32_MAX), 16);
+  parts.push(end);
+
+  return Buffer.concat(parts);
+}
+
+// === ARCHIVE ===
+
+/**
+ * Lay out archive entries and compute the exact archive size
+ * @param {Array<{ name: string, filePath: string, size: number, mtime: Date }>} files
+ */
+function planArchive(files) {
+  let offset = 0;
+
+  const entries = files.map(file => {
+    const entry = {
+      ...file,
+      nameBuffer: Buffer.from(file.name, 'utf-8'),
+      dos: toDosDateTime(file.mtime || new Date()),
+      offset,
+      crc: 0
+    };
+    // Readers size the data descriptor from the local header, so only the entry size may decide
+    entry.zip64 = entry.size >= UINT32_MAX;
+    offset += localHeader(entry).length + entry.size + (entry.zip64 ? 24 : 16);
+    return entry;
+  });
+
+  const cdSize = entries.reduce((sum, entry) => sum + centralHeader(entry).length, 0);
+  const totalSize = offset + cdSize + endOfCentralDirectory(entries.length, offset, cdSize).length;
+
+  return { entries, cdOffset: offset, cdSize, totalSize };
+}
+
+/**
+ * Write a planned archive to a writable stream
+ * Resolves when done; rejects if a file cannot be read or changed size
+ */
+async function writeArchive(output, plan) {
+  const write = (chunk) => new Promise((resolve, reject) => {
+    if (output.destroyed) {
+      return reject(new Error('Output stream closed'));
+    }
+    if (output.write(chunk)) {
+      return resolve();
+    }
+    const onDrain = () => { output.off('close', onClose); resolve(); };
+    const onClose = () => { output.off('drain', onDrain); reject(new Error('Output stream closed')); };
+    output.once('drain', onDrain);
+    output.once('close', onClose);
+  });
+
+  for (const entry of plan.entries) {
+    await write(localHeader(entry));
+
+    let crc = 0;
+    let bytes = 0;
+    const stream = fs.createReadStream(entry.filePath);
+    try {
+      for await (const chunk of stream) {
+        crc = crc32(chunk, crc);
+        bytes += chunk.length;
+        await write(chunk);
+      }
+    } finally {
+      stream.destroy();
+    }
+
+    if (bytes !== entry.size) {
+      throw new Error(`File changed size while archiving: ${entry.name}`);
+    }
+
+    entry.crc = crc;
+    await write(dataDescriptor(entry, crc));
+  }
+
+  for (const entry of plan.entries) {
+    await write(centralHeader(entry));
+  }
+
+  await write(endOfCentralDirectory(plan.entries.length, plan.cdOffset, plan.cdSize));
+}
+
+module.exports = {
+  crc32,
+  planArchive,
+  writeArchive,
+  localHeader,
+  dataDescriptor,
+  centralHeader,
+  endOfCentralDirectory
+};
@@ -4,187 +4,2175 @@
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const rateLimit = require('express-rate-limit');
 const cors = require('cors');
 require('dotenv').config();
 
+const ManifestGenerator = require('./generate-manifest');
+const ManifestStore = require('./lib/manifest-store');
+const { sendFile, parseRange, getServedRange } = require('./lib/file-stream');
+const createProtectedStatic = require('./lib/protected-static');
+const UrlSigner = require('./lib/signed-url');
+const KeyStore = require('./lib/key-store');
+const { sendCachedJson } = require('./lib/http-cache');
+const SearchIndex = require('./lib/search-index');
+const { parseSearchQuery } = SearchIndex;
+const { planArchive, writeArchive } = require('./lib/zip-stream');
+const { signManifest, SignedManifestCache } = UrlSigner;
+const LibraryConfig = require('./lib/library-config');
+const AccountStore = require('./lib/account-store');
+const SessionStore = require('./lib/session-store');
+const UsageStore = require('./lib/usage-store');
+const AuthGuard = require('./lib/auth-guard');
+const logger = require('./lib/logger');
+const AuditLog = require('./lib/audit-log');
+const FolderWatcher = require('./lib/folder-watcher');
+const JobQueue = require('./lib/job-queue');
+const startManifestJob = require('./lib/manifest-worker');
+const Metrics = require('./lib/metrics');
+const checkReadiness = require('./lib/health-checks');
+const PathResolver = require('./lib/path-resolver');
+const UploadStore = require('./lib/upload-store');
+const FileManager = require('./lib/file-manager');
+const ShareStore = require('./lib/share-store');
+const openApiDocument = require('./lib/openapi');
+const RequestValidator = require('./lib/request-validator');
+const { normalizePath } = PathResolver;
+const { version: VERSION } = require('./package.json');
+const { parseAuditQuery } = AuditLog;
+const { parseBytes, currentDay, countResponseBytes } = UsageStore;
+
 const app = express();
+// Which proxies to believe for req.ip: unset trusts none, "true" all, a number that many hops,
+// anything else an Express trust list such as "loopback" or "10.0.0.0/8"
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+app.set('trust proxy', TRUST_PROXY);
 const PORT = process.env.PORT || 3000;
 const API_KEY = process.env.API_KEY || 'your-secure-api-key-here';
+const KEY_STORE_FILE = process.env.KEY_STORE_FILE || path.join(process.cwd(), 'data', 'api-keys.json');
+const LIBRARY_CONFIG = process.env.LIBRARY_CONFIG || path.join(process.cwd(), 'library.config.json');
+const ACCOUNT_STORE_FILE = process.env.ACCOUNT_STORE_FILE || path.join(process.cwd(), 'data', 'accounts.json');
+const SESSION_TTL = parseInt(process.env.SESSION_TTL, 10) || 12 * 60 * 60; // seconds
+const USAGE_STORE_FILE = process.env.USAGE_STORE_FILE || path.join(process.cwd(), 'data', 'usage.json');
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || path.join(process.cwd(), 'data', 'audit.log');
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(process.cwd(), 'data', 'uploads');
+const SHARE_STORE_FILE = process.env.SHARE_STORE_FILE || path.join(process.cwd(), 'data', 'shares.json');
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
-// === MIDDLEWARE ===
+// Secret for signed download URLs - derived from the API key when not set explicitly
+const URL_SIGNING_SECRET = process.env.URL_SIGNING_SECRET || UrlSigner.deriveSigningSecret(API_KEY);
+
+// === CONFIGURATION ===
+
+// Library mounts used when library.config.json does not exist
+const DEFAULT_LIBRARY = {
+  mounts: {
+    pub_ab: { path: './pub_ab', requiresAuth: true, readOnly: true },
+    assets: { path: './assets', requiresAuth: true, readOnly: true }
+  }
+};
+
+// Whitelist of allowed folders: public mount names mapped to directories on disk
+// Configure in library.config.json - changes are picked up without a restart
+const library = new LibraryConfig(LIBRARY_CONFIG, DEFAULT_LIBRARY);
+
+// Every filesystem access goes through the resolver: unsafe paths and symlinks leaving a mount resolve to null
+const pathResolver = new PathResolver(library);
+
+// Site files served to anyone without a key
+const PUBLIC_PATHS = [
+  'index.html',
+  'file-explorer.html',
+  'directory.html',
+  'audiobook-list.html',
+  'style.css',
+  'assets/index.html',
+  'assets/kc-res-pdf.pdf',
+  'assets/css',
+  'assets/f',
+  'assets/i',
+  'assets/js'
+];
+
+// Never served, even from public or whitelisted folders
+const DENIED_PATHS = [
+  /(^|\/)\./,                         // dotfiles (.env, .git, ...)
+  /^node_modules(\/|$)/,
+  /^lib(\/|$)/,
+  /^logs(\/|$)/,
+  /^data(\/|$)/,
+  /\.php$/i,
+  /^(server|generate-manifest)\.js$/,
+  /^package(-lock)?\.json$/,
+  /^library\.config\.json$/,
+  /\.(md|jsonl|log|coreftp)$/i,
+  /(^|\/)Thumbs\.db$/i
+];
+
+// Folders without manifest.json get one generated on demand (MANIFEST_FFPROBE=1 adds audio metadata)
+const manifestStore = new ManifestStore((folderPath) => pathResolver.resolve(folderPath.split(path.sep).join('/')), {
+  ffprobe: process.env.MANIFEST_FFPROBE === '1',
+  // Generated manifests of watched mounts are reused until the watcher reports a change
+  isWatched: (folderPath) => WATCH_FOLDERS && folderWatcher.isWatching(folderPath.split(path.sep)[0])
+});
+const mimeLookup = new ManifestGenerator();
+
+const searchIndex = new SearchIndex(manifestStore, () => library.getFolderNames());
+
+// File changes under the mounts invalidate generated manifests and are pushed to /api/events
+// subscribers (WATCH_FOLDERS=0 disables watching, e.g. for network shares without inotify)
+const folderWatcher = new FolderWatcher({
+  debounce: parseInt(process.env.WATCH_DEBOUNCE_MS, 10) || undefined
+});
+const WATCH_FOLDERS = process.env.WATCH_FOLDERS !== '0';
+
+folderWatcher.on('change', (folders) => {
+  folders.forEach(folder => manifestStore.invalidate(folder.split('/').join(path.sep)));
+  logger.debug('Library folders changed', { folders });
+  broadcastChange(folders);
+});
+
+if (WATCH_FOLDERS) {
+  folderWatcher.watch(library.mounts.values());
+}
+
+// Mounts may now point at different directories, so cached manifests are stale
+library.on('change', () => {
+  manifestStore.clear();
+  if (WATCH_FOLDERS) {
+    folderWatcher.watch(library.mounts.values());
+  }
+  broadcastChange(library.getFolderNames());
+});
+library.watch();
+
+// Keys come from KEY_STORE_FILE; without it API_KEY acts as a single all-folders admin key
+const keyStore = new KeyStore(KEY_STORE_FILE, { fallbackKey: API_KEY });
+const accountStore = new AccountStore(ACCOUNT_STORE_FILE);
+
+// Rate limits apply per API key or login, and per IP for anonymous requests
+const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+const RATE_LIMIT_MAX = 100; // requests per window, all endpoints
+const MANIFEST_RATE_LIMIT_MAX = 10; // requests per window, manifest endpoint
+
+// Default daily download allowance per key or login (0 = unlimited); keys and accounts may override it
+const DAILY_DOWNLOAD_QUOTA = parseBytes(process.env.DAILY_DOWNLOAD_QUOTA) || 0;
+
+// Rate limit counters and download totals survive restarts
+const usageStore = new UsageStore(USAGE_STORE_FILE);
+
+// Login sessions live in memory; restarting the server logs everyone out
+const sessionStore = new SessionStore({
+  ttl: SESSION_TTL,
+  secure: NODE_ENV === 'production'
+});
+
+// Background admin jobs (manifest regeneration), one at a time
+const jobQueue = new JobQueue();
+
+// Prometheus metrics for /api/metrics; scrapes from localhost need no key only with METRICS_LOCALHOST=1
+const metrics = new Metrics();
+const METRICS_LOCALHOST = process.env.METRICS_LOCALHOST === '1';
+const METRIC = {
+  requests: metrics.counter('file_explorer_http_requests_total', 'Responses by route, method and status'),
+  duration: metrics.histogram('file_explorer_http_request_duration_seconds', 'Time until the response was sent, by route'),
+  bytes: metrics.counter('file_explorer_http_response_bytes_total', 'Response body bytes sent, by route'),
+  rateLimited: metrics.counter('file_explorer_rate_limit_rejections_total', 'Requests rejected by a rate limiter or the download quota'),
+  authFailures: metrics.counter('file_explorer_auth_failures_total', 'Rejected credentials and access attempts, by audit event type'),
+  streams: metrics.gauge('file_explorer_active_streams', 'Open file downloads, ZIP archives and event streams',
+    () => [[{ type: 'events' }, eventClients.size]])
+};
+metrics.counter('file_explorer_manifest_cache_lookups_total', 'Manifest cache lookups by cache and result', () =>
+  Object.entries(manifestStore.stats).flatMap(([cache, { hits, misses }]) => [
+    [{ cache, result: 'hit' }, hits],
+    [{ cache, result: 'miss' }, misses]
+  ])
+);
+metrics.gauge('file_explorer_process_resident_memory_bytes', 'Resident memory of the server process',
+  () => [[{}, process.memoryUsage().rss]]);
+metrics.gauge('file_explorer_process_uptime_seconds', 'Seconds since the server started',
+  () => [[{}, Math.round(process.uptime())]]);
+
+// Resumable uploads into mounts configured with readOnly: false (write scope)
+// Only the listed MIME types (decided by file extension and checked against the content) are accepted
+const UPLOAD_ALLOWED_TYPES = (process.env.UPLOAD_ALLOWED_TYPES ||
+  'audio/mpeg,audio/mp4,audio/flac,audio/wav,application/pdf,image/jpeg,image/png').split(',').map(type => type.trim());
+const uploadStore = new UploadStore(UPLOAD_DIR, {
+  maxSize: parseBytes(process.env.UPLOAD_MAX_SIZE) || undefined,
+  chunkSize: parseBytes(process.env.UPLOAD_CHUNK_SIZE) || undefined
+});
+
+// Admin rename, move and trash in writable mounts, keeping manifests in step
+const fileManager = new FileManager({ library, pathResolver, manifestStore });
+
+// Share links (/s/<token>) give read access to one folder or file without a key
+const shareStore = new ShareStore(SHARE_STORE_FILE);
+
+// Security events (401, 403, missing manifests, lockouts) and file changes for /api/audit
+const auditLog = new AuditLog(AUDIT_LOG_FILE, {
+  maxSize: parseInt(process.env.AUDIT_LOG_MAX_SIZE, 10) || undefined,
+  maxFiles: parseInt(process.env.AUDIT_LOG_MAX_FILES, 10) || undefined
+});
+
+const urlSigner = new UrlSigner(URL_SIGNING_SECRET, {
+  defaultTtl: parseInt(process.env.SIGNED_URL_TTL, 10) || undefined
+});
+
+// Signed manifests stay the same for a while, so browsers can revalidate them (304)
+const signedManifests = new SignedManifestCache(urlSigner);
+
+// === MIDDLEWARE ===
+
+// Client-supplied request ids are kept when they look like ids
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Request ids and access log: every response carries X-Request-Id, error bodies repeat it,
+// and one JSON line per request records status, duration and bytes sent
+app.use((req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id, ip: req.ip });
+  res.set('X-Request-Id', req.id);
+
+  const json = res.json;
+  res.json = function (body) {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && body.error) {
+      body = { ...body, requestId: req.id };
+    }
+    return json.call(this, body);
+  };
+
+  const started = process.hrtime.bigint();
+  countResponseBytes(res, bytes => {
+    const status = res.statusCode;
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = getRouteLabel(req, res);
+    METRIC.requests.inc({ method: req.method, route, status });
+    METRIC.duration.observe({ method: req.method, route }, seconds);
+    METRIC.bytes.inc({ route }, bytes);
+
+    req.log.write(status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info', 'request', {
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      status,
+      durationMs: Math.round(seconds * 1e5) / 100,
+      bytes,
+      aborted: !res.writableFinished,
+      userAgent: req.headers['user-agent']
+    });
+  });
+
+  next();
+});
+
+// CORS configuration
+const corsOptions = {
+  origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['http://localhost:3000', 'http://localhost:8000'],
+  credentials: true,
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'X-API-Key', 'X-CSRF-Token', 'X-Request-Id', 'Range', 'If-Range', 'If-None-Match', 'If-Modified-Since', 'Upload-Offset'],
+  exposedHeaders: ['Accept-Ranges', 'Content-Range', 'Content-Length', 'ETag', 'Last-Modified', 'X-Request-Id', 'Location', 'Upload-Offset']
+};
+
+app.use(cors(corsOptions));
+app.use(express.json());
+
+// CSRF protection: requests authenticated by the session cookie that change state
+// must send the session's token in X-CSRF-Token (API key requests carry no ambient credentials)
+// Share pages never act on the session, so a logged-in admin can open them too
+app.use((req, res, next) => {
+  if (req.headers['x-api-key'] || req.path === '/api/login' || req.path.startsWith('/s/')) {
+    return next();
+  }
+
+  const session = sessionStore.fromRequest(req);
+  if (session && !sessionStore.checkCsrf(req, session)) {
+    reportSecurityEvent(req, 'csrf', 'CSRF token mismatch', { username: session.username });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Invalid or missing CSRF token'
+    });
+  }
+
+  next();
+});
+
+// Repeated 401s lock an IP out of the key-checking endpoints with growing delays
+const authGuard = new AuthGuard({
+  onLockout: (req, seconds) => reportSecurityEvent(req, 'lockout', 'IP locked out after repeated authentication failures', { lockoutSeconds: seconds })
+});
+const guardAuth = authGuard.middleware();
+
+// Rate limiting
+const limiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: RATE_LIMIT_MAX, // limit each key, login or anonymous IP to 100 requests per windowMs
+  keyGenerator: getClientKey,
+  store: usageStore.createLimiterStore('general'),
+  handler: rejectRateLimited('general'),
+  // A multi-GB upload takes many chunks; they need a write-scoped key and are bounded by the upload's size
+  // Protected files were already counted by the static layer when they fall through to a route
+  skip: (req) => req.rateLimitCounted || (req.method === 'PUT' && req.path.startsWith('/api/uploads/')),
+  message: {
+    error: 'Too Many Requests',
+    message: 'Too many requests, please try again later.'
+  },
+  standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
+  legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+});
+
+const strictLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: MANIFEST_RATE_LIMIT_MAX, // Stricter limit for manifest endpoint
+  keyGenerator: getClientKey,
+  store: usageStore.createLimiterStore('manifest'),
+  handler: rejectRateLimited('manifest'),
+  message: {
+    error: 'Too Many Requests',
+    message: 'Rate limit exceeded. Please try again later.'
+  },
+  // 304 Not Modified revalidations of an unchanged manifest do not count against the limit
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode === 304,
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Static files: public site assets are anonymous, whitelisted folders need a key or signed URL
+app.use(createProtectedStatic({
+  root: process.cwd(),
+  resolvePath: (relativePath) => pathResolver.resolve(relativePath),
+  publicPaths: PUBLIC_PATHS,
+  deniedPatterns: DENIED_PATHS,
+  isProtected: (relativePath) => validateFolderPath(relativePath),
+  guard: guardAuth,
+  // Library files count against the same per-key, per-login or per-IP limit as the API
+  limiter: (req, res, next) => limiter(req, res, () => {
+    req.rateLimitCounted = true;
+    next();
+  }),
+  authorize: (req, relativePath) => {
+    const keyRecord = validateApiKey(req) || validateSignedUrl(req, relativePath) || getPublicReader(relativePath);
+    return keyRecord && canAccessPath(keyRecord, relativePath) ? keyRecord : null;
+  },
+  beforeSend: (req, res, keyRecord, relativePath, stats) => {
+    if (!checkShareDownload(req, res, keyRecord, stats) || !checkDownloadQuota(req, res, keyRecord)) {
+      return false;
+    }
+    trackStream(res, 'file');
+    return true;
+  },
+  onUnauthorized: (req, relativePath) => reportSecurityEvent(req, 'unauthorized', 'Unauthorized file request', { path: relativePath }),
+  contentType: (relativePath, absolutePath) => {
+    const entry = manifestStore.findFileEntry(relativePath);
+    return (entry && entry.type) || mimeLookup.getMimeType(absolutePath);
+  }
+}));
+
+app.use(limiter);
+
+// Query parameters and JSON bodies of documented routes are checked against lib/openapi.js
+// Credentials come first: locked-out IPs and requests a route would answer with 401 reach that route,
+// so they get its 429/401 (and count towards the lockout) instead of schema details
+const requestValidator = new RequestValidator(openApiDocument);
+app.use(requestValidator.middleware({
+  skip: (req, operation, access) => {
+    if (access === 'public') {
+      return false;
+    }
+    if (authGuard.getRetryAfter(req.ip) > 0) {
+      return true;
+    }
+    if (validateApiKey(req)) {
+      return false;
+    }
+    return access === 'required' || Boolean(req.headers['x-api-key']);
+  }
+}));
+
+// === HELPER FUNCTIONS ===
+
+/**
+ * Turn TRUST_PROXY into Express's "trust proxy" value (false when unset)
+ */
+function parseTrustProxy(value) {
+  if (!value || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Validate the X-API-Key header, or the login session cookie when no key is sent
+ * Returns the matching key record (or the account as a key-like record), or null
+ */
+function validateApiKey(req) {
+  const record = req.headers['x-api-key'] ? keyStore.verify(req.headers['x-api-key']) : validateSession(req);
+
+  // Only a key or login that checked out clears the IP's failed attempts (see AuthGuard)
+  if (record) {
+    req.authenticated = true;
+  }
+  return record;
+}
+
+/**
+ * Resolve the session cookie to its account, as { id: 'user:name', folders, scopes }
+ * Sessions of removed or disabled accounts are ended
+ */
+function validateSession(req) {
+  const session = sessionStore.fromRequest(req);
+  if (!session) {
+    return null;
+  }
+
+  const record = getAccountRecord(session.username);
+  if (!record) {
+    sessionStore.destroy(session.id);
+  }
+  return record;
+}
+
+/**
+ * Key-like record for an account, so grants and signed URLs work the same as for keys
+ */
+function getAccountRecord(username) {
+  const account = accountStore.get(username);
+  if (!account || account.disabled) {
+    return null;
+  }
+
+  return {
+    id: `user:${account.username}`,
+    label: account.username,
+    folders: account.folders || [],
+    scopes: account.scopes || ['read'],
+    dailyQuota: account.dailyQuota
+  };
+}
+
+/**
+ * Key-like record for a share link: read access to the shared folder or file only
+ */
+function getShareRecord(share) {
+  if (!share) {
+    return null;
+  }
+
+  return {
+    id: `share:${share.id}`,
+    label: share.label,
+    folders: [share.path],
+    scopes: ['read'],
+    share
+  };
+}
+
+/**
+ * Validate exp/kid/sig query parameters for a signed resource
+ * Returns the record of the key, account or share link that signed it, or null if it was revoked
+ */
+function validateSignedUrl(req, resource) {
+  const result = urlSigner.verify(resource, req.query);
+  if (!result.valid) {
+    return null;
+  }
+
+  if (result.keyId.startsWith('share:')) {
+    return getShareRecord(shareStore.get(result.keyId.slice('share:'.length)));
+  }
+  return result.keyId.startsWith('user:')
+    ? getAccountRecord(result.keyId.slice('user:'.length))
+    : keyStore.get(result.keyId);
+}
+
+/**
+ * Name under which a key or login is rate limited and metered
+ * Anonymous readers of public mounts are counted per IP
+ */
+function getIdentity(keyRecord, req) {
+  if (!keyRecord || keyRecord.id === 'anonymous') {
+    return `ip:${req.ip}`;
+  }
+  return keyRecord.id.startsWith('user:') || keyRecord.id.startsWith('share:') ? keyRecord.id : `key:${keyRecord.id}`;
+}
+
+/**
+ * Rate limit key: the API key or login of the request, otherwise its IP
+ */
+function getClientKey(req) {
+  return getIdentity(validateApiKey(req), req);
+}
+
+/**
+ * Daily download allowance in bytes for a key or login (0 = unlimited)
+ */
+function getDailyQuota(keyRecord) {
+  return keyRecord && typeof keyRecord.dailyQuota === 'number' ? keyRecord.dailyQuota : DAILY_DOWNLOAD_QUOTA;
+}
+
+/**
+ * Enforce the daily download quota before a file or archive is sent
+ * Sends 429 and returns false once the quota is used up; otherwise meters the response body
+ * A download that starts within the quota is allowed to finish
+ */
+function checkDownloadQuota(req, res, keyRecord) {
+  const identity = getIdentity(keyRecord, req);
+  const quota = getDailyQuota(keyRecord);
+  const used = usageStore.getBytes(identity);
+
+  if (quota > 0) {
+    const secondsToReset = Math.ceil((currentDay().resetTime.getTime() - Date.now()) / 1000);
+    res.set('X-Download-Quota-Limit', String(quota));
+    res.set('X-Download-Quota-Remaining', String(Math.max(quota - used, 0)));
+    res.set('X-Download-Quota-Reset', String(secondsToReset));
+
+    if (used >= quota) {
+      METRIC.rateLimited.inc({ limiter: 'download_quota' });
+      reportSecurityEvent(req, 'quota_exceeded', 'Download quota exceeded', { identity, usedBytes: used, quotaBytes: quota });
+      res.set('Retry-After', String(secondsToReset));
+      res.status(429).json({
+        error: 'Too Many Requests',
+        message: 'Daily download quota exceeded. Please try again tomorrow.'
+      });
+      return false;
+    }
+  }
+
+  if (req.method !== 'HEAD') {
+    countResponseBytes(res, bytes => usageStore.addBytes(identity, bytes));
+  }
+  return true;
+}
+
+/**
+ * Count a download against a share link's limit before a file is sent
+ * Every response that includes the first byte (the whole file, bytes=0-, a suffix range covering the file)
+ * starts a download; ranges further in (seeking, resuming) continue one and are still served after the
+ * limit is reached. Range headers sendFile would ignore are refused, so they cannot skip the count.
+ * Sends 403 or 416 and returns false when the file must not be sent
+ */
+function checkShareDownload(req, res, keyRecord, stats) {
+  if (!keyRecord || !keyRecord.share || req.method !== 'GET') {
+    return true;
+  }
+
+  // Multi-range and malformed headers would be answered with the whole file
+  if (req.headers.range && parseRange(req.headers.range, stats.size) === null) {
+    res.set('Content-Range', `bytes */${stats.size}`);
+    res.status(416).json({
+      error: 'Range Not Satisfiable',
+      message: 'Share links only accept a single byte range'
+    });
+    return false;
+  }
+
+  const range = getServedRange(req, stats);
+  if (range === -1 || (range && range.start > 0)) {
+    return true;
+  }
+
+  if (!shareStore.recordDownload(keyRecord.share)) {
+    reportSecurityEvent(req, 'forbidden', 'Share link download limit reached', { keyId: keyRecord.id });
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'This link has reached its download limit'
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Check that a request comes from this server's page or an allowed CORS origin
+ * Requests without an Origin header (curl, same-origin GET) pass
+ */
+function isAllowedOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) {
+    return true;
+  }
+
+  return origin === `${req.protocol}://${req.get('host')}` || corsOptions.origin.includes(origin);
+}
+
+/**
+ * Read-only key record for mounts configured with requiresAuth: false
+ * Returns null for mounts that need a key
+ */
+function getPublicReader(targetPath) {
+  const mount = library.getMount(targetPath);
+  if (!mount || mount.requiresAuth !== false) {
+    return null;
+  }
+
+  return { id: 'anonymous', label: 'Public mount', folders: [mount.name], scopes: ['read'] };
+}
+
+/**
+ * Check that a path is whitelisted and granted to the given key
+ */
+function canAccessPath(keyRecord, targetPath) {
+  return validateFolderPath(targetPath) && KeyStore.canAccess(keyRecord, normalizePath(targetPath));
+}
+
+/**
+ * Whitelisted folders visible to a key, including narrower grants inside them
+ */
+function getAccessibleFolders(keyRecord) {
+  const folders = library.getFolderNames().filter(folder => KeyStore.canAccess(keyRecord, folder));
+  const grants = keyRecord.folders.filter(grant => grant !== '*' && validateFolderPath(grant));
+
+  return [...new Set([...folders, ...grants])];
+}
+
+/**
+ * Validate folder path: safe (see lib/path-resolver.js) and under a whitelisted mount
+ */
+function validateFolderPath(folderPath) {
+  return pathResolver.isAllowed(folderPath);
+}
+
+/**
+ * Collect the files of a folder's manifest that exist on disk and the key may read
+ * Archive names are prefixed with the folder name so the ZIP extracts into one directory
+ */
+function collectArchiveFiles(folderPath, manifest, keyRecord) {
+  const files = [];
+
+  const walk = (node, prefix) => {
+    (node.files || []).forEach(entry => {
+      const relativePath = decodeManifestPath(entry.path);
+      if (entry.name === 'manifest.json' || !canAccessPath(keyRecord, relativePath) ||
+          DENIED_PATHS.some(pattern => pattern.test(relativePath))) {
+        return;
+      }
+
+      const absolutePath = pathResolver.resolve(relativePath);
+      try {
+        if (!absolutePath) {
+          throw new Error('Unresolvable path');
+        }
+        const stats = fs.statSync(absolutePath);
+        if (stats.isFile()) {
+          files.push({ name: prefix + entry.name, filePath: absolutePath, size: stats.size, mtime: stats.mtime });
+        }
+      } catch {
+        logger.warn('Archive skipped missing file', { path: relativePath });
+      }
+    });
+
+    (node.folders || []).forEach(folder => walk(folder, `${prefix}${folder.name}/`));
+  };
+
+  walk(manifest, `${path.basename(folderPath)}/`);
+  return files;
+}
+
+/**
+ * Turn a manifest web path ("/pub_ab/Series/Book.mp3") into a relative file path
+ */
+function decodeManifestPath(webPath) {
+  return normalizePath(String(webPath).replace(/^\/+/, '')) || '';
+}
+
+/**
+ * Whether files may be added under a path: its mount is configured with readOnly: false
+ */
+function isWritableFolder(folderPath) {
+  const mount = library.getMount(folderPath);
+  return Boolean(mount && mount.readOnly === false);
+}
+
+/**
+ * Check an uploaded file name: one visible path segment, not a manifest and not on the deny-list
+ */
+function isValidUploadName(name) {
+  return FileManager.isValidName(name) && !DENIED_PATHS.some(pattern => pattern.test(name));
+}
+
+/**
+ * Find an unfinished upload of the calling key (admins see all), answering 401/403/404 itself
+ * @returns {{ apiKey: object, upload: object }|null} null when a response was sent
+ */
+function findUpload(req, res) {
+  const apiKey = authorizeScope(req, res, 'write', 'Upload');
+  if (!apiKey) {
+    return null;
+  }
+
+  const upload = uploadStore.get(req.params.id);
+  if (!upload || (upload.createdBy !== apiKey.id && !KeyStore.hasScope(apiKey, 'admin'))) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Upload not found'
+    });
+    return null;
+  }
+
+  return { apiKey, upload };
+}
+
+/**
+ * Move a complete upload into its folder and add it, with ffprobe audio metadata, to the folder's manifest.json
+ * Errors carry the status and error name to answer with
+ * @returns {Promise<{ entry: object, manifest: string|null }>} the manifest entry and the manifest that lists it
+ */
+async function completeUpload(req, upload) {
+  const reject = (status, error, message) => Object.assign(new Error(message), { status, error });
+
+  if (!isWritableFolder(upload.folder)) {
+    throw reject(403, 'Forbidden', 'Folder is read-only');
+  }
+
+  if (!await uploadStore.checkSignature(upload)) {
+    uploadStore.remove(upload);
+    throw reject(415, 'Unsupported Media Type', `File content does not match its type (${upload.type})`);
+  }
+
+  const relativePath = `${upload.folder}/${upload.name}`;
+  const targetPath = pathResolver.resolve(relativePath, { allowMissing: true });
+  if (!targetPath) {
+    throw reject(403, 'Forbidden', 'Access to this folder is not allowed');
+  }
+
+  await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+  try {
+    await uploadStore.moveInto(upload, targetPath);
+  } catch (error) {
+    throw error.code === 'EEXIST' ? reject(409, 'Conflict', 'A file with this name already exists') : error;
+  }
+
+  const entry = { name: upload.name, path: '/' + relativePath, size: upload.size, type: upload.type };
+  if (upload.type.startsWith('audio/')) {
+    const audio = await mimeLookup.probeAudioMetadata(targetPath);
+    if (audio) {
+      entry.audio = audio;
+    }
+  }
+
+  // Folders without manifest.json keep getting theirs generated, which now includes the file
+  const folder = upload.folder.split('/').join(path.sep);
+  let manifestFolder = null;
+  try {
+    manifestFolder = manifestStore.addFileEntry(folder, entry);
+  } catch (error) {
+    req.log.error('Manifest update after upload failed', { folder: upload.folder, error: error.message });
+  }
+  manifestStore.invalidate(folder);
+
+  announceChange([upload.folder]);
+
+  return { entry, manifest: manifestFolder && `${manifestFolder.split(path.sep).join('/')}/manifest.json` };
+}
+
+/**
+ * Log a security event and append it to the audit log
+ * @param {string} type - unauthorized, forbidden, not_found, csrf, login_failed, origin_denied, lockout, quota_exceeded
+ */
+function reportSecurityEvent(req, type, message, fields = {}) {
+  req.log.security(message, { event: type, ...fields });
+  if (type !== 'quota_exceeded') {
+    METRIC.authFailures.inc({ type });
+  }
+
+  recordAuditEvent(req, type, message, fields);
+}
+
+/**
+ * Append an event to the audit log
+ * @param {string} type - a security event type, or file_uploaded, file_renamed, file_moved, file_trashed, file_restored, file_purged,
+ *   share_created, share_revoked
+ */
+function recordAuditEvent(req, type, message, fields = {}) {
+  // Requests rejected before their target was checked still record the folder they asked for
+  const { keyId = null, folder, path: targetPath, ...details } = fields;
+  const requested = [folder, targetPath, req.query.folder, req.query.path].find(value => typeof value === 'string');
+
+  auditLog.record({
+    type,
+    ip: req.ip,
+    keyId,
+    folder: requested || null,
+    method: req.method,
+    url: redactUrl(req.originalUrl),
+    userAgent: req.headers['user-agent'] || null,
+    requestId: req.id,
+    message,
+    ...details
+  });
+}
+
+/**
+ * express-rate-limit handler that counts the rejection before answering 429
+ */
+function rejectRateLimited(limiter) {
+  return (req, res, next, options) => {
+    METRIC.rateLimited.inc({ limiter });
+    res.status(options.statusCode).json(options.message);
+  };
+}
+
+/**
+ * Route pattern for metric labels, so /api/jobs/<id> is counted as /api/jobs/:id
+ */
+function getRouteLabel(req, res) {
+  if (req.route) {
+    return req.baseUrl + req.route.path;
+  }
+  // Protected and public files are served by middleware, not routes
+  return res.statusCode === 404 ? 'not_found' : 'static';
+}
+
+/**
+ * Count an open download until its connection closes
+ */
+function trackStream(res, type) {
+  METRIC.streams.inc({ type });
+  res.once('close', () => METRIC.streams.dec({ type }));
+}
+
+/**
+ * Requests made on this machine. Without TRUST_PROXY a local proxy looks like localhost,
+ * so requests carrying forwarding headers never count; with it, req.ip is the forwarded client
+ */
+function isLocalRequest(req) {
+  const address = (TRUST_PROXY ? req.ip : req.socket.remoteAddress) || '';
+  if (!['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(address)) {
+    return false;
+  }
+  return Boolean(TRUST_PROXY) || (!req.headers['x-forwarded-for'] && !req.headers['x-real-ip']);
+}
+
+/**
+ * Authenticate an admin request, answering 401/403 itself
+ * @returns {object|null} the key record, or null when a response was sent
+ */
+function authorizeAdmin(req, res, action) {
+  return authorizeScope(req, res, 'admin', action);
+}
+
+/**
+ * Authenticate a request that needs a scope ("write", "admin"), answering 401/403 itself
+ * @returns {object|null} the key record, or null when a response was sent
+ */
+function authorizeScope(req, res, scope, action) {
+  const apiKey = validateApiKey(req);
+  if (!apiKey) {
+    reportSecurityEvent(req, 'unauthorized', 'Unauthorized request - Missing or invalid API key');
+    res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid or missing API key'
+    });
+    return null;
+  }
+
+  if (!KeyStore.hasScope(apiKey, scope)) {
+    reportSecurityEvent(req, 'forbidden', `${action} requested without ${scope} scope`, { keyId: apiKey.id });
+    res.status(403).json({
+      error: 'Forbidden',
+      message: `${scope[0].toUpperCase()}${scope.slice(1)} scope required`
+    });
+    return null;
+  }
+
+  return apiKey;
+}
+
+/**
+ * Hide signatures and share tokens in logged URLs, so log readers cannot reuse signed or shared links
+ */
+function redactUrl(url) {
+  return url.replace(/([?&]sig=)[^&]*/g, '$1REDACTED').replace(/^(\/s\/)[^/?]+/, '$1REDACTED');
+}
+
+/**
+ * Interpret flag-style query parameters (?signed=1, ?signed=true)
+ */
+function isTruthyParam(value) {
+  return value === '1' || value === 'true' || value === 'yes';
+}
+
+// === LIVE CHANGE FEED ===
+
+const MAX_EVENT_CLIENTS = 100;
+const EVENT_HEARTBEAT_MS = 25 * 1000; // keeps proxies from closing idle streams
+
+// Open /api/events streams: { req, res }
+const eventClients = new Set();
+
+setInterval(() => {
+  eventClients.forEach(client => client.res.write(': ping\n\n'));
+}, EVENT_HEARTBEAT_MS).unref();
+
+/**
+ * Send a change event to every subscriber that may see at least one of the folders
+ * Credentials are checked again on each event, so expired sessions and revoked keys stop receiving;
+ * anonymous subscribers only see public mounts
+ */
+function broadcastChange(folders) {
+  const time = new Date().toISOString();
+
+  eventClients.forEach(client => {
+    const apiKey = client.anonymous ? null : validateApiKey(client.req);
+    if (!client.anonymous && !apiKey) {
+      client.res.end();
+      return;
+    }
+
+    const visible = folders.filter(folder => apiKey
+      ? canAccessPath(apiKey, folder)
+      : validateFolderPath(folder) && Boolean(getPublicReader(folder)));
+    if (visible.length > 0) {
+      client.res.write(`event: change\ndata: ${JSON.stringify({ folders: visible, time })}\n\n`);
+    }
+  });
+}
+
+/**
+ * Push folders changed through the API; with watching enabled the folder watcher reports them
+ */
+function announceChange(folders) {
+  if (!WATCH_FOLDERS) {
+    broadcastChange(folders);
+  }
+}
+
+/**
+ * Answer a file management request (admin scope): check that the key's grants cover every path,
+ * run the change, record it in the audit log and announce the changed folders
+ * @param {function(object): Promise<{ type, message, fields, changed, result }>} run - Gets the key record;
+ *   errors with a status are answered with it
+ */
+async function handleFileChange(req, res, action, paths, run) {
+  const apiKey = authorizeAdmin(req, res, action);
+  if (!apiKey) {
+    return;
+  }
+
+  const denied = paths.find(target => typeof target === 'string' && !canAccessPath(apiKey, target.replace(/^\/+/, '')));
+  if (denied) {
+    reportSecurityEvent(req, 'forbidden', `Forbidden request - ${action} outside granted folders`, { path: denied, keyId: apiKey.id });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Access to this folder is not allowed'
+    });
+  }
+
+  try {
+    const { type, message, fields, changed, result } = await run(apiKey);
+    req.log.info(message, { keyId: apiKey.id, ...fields });
+    if (result && result.manifestError) {
+      req.log.warn(`${action} left manifests unchanged`, { ...fields, manifestError: result.manifestError });
+    }
+    recordAuditEvent(req, type, message, { keyId: apiKey.id, ...fields });
+    announceChange(changed);
+
+    if (result === null) {
+      return res.status(204).end();
+    }
+    res.json(result);
+  } catch (error) {
+    req.log[error.status ? 'warn' : 'error'](`${action} failed`, { error: error.message });
+    res.status(error.status || 500).json({
+      error: error.error || 'Server Error',
+      message: error.status ? error.message : `${action} failed`
+    });
+  }
+}
+
+// === ROUTES ===
+
+// Routes beyond api.php's health/manifest/folders; pages hide what the backend does not offer
+const FEATURES = ['archive', 'events', 'login', 'search', 'shares', 'uploads'];
+
+/**
+ * Health check endpoint
+ */
+function handleHealth(req, res) {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    environment: NODE_ENV,
+    features: FEATURES
+  });
+}
+
+app.get('/api/health', handleHealth);
+
+// Readiness results are reused briefly, so frequent probes do not walk the library each time
+const READY_CACHE_MS = 5000;
+const HEALTH_MIN_FREE_SPACE = parseBytes(process.env.HEALTH_MIN_FREE_SPACE || '100M') || 0;
+let readiness = null; // { checkedAt, promise }
+
+/**
+ * Deep readiness check: mounts readable, manifests valid, ffprobe, disk space
+ * GET /api/health/ready - 200 when ready, 503 with the failing checks otherwise
+ */
+app.get('/api/health/ready', async (req, res) => {
+  if (!readiness || Date.now() - readiness.checkedAt > READY_CACHE_MS) {
+    readiness = {
+      checkedAt: Date.now(),
+      promise: checkReadiness({
+        mounts: [...library.mounts.values()],
+        manifestStore,
+        dataDir: path.dirname(USAGE_STORE_FILE),
+        ffprobe: process.env.MANIFEST_FFPROBE === '1',
+        minFreeBytes: HEALTH_MIN_FREE_SPACE
+      })
+    };
+  }
+
+  try {
+    const { ready, checks } = await readiness.promise;
+    if (!ready) {
+      req.log.warn('Readiness check failed', { checks });
+    }
+
+    res.status(ready ? 200 : 503).set('Cache-Control', 'no-store').json({
+      status: ready ? 'ready' : 'not_ready',
+      version: VERSION,
+      uptime: Math.round(process.uptime()),
+      timestamp: new Date().toISOString(),
+      checks
+    });
+  } catch (error) {
+    readiness = null;
+    req.log.error('Readiness check crashed', { error: error.message });
+    res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Readiness check failed'
+    });
+  }
+});
+
+
+// Failed logins count against this limit, successful ones do not
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    error: 'Too Many Requests',
+    message: 'Too many login attempts. Please try again later.'
+  },
+  store: usageStore.createLimiterStore('login'),
+  handler: rejectRateLimited('login'),
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Log in with a username and password
+ * POST /api/login { username, password }
+ * Sets an HttpOnly session cookie and returns the CSRF token for state-changing requests
+ */
+app.post('/api/login', loginLimiter, async (req, res) => {
+  // Login CSRF: only this page and configured origins may log a browser in
+  if (!isAllowedOrigin(req)) {
+    reportSecurityEvent(req, 'origin_denied', 'Login from disallowed origin', { origin: req.headers.origin });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Origin not allowed'
+    });
+  }
+
+  const { username, password } = req.body || {};
+  if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Username and password are required'
+    });
+  }
+
+  try {
+    const account = await accountStore.authenticate(username, password);
+    if (!account) {
+      reportSecurityEvent(req, 'login_failed', 'Failed login', { username });
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid username or password'
+      });
+    }
+
+    // Replace any previous session so a planted session id cannot be reused
+    const previous = sessionStore.fromRequest(req);
+    if (previous) {
+      sessionStore.destroy(previous.id);
+    }
+
+    const session = sessionStore.create(account.username);
+    sessionStore.setCookie(res, session);
+    req.log.info('Login', { username: account.username });
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      authenticated: true,
+      username: account.username,
+      folders: account.folders,
+      scopes: account.scopes,
+      csrfToken: session.csrfToken,
+      expires: new Date(session.expires).toISOString()
+    });
+  } catch (error) {
+    req.log.error('Login failed', { error: error.message });
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'An error occurred while processing your request'
+    });
+  }
+});
+
+/**
+ * End the current session
+ * POST /api/logout (requires X-CSRF-Token)
+ */
+app.post('/api/logout', (req, res) => {
+  const session = sessionStore.fromRequest(req);
+  if (session) {
+    sessionStore.destroy(session.id);
+    req.log.info('Logout', { username: session.username });
+  }
+
+  sessionStore.clearCookie(res);
+  res.set('Cache-Control', 'no-store');
+  res.json({ authenticated: false });
+});
+
+/**
+ * Current login state, so the page can restore a session after a reload
+ * GET /api/session
+ */
+app.get('/api/session', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  const session = sessionStore.fromRequest(req);
+  const record = session && validateSession(req);
+  if (!record) {
+    return res.json({ authenticated: false });
+  }
+
+  res.json({
+    authenticated: true,
+    username: session.username,
+    folders: record.folders,
+    scopes: record.scopes,
+    csrfToken: session.csrfToken,
+    expires: new Date(session.expires).toISOString()
+  });
+});
+
+/**
+ * Main manifest API endpoint
+ * GET /api/manifest?folder=path/to/folder[&signed=1&expires=seconds]
+ * With signed=1 every file path is replaced by a signed, expiring download URL
+ */
+function handleManifest(req, res) {
+  try {
+    // Validate API key (mounts with requiresAuth: false can be read without one)
+    const apiKey = validateApiKey(req) ||
+      (typeof req.query.folder === 'string' && getPublicReader(req.query.folder));
+    if (!apiKey) {
+      reportSecurityEvent(req, 'unauthorized', 'Unauthorized manifest request - Missing or invalid API key');
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid or missing API key'
+      });
+    }
+
+    // Get folder path from query parameter
+    const folderPath = req.query.folder || '';
+
+    if (!folderPath) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Folder parameter is required (use ?folder=path)'
+      });
+    }
+
+    // Validate folder path
+    if (!validateFolderPath(folderPath)) {
+      reportSecurityEvent(req, 'forbidden', 'Forbidden manifest request - Path not in whitelist', { folder: folderPath, keyId: apiKey.id });
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Access to this folder is not allowed'
+      });
+    }
+
+    // Validate the key's folder grants
+    if (!KeyStore.canAccess(apiKey, normalizePath(folderPath))) {
+      reportSecurityEvent(req, 'forbidden', 'Forbidden manifest request - Key has no grant for folder', { keyId: apiKey.id, folder: folderPath });
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Access to this folder is not allowed'
+      });
+    }
+
+    // Load manifest.json, or generate one from the directory like api.php does
+    const result = manifestStore.getManifest(normalizePath(folderPath).split('/').join(path.sep));
+
+    if (!result) {
+      reportSecurityEvent(req, 'not_found', 'Manifest not found', { folder: folderPath });
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Manifest file or folder not found'
+      });
+    }
+
+    const { manifest, source, lastModified } = result;
+
+    // Signed copies change when their rounded expiry moves on, so they are validated by ETag only;
+    // a Last-Modified date would call a copy with expiring URLs unchanged
+    if (isTruthyParam(req.query.signed)) {
+      const signed = signedManifests.get(manifest, { expiresIn: req.query.expires, keyId: apiKey.id });
+      const status = sendCachedJson(req, res, signed, { cacheControl: 'private, no-cache' });
+      req.log.info(status === 304 ? 'Signed manifest not modified' : 'Signed manifest served', { folder: folderPath, source, keyId: apiKey.id });
+      return;
+    }
+
+    // Clients revalidate with If-None-Match / If-Modified-Since and get a 304 while unchanged
+    const status = sendCachedJson(req, res, manifest, {
+      lastModified,
+      cacheControl: 'private, no-cache'
+    });
+
+    // Log successful request
+    req.log.info(status === 304 ? 'Manifest not modified' : 'Manifest served', { folder: folderPath, source, keyId: apiKey.id });
+
+  } catch (error) {
+    req.log.error('Manifest request failed', { error: error.message });
+
+    // Don't expose internal error details to client
+    if (error instanceof SyntaxError) {
+      return res.status(500).json({
+        error: 'Server Error',
+        message: 'Invalid manifest file format'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'An error occurred while processing your request'
+    });
+  }
+}
+
+app.get('/api/manifest', guardAuth, strictLimiter, handleManifest);
+
+/**
+ * Stream a file from an allowed folder with HTTP Range support
+ * GET|HEAD /api/files/stream?path=path/to/file.mp3
+ */
+app.get('/api/files/stream', guardAuth, (req, res) => {
+  const filePath = req.query.path;
+  const apiKey = validateApiKey(req) ||
+    (typeof filePath === 'string' && (validateSignedUrl(req, filePath) || getPublicReader(filePath)));
+
+  if (!apiKey) {
+    reportSecurityEvent(req, 'unauthorized', 'Unauthorized stream request - Missing or invalid API key');
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid or missing API key'
+    });
+  }
+
+  if (!filePath || typeof filePath !== 'string') {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'File path is required (use ?path=folder/file)'
+    });
+  }
+
+  if (!canAccessPath(apiKey, filePath) || DENIED_PATHS.some(pattern => pattern.test(filePath))) {
+    reportSecurityEvent(req, 'forbidden', 'Forbidden stream request - Path not in whitelist', { path: filePath, keyId: apiKey.id });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Access to this file is not allowed'
+    });
+  }
+
+  const normalizedPath = normalizePath(filePath);
+  const absolutePath = pathResolver.resolve(normalizedPath);
+
+  let stats;
+  try {
+    stats = absolutePath ? fs.statSync(absolutePath) : null;
+  } catch {
+    stats = null;
+  }
+
+  if (!stats || !stats.isFile()) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'File not found'
+    });
+  }
+
+  // Prefer the MIME type recorded in the manifest, fall back to the extension map
+  const entry = manifestStore.findFileEntry(normalizedPath);
+  const contentType = (entry && entry.type) || mimeLookup.getMimeType(absolutePath);
+
+  if (!checkShareDownload(req, res, apiKey, stats) || !checkDownloadQuota(req, res, apiKey)) {
+    return;
+  }
+
+  trackStream(res, 'file');
+  sendFile(req, res, absolutePath, { contentType, stats });
+});
+
+/**
+ * Current rate limit and download quota usage of the calling key or login
+ * GET /api/me/usage
+ */
+app.get('/api/me/usage', guardAuth, (req, res) => {
+  const apiKey = validateApiKey(req);
+  if (!apiKey) {
+    reportSecurityEvent(req, 'unauthorized', 'Unauthorized request - Missing or invalid API key');
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid or missing API key'
+    });
+  }
+
+  const identity = getIdentity(apiKey, req);
+
+  const requestUsage = (prefix, limit) => {
+    const entry = usageStore.getHits(prefix, identity);
+    const used = entry ? entry.count : 0;
+    return {
+      limit,
+      used,
+      remaining: Math.max(limit - used, 0),
+      reset: new Date(entry ? entry.resetTime : Date.now() + RATE_LIMIT_WINDOW_MS).toISOString()
+    };
+  };
+
+  const quota = getDailyQuota(apiKey);
+  const usedBytes = usageStore.getBytes(identity);
+  const { day, resetTime } = currentDay();
+
+  res.set('Cache-Control', 'private, no-store');
+  res.json({
+    identity,
+    label: apiKey.label,
+    requests: {
+      windowSeconds: RATE_LIMIT_WINDOW_MS / 1000,
+      general: requestUsage('general', RATE_LIMIT_MAX),
+      manifest: requestUsage('manifest', MANIFEST_RATE_LIMIT_MAX)
+    },
+    downloads: {
+      day,
+      usedBytes,
+      quotaBytes: quota || null,
+      remainingBytes: quota ? Math.max(quota - usedBytes, 0) : null,
+      reset: resetTime.toISOString()
+    }
+  });
+});
+
+/**
+ * Security audit log, newest events first (admin scope)
+ * GET /api/audit?from=&to=&type=unauthorized,forbidden&ip=&keyId=&limit=100
+ */
+app.get('/api/audit', guardAuth, async (req, res) => {
+  if (!authorizeAdmin(req, res, 'Audit log')) {
+    return;
+  }
+
+  const { filter, error } = parseAuditQuery(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: error
+    });
+  }
+
+  try {
+    const { total, events } = await auditLog.query(filter);
+    res.set('Cache-Control', 'private, no-store');
+    res.json({ total, count: events.length, events });
+  } catch (err) {
+    req.log.error('Audit log query failed', { error: err.message });
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Failed to read audit log'
+    });
+  }
+});
+
+/**
+ * Prometheus metrics (metrics or admin scope, or localhost with METRICS_LOCALHOST=1)
+ * GET /api/metrics
+ */
+app.get('/api/metrics', guardAuth, (req, res) => {
+  if (!(METRICS_LOCALHOST && isLocalRequest(req)) && !authorizeScope(req, res, 'metrics', 'Metrics')) {
+    return;
+  }
+
+  res.set('Content-Type', Metrics.CONTENT_TYPE);
+  res.set('Cache-Control', 'no-store');
+  res.send(metrics.render());
+});
+
+/**
+ * Regenerate a folder's manifest.json as a background job (admin scope, granted writable folders)
+ * POST /api/manifest/regenerate?folder=path[&ffprobe=1]
+ * Answers 202 with the job; follow it with GET /api/jobs/:id
+ */
+app.post('/api/manifest/regenerate', guardAuth, (req, res) => {
+  const apiKey = authorizeAdmin(req, res, 'Manifest regeneration');
+  if (!apiKey) {
+    return;
+  }
+
+  const folderPath = typeof req.query.folder === 'string' ? req.query.folder.replace(/^\/+|\/+$/g, '') : '';
+  if (!folderPath) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Folder parameter is required (use ?folder=path)'
+    });
+  }
+
+  if (!canAccessPath(apiKey, folderPath)) {
+    reportSecurityEvent(req, 'forbidden', 'Forbidden regenerate request - Path not in whitelist', { folder: folderPath, keyId: apiKey.id });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Access to this folder is not allowed'
+    });
+  }
+
+  if (!isWritableFolder(folderPath)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Folder is read-only'
+    });
+  }
+
+  const dirPath = pathResolver.resolve(folderPath);
+  let stats = null;
+  try {
+    stats = dirPath ? fs.statSync(dirPath) : null;
+  } catch {
+    stats = null;
+  }
+  if (!stats || !stats.isDirectory()) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Folder not found'
+    });
+  }
+
+  const ffprobe = req.query.ffprobe !== undefined ? isTruthyParam(req.query.ffprobe) : process.env.MANIFEST_FFPROBE === '1';
+
+  // The same folder is not regenerated twice at once
+  const job = jobQueue.findActive('manifest', params => params.folder === folderPath) ||
+    jobQueue.add('manifest', { folder: folderPath, ffprobe }, (queued) => startManifestJob(queued, {
+      dirPath,
+      baseUrl: '/' + folderPath,
+      name: path.posix.basename(folderPath),
+      ffprobe
+    }), apiKey.id);
+
+  res.status(202).set('Location', `/api/jobs/${job.id}`).json(JobQueue.describe(job));
+});
+
+/**
+ * Find a job for a folder the key may access, answering 404 itself
+ * @returns {object|null} the job, or null when a response was sent
+ */
+function findJob(req, res, apiKey) {
+  const job = jobQueue.get(req.params.id);
+  if (!job || !canAccessPath(apiKey, job.params.folder)) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Job not found'
+    });
+    return null;
+  }
+  return job;
+}
+
+/**
+ * Background jobs for folders the key may access, newest first (admin scope)
+ * GET /api/jobs
+ */
+app.get('/api/jobs', guardAuth, (req, res) => {
+  const apiKey = authorizeAdmin(req, res, 'Job list');
+  if (!apiKey) {
+    return;
+  }
+
+  const jobs = jobQueue.list().filter(job => canAccessPath(apiKey, job.params.folder));
+  res.set('Cache-Control', 'private, no-store');
+  res.json({ jobs: jobs.map(JobQueue.describe) });
+});
+
+/**
+ * Job status: progress (files scanned, current file), errors and result (admin scope)
+ * GET /api/jobs/:id
+ */
+app.get('/api/jobs/:id', guardAuth, (req, res) => {
+  const apiKey = authorizeAdmin(req, res, 'Job status');
+  const job = apiKey && findJob(req, res, apiKey);
+  if (!job) {
+    return;
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+  res.json(JobQueue.describe(job));
+});
+
+/**
+ * Cancel a queued or running job (admin scope)
+ * POST /api/jobs/:id/cancel
+ */
+app.post('/api/jobs/:id/cancel', guardAuth, (req, res) => {
+  const apiKey = authorizeAdmin(req, res, 'Job cancellation');
+  const job = apiKey && findJob(req, res, apiKey);
+  if (!job) {
+    return;
+  }
+
+  if (!jobQueue.cancel(job)) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: `Job already ${job.status}`
+    });
+  }
+
+  res.json(JobQueue.describe(job));
+});
+
+/**
+ * Start a resumable upload into a writable folder (write scope)
+ * POST /api/uploads { folder, name, size }
+ * Answers 201 with the upload and its Location; send the file there in chunks
+ */
+app.post('/api/uploads', guardAuth, (req, res) => {
+  const apiKey = authorizeScope(req, res, 'write', 'Upload');
+  if (!apiKey) {
+    return;
+  }
+
+  const { folder, name, size } = req.body || {};
+  const folderPath = typeof folder === 'string' ? normalizePath(folder.replace(/^\/+/, '')) : null;
+  const fileName = typeof name === 'string' ? name.normalize('NFC') : '';
+
+  if (!folderPath || !isValidUploadName(fileName) || !Number.isSafeInteger(size) || size < 0) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Required: folder, name (a file name without slashes) and size in bytes'
+    });
+  }
+
+  if (!canAccessPath(apiKey, folderPath)) {
+    reportSecurityEvent(req, 'forbidden', 'Forbidden upload request - Path not in whitelist', { folder: folderPath, keyId: apiKey.id });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Access to this folder is not allowed'
+    });
+  }
+
+  if (!isWritableFolder(folderPath)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Folder is read-only'
+    });
+  }
+
+  if (size > uploadStore.options.maxSize) {
+    return res.status(413).json({
+      error: 'Payload Too Large',
+      message: `File exceeds the upload limit of ${uploadStore.options.maxSize} bytes`
+    });
+  }
+
+  const type = mimeLookup.getMimeType(fileName);
+  if (!UPLOAD_ALLOWED_TYPES.includes(type)) {
+    return res.status(415).json({
+      error: 'Unsupported Media Type',
+      message: `Files of type ${type} cannot be uploaded`
+    });
+  }
+
+  const targetPath = pathResolver.resolve(`${folderPath}/${fileName}`, { allowMissing: true });
+  if (!targetPath) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Access to this folder is not allowed'
+    });
+  }
+
+  if (fs.existsSync(targetPath) || uploadStore.find(folderPath, fileName)) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: 'A file with this name already exists or is being uploaded'
+    });
+  }
+
+  const upload = uploadStore.create({ folder: folderPath, name: fileName, size, type, createdBy: apiKey.id });
+  req.log.info('Upload started', { uploadId: upload.id, folder: folderPath, name: fileName, size, keyId: apiKey.id });
+
+  res.status(201)
+    .set('Location', `/api/uploads/${upload.id}`)
+    .set('Upload-Offset', '0')
+    .json({ ...UploadStore.describe(upload), chunkSize: uploadStore.options.chunkSize });
+});
+
+/**
+ * Upload status; Upload-Offset tells an interrupted client where to resume
+ * GET|HEAD /api/uploads/:id
+ */
+app.get('/api/uploads/:id', guardAuth, (req, res) => {
+  const found = findUpload(req, res);
+  if (!found) {
+    return;
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.set('Upload-Offset', String(found.upload.offset));
+  res.json({ ...UploadStore.describe(found.upload), chunkSize: uploadStore.options.chunkSize });
+});
+
+/**
+ * Append a chunk (raw bytes, Content-Length required) at the offset given in Upload-Offset
+ * PUT /api/uploads/:id
+ * Answers 200 with the new offset, or 201 with the file's manifest entry once the last byte arrived
+ */
+app.put('/api/uploads/:id', guardAuth, async (req, res) => {
+  const found = findUpload(req, res);
+  if (!found) {
+    return;
+  }
+  const { apiKey, upload } = found;
+
+  if (upload.busy) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: 'Another chunk of this upload is being written'
+    });
+  }
+
+  if (!/^\d+$/.test(req.headers['upload-offset'] || '')) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Upload-Offset header is required'
+    });
+  }
+
+  const offset = Number(req.headers['upload-offset']);
+  if (offset !== upload.offset) {
+    res.set('Upload-Offset', String(upload.offset));
+    return res.status(409).json({
+      error: 'Conflict',
+      message: `Upload continues at offset ${upload.offset}`
+    });
+  }
+
+  if (!/^\d+$/.test(req.headers['content-length'] || '')) {
+    return res.status(411).json({
+      error: 'Length Required',
+      message: 'Chunks need a Content-Length header'
+    });
+  }
+
+  const length = Number(req.headers['content-length']);
+  if (length > uploadStore.options.chunkSize || offset + length > upload.size) {
+    return res.status(413).json({
+      error: 'Payload Too Large',
+      message: `Chunks may be at most ${uploadStore.options.chunkSize} bytes and must not pass the declared size`
+    });
+  }
+
+  try {
+    await uploadStore.append(upload, req);
+  } catch (error) {
+    // The client resumes from the offset it reads with GET /api/uploads/:id
+    req.log.warn('Upload chunk interrupted', { uploadId: upload.id, offset: upload.offset, error: error.message });
+    return res.status(500).json({
+      error: 'Server Error',
+      message: 'Chunk was not stored completely'
+    });
+  }
+
+  res.set('Upload-Offset', String(upload.offset));
+  if (upload.offset < upload.size) {
+    return res.json({ ...UploadStore.describe(upload), chunkSize: uploadStore.options.chunkSize });
+  }
+
+  try {
+    const { entry, manifest } = await completeUpload(req, upload);
+    req.log.info('Upload completed', { uploadId: upload.id, path: entry.path, size: entry.size, manifest, keyId: apiKey.id });
+    recordAuditEvent(req, 'file_uploaded', 'File uploaded', { keyId: apiKey.id, path: entry.path.slice(1), size: entry.size });
+
+    res.status(201).set('Location', encodeURI(entry.path)).json({ status: 'completed', file: entry, manifest });
+  } catch (error) {
+    req.log[error.status ? 'warn' : 'error']('Upload not completed', { uploadId: upload.id, error: error.message });
+    res.status(error.status || 500).json({
+      error: error.error || 'Server Error',
+      message: error.status ? error.message : 'Failed to store the uploaded file'
+    });
+  }
+});
+
+/**
+ * Abandon an unfinished upload
+ * DELETE /api/uploads/:id
+ */
+app.delete('/api/uploads/:id', guardAuth, (req, res) => {
+  const found = findUpload(req, res);
+  if (!found) {
+    return;
+  }
+
+  if (found.upload.busy) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: 'A chunk of this upload is being written'
+    });
+  }
+
+  uploadStore.remove(found.upload);
+  req.log.info('Upload cancelled', { uploadId: found.upload.id, keyId: found.apiKey.id });
+  res.status(204).end();
+});
+
+/**
+ * Rename a file or folder (admin scope, writable mounts)
+ * POST /api/files/rename { path, name }
+ */
+app.post('/api/files/rename', guardAuth, (req, res) => {
+  const { path: target, name } = req.body || {};
+
+  handleFileChange(req, res, 'Rename', [target], async () => {
+    const result = await fileManager.rename(target, name);
+    return {
+      type: 'file_renamed',
+      message: `${result.type === 'folder' ? 'Folder' : 'File'} renamed`,
+      fields: { path: result.from, to: result.to },
+      changed: [path.posix.dirname(result.from)],
+      result
+    };
+  });
+});
+
+/**
+ * Move a file or folder into another folder, also across mounts (admin scope, writable mounts)
+ * POST /api/files/move { path, to }
+ */
+app.post('/api/files/move', guardAuth, (req, res) => {
+  const { path: target, to } = req.body || {};
+
+  handleFileChange(req, res, 'Move', [target, to], async () => {
+    const result = await fileManager.move(target, to);
+    return {
+      type: 'file_moved',
+      message: `${result.type === 'folder' ? 'Folder' : 'File'} moved`,
+      fields: { path: result.from, to: result.to },
+      changed: [path.posix.dirname(result.from), path.posix.dirname(result.to)],
+      result
+    };
+  });
+});
 
-// CORS configuration
-const corsOptions = {
-  origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['http://localhost:3000', 'http://localhost:8000'],
-  credentials: true,
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'X-API-Key']
-};
+/**
+ * Move a file or folder to its mount's trash (admin scope, writable mounts)
+ * POST /api/files/trash { path }
+ */
+app.post('/api/files/trash', guardAuth, (req, res) => {
+  const { path: target } = req.body || {};
 
-app.use(cors(corsOptions));
-app.use(express.json());
-app.use(express.static('.')); // Serve static files
+  handleFileChange(req, res, 'Delete', [target], async (apiKey) => {
+    const item = await fileManager.trash(target, apiKey.id);
+    return {
+      type: 'file_trashed',
+      message: `${item.type === 'folder' ? 'Folder' : 'File'} moved to trash`,
+      fields: { path: item.path, trashId: item.id },
+      changed: [path.posix.dirname(item.path)],
+      result: FileManager.describe(item)
+    };
+  });
+});
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.',
-  standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-  legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+/**
+ * Trashed files and folders the key may see, newest first (admin scope)
+ * GET /api/trash
+ */
+app.get('/api/trash', guardAuth, (req, res) => {
+  const apiKey = authorizeAdmin(req, res, 'Trash list');
+  if (!apiKey) {
+    return;
+  }
+
+  const items = fileManager.listTrash().filter(item => canAccessPath(apiKey, item.path));
+  res.set('Cache-Control', 'private, no-store');
+  res.json({ items: items.map(FileManager.describe) });
 });
 
-const strictLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 10, // Stricter limit for manifest endpoint
-  message: 'Too many manifest requests, please try again later.'
+/**
+ * Put a trashed item back where it was (admin scope)
+ * POST /api/trash/:id/restore
+ */
+app.post('/api/trash/:id/restore', guardAuth, (req, res) => {
+  const item = fileManager.getTrashItem(req.params.id);
+
+  handleFileChange(req, res, 'Restore', [item && item.path], async () => {
+    if (!item) {
+      throw Object.assign(new Error('Trash item not found'), { status: 404, error: 'Not Found' });
+    }
+
+    const result = await fileManager.restore(item);
+    return {
+      type: 'file_restored',
+      message: `${item.type === 'folder' ? 'Folder' : 'File'} restored from trash`,
+      fields: { path: item.path, trashId: item.id },
+      changed: [path.posix.dirname(item.path)],
+      result
+    };
+  });
 });
 
-app.use(limiter);
+/**
+ * Delete a trashed item for good (admin scope)
+ * DELETE /api/trash/:id
+ */
+app.delete('/api/trash/:id', guardAuth, (req, res) => {
+  const item = fileManager.getTrashItem(req.params.id);
 
-// Logging middleware
-app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.path} - IP: ${req.ip}`);
-  next();
+  handleFileChange(req, res, 'Purge', [item && item.path], async () => {
+    if (!item) {
+      throw Object.assign(new Error('Trash item not found'), { status: 404, error: 'Not Found' });
+    }
+
+    fileManager.purge(item);
+    return {
+      type: 'file_purged',
+      message: `${item.type === 'folder' ? 'Folder' : 'File'} purged from trash`,
+      fields: { path: item.path, trashId: item.id, size: item.size },
+      changed: [],
+      result: null
+    };
+  });
 });
 
-// === CONFIGURATION ===
+/**
+ * Create a share link for a folder or file (admin scope)
+ * POST /api/shares { path, password?, expires? (ISO date), maxDownloads?, label? }
+ * The link (/s/<token>) is only returned here; the store keeps a hash of the token
+ */
+app.post('/api/shares', guardAuth, async (req, res) => {
+  const apiKey = authorizeAdmin(req, res, 'Share link');
+  if (!apiKey) {
+    return;
+  }
 
-// Whitelist of allowed folders - configure these to your needs
-const ALLOWED_FOLDERS = [
-  'pub_ab',
-  'pub_ab/Expeditionary_Force',
-  'assets',
-  'assets/documents'
-];
+  const { path: target, password, expires, maxDownloads, label } = req.body || {};
+  const sharePath = typeof target === 'string' ? normalizePath(target.replace(/^\/+/, '')) : null;
+  if (!sharePath) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'A valid path is required'
+    });
+  }
 
-// === HELPER FUNCTIONS ===
+  if (!canAccessPath(apiKey, sharePath) || DENIED_PATHS.some(pattern => pattern.test(sharePath))) {
+    reportSecurityEvent(req, 'forbidden', 'Forbidden request - Share link outside granted folders', { path: sharePath, keyId: apiKey.id });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Access to this folder is not allowed'
+    });
+  }
+
+  if (password !== undefined && password !== null && (typeof password !== 'string' || password.length < 8)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Password must be at least 8 characters'
+    });
+  }
+
+  if (expires !== undefined && expires !== null && !(Date.parse(expires) > Date.now())) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'expires must be a date in the future'
+    });
+  }
+
+  if (maxDownloads !== undefined && maxDownloads !== null && !(Number.isInteger(maxDownloads) && maxDownloads > 0)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'maxDownloads must be a positive integer'
+    });
+  }
+
+  if (label !== undefined && label !== null && (typeof label !== 'string' || label.length > 100)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'label must be a string of at most 100 characters'
+    });
+  }
+
+  const absolutePath = pathResolver.resolve(sharePath);
+  let stats;
+  try {
+    stats = absolutePath ? fs.statSync(absolutePath) : null;
+  } catch {
+    stats = null;
+  }
+
+  if (!stats) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `${sharePath} not found`
+    });
+  }
+
+  try {
+    const { token, share } = await shareStore.create({
+      path: sharePath,
+      type: stats.isDirectory() ? 'folder' : 'file',
+      label: label || undefined,
+      password: password || undefined,
+      expires: expires ? new Date(expires).toISOString() : null,
+      maxDownloads: maxDownloads || null,
+      createdBy: apiKey.id
+    });
+
+    req.log.info('Share link created', { shareId: share.id, path: sharePath, keyId: apiKey.id });
+    recordAuditEvent(req, 'share_created', 'Share link created', { keyId: apiKey.id, path: sharePath, shareId: share.id });
+
+    res.set('Cache-Control', 'no-store');
+    res.status(201).json({ ...ShareStore.describe(share), url: `/s/${token}` });
+  } catch (error) {
+    req.log.error('Share link creation failed', { error: error.message });
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'An error occurred while processing your request'
+    });
+  }
+});
 
 /**
- * Validate API key from request headers
+ * Share links for folders the key may see, newest first (admin scope)
+ * GET /api/shares
  */
-function validateApiKey(req) {
-  const apiKey = req.headers['x-api-key'];
-  return apiKey === API_KEY;
-}
+app.get('/api/shares', guardAuth, (req, res) => {
+  const apiKey = authorizeAdmin(req, res, 'Share link list');
+  if (!apiKey) {
+    return;
+  }
+
+  const shares = shareStore.list().filter(share => canAccessPath(apiKey, share.path));
+  res.set('Cache-Control', 'private, no-store');
+  res.json({ shares: shares.map(ShareStore.describe) });
+});
 
 /**
- * Validate folder path to prevent directory traversal
+ * Revoke a share link; the page and every signed URL handed out through it stop working (admin scope)
+ * DELETE /api/shares/:id
  */
-function validateFolderPath(folderPath) {
-  // Check for path traversal attempts
-  if (folderPath.includes('..') || folderPath.includes('//') || folderPath.startsWith('/')) {
-    return false;
+app.delete('/api/shares/:id', guardAuth, (req, res) => {
+  const apiKey = authorizeAdmin(req, res, 'Share link revocation');
+  if (!apiKey) {
+    return;
   }
 
-  // Normalize path
-  const normalizedPath = path.normalize(folderPath);
-  
-  // Check if it's in whitelist
-  return ALLOWED_FOLDERS.some(allowed => 
-    normalizedPath === allowed || normalizedPath.startsWith(allowed + path.sep)
-  );
-}
+  const share = shareStore.list().find(record => record.id === req.params.id);
+  if (!share || !canAccessPath(apiKey, share.path)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Share link not found'
+    });
+  }
+
+  shareStore.revoke(share.id);
+  req.log.info('Share link revoked', { shareId: share.id, path: share.path, keyId: apiKey.id });
+  recordAuditEvent(req, 'share_revoked', 'Share link revoked', { keyId: apiKey.id, path: share.path, shareId: share.id });
+  res.status(204).end();
+});
 
 /**
- * Check if file exists and is readable
+ * Manifest behind a share link: the shared folder's listing, or a listing holding the shared file
  */
-function fileExists(filePath) {
-  try {
-    fs.accessSync(filePath, fs.constants.R_OK);
-    return true;
-  } catch {
-    return false;
+function getShareManifest(share) {
+  const sharePath = share.path.split('/').join(path.sep);
+
+  if (share.type === 'folder') {
+    const result = manifestStore.getManifest(sharePath);
+    return result && result.manifest;
   }
-}
 
-// === ROUTES ===
+  let entry = pathResolver.resolve(share.path) && manifestStore.findFileEntry(sharePath);
+  if (!entry) {
+    try {
+      entry = manifestStore.scanEntry(sharePath).file;
+    } catch {
+      return null;
+    }
+  }
+
+  return { name: share.label, description: `Shared file ${entry.name}`, files: [entry], folders: [] };
+}
 
 /**
- * Health check endpoint
+ * Share page: a read-only listing of the shared folder or file that anyone with the link can open
+ * GET /s/:token
  */
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    environment: NODE_ENV
+app.get('/s/:token', (req, res) => {
+  // The token is the credential, so it must not leak through Referer headers, caches or search engines
+  res.set({
+    'Cache-Control': 'no-store',
+    'Referrer-Policy': 'no-referrer',
+    'X-Robots-Tag': 'noindex, nofollow'
   });
+  res.sendFile(path.join(__dirname, 'share.html'));
 });
 
 /**
- * Main manifest API endpoint
- * GET /api/manifest?folder=path/to/folder
+ * Listing for the share page, with every file path replaced by a signed /api/files/stream URL
+ * GET /s/:token/manifest, or POST with { password } for password-protected links
+ * Wrong passwords are 401s, so the auth guard locks out IPs that keep guessing
  */
-app.get('/api/manifest', strictLimiter, (req, res) => {
-  try {
-    // Validate API key
-    if (!validateApiKey(req)) {
-      console.warn(`[SECURITY] Unauthorized manifest request - Missing or invalid API key from ${req.ip}`);
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Invalid or missing API key'
-      });
-    }
+async function handleShareManifest(req, res) {
+  const share = shareStore.find(req.params.token);
+  if (!share) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Share link not found'
+    });
+  }
 
-    // Get folder path from query parameter
-    const folderPath = req.query.folder || '';
+  const status = ShareStore.getStatus(share);
+  if (status !== 'active') {
+    return res.status(410).json({
+      error: 'Gone',
+      message: status === 'expired' ? 'This link has expired' : 'This link has reached its download limit'
+    });
+  }
 
-    if (!folderPath) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Folder path is required (use ?folder=path)'
-      });
-    }
+  res.set({ 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer' });
 
-    // Validate folder path
-    if (!validateFolderPath(folderPath)) {
-      console.warn(`[SECURITY] Forbidden manifest request - Path not in whitelist: ${folderPath} from ${req.ip}`);
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: 'Access to this folder is not allowed'
+  const password = req.body && req.body.password;
+  try {
+    if (!(await shareStore.checkPassword(share, password))) {
+      if (password !== undefined) {
+        reportSecurityEvent(req, 'unauthorized', 'Wrong share link password', { keyId: `share:${share.id}`, path: share.path });
+      }
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: password === undefined ? 'This link is password protected' : 'Wrong password',
+        passwordRequired: true
       });
     }
 
-    // Construct manifest file path
-    const manifestPath = path.join(process.cwd(), folderPath, 'manifest.json');
-    
-    // Verify the manifest file exists and is readable
-    if (!fileExists(manifestPath)) {
-      console.warn(`[SECURITY] Manifest not found: ${manifestPath}`);
+    const manifest = getShareManifest(share);
+    if (!manifest) {
       return res.status(404).json({
         error: 'Not Found',
-        message: 'Manifest file not found for this folder'
+        message: 'The shared folder or file no longer exists'
       });
     }
 
-    // Read and parse manifest
-    const manifestContent = fs.readFileSync(manifestPath, 'utf-8');
-    const manifest = JSON.parse(manifestContent);
+    // Signed URLs never outlive the share itself
+    const remaining = share.expires ? Math.floor((Date.parse(share.expires) - Date.now()) / 1000) : Infinity;
+    const expiresIn = Math.max(Math.min(urlSigner.defaultTtl, remaining), 1);
 
-    // Log successful request
-    console.log(`[SUCCESS] Manifest served for folder: ${folderPath}`);
+    req.log.info('Share link opened', { shareId: share.id, path: share.path });
+    res.json({
+      share: ShareStore.describePublic(share),
+      manifest: signManifest(manifest, urlSigner, { keyId: `share:${share.id}`, expiresIn, route: '/api/files/stream' })
+    });
+  } catch (error) {
+    req.log.error('Share listing failed', { shareId: share.id, error: error.message });
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'An error occurred while processing your request'
+    });
+  }
+}
 
-    // Send manifest with appropriate headers
-    res.set('Content-Type', 'application/json');
-    res.set('Cache-Control', 'public, max-age=300'); // Cache for 5 minutes
-    res.json(manifest);
+app.get('/s/:token/manifest', guardAuth, handleShareManifest);
+app.post('/s/:token/manifest', guardAuth, handleShareManifest);
 
-  } catch (error) {
-    console.error(`[ERROR] Manifest request failed:`, error.message);
+/**
+ * Live change feed (Server-Sent Events)
+ * GET /api/events
+ * Sends "change" events with the folders whose contents changed, e.g.
+ *   event: change
+ *   data: {"folders":["pub_ab/Series"],"time":"2026-01-31T10:00:00.000Z"}
+ * Without a key or login the stream carries changes in public mounts; with none of those it answers 204,
+ * which tells EventSource to stop reconnecting
+ */
+app.get('/api/events', guardAuth, (req, res) => {
+  const apiKey = validateApiKey(req);
+  const anonymous = !apiKey && !req.headers['x-api-key'];
+  if (anonymous && ![...library.mounts.values()].some(mount => mount.requiresAuth === false)) {
+    return res.status(204).end();
+  }
+  if (!apiKey && !anonymous) {
+    reportSecurityEvent(req, 'unauthorized', 'Unauthorized request - Missing or invalid API key');
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid or missing API key'
+    });
+  }
 
-    // Don't expose internal error details to client
-    if (error instanceof SyntaxError) {
-      return res.status(500).json({
-        error: 'Server Error',
-        message: 'Invalid manifest file format'
-      });
-    }
+  if (eventClients.size >= MAX_EVENT_CLIENTS) {
+    res.set('Retry-After', '60');
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Too many open event streams'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // nginx must not buffer the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: 5000\nevent: ready\ndata: ${JSON.stringify({ watching: WATCH_FOLDERS })}\n\n`);
+
+  const client = { req, res, anonymous };
+  eventClients.add(client);
+  req.on('close', () => eventClients.delete(client));
+});
+
+/**
+ * Search files across all whitelisted manifests
+ * GET /api/search?q=words&folder=path&type=audio/&minSize=&maxSize=&minDuration=&maxDuration=&minBitrate=&maxBitrate=&page=1&pageSize=25
+ * Durations are in seconds, bitrates in bits per second
+ */
+app.get('/api/search', guardAuth, (req, res) => {
+  const apiKey = validateApiKey(req);
+  if (!apiKey) {
+    reportSecurityEvent(req, 'unauthorized', 'Unauthorized search request - Missing or invalid API key');
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid or missing API key'
+    });
+  }
+
+  const { query, error } = parseSearchQuery(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: error
+    });
+  }
 
+  try {
+    const results = searchIndex.search(query, folder => canAccessPath(apiKey, folder));
+    res.set('Cache-Control', 'private, no-store');
+    res.json(results);
+  } catch (error) {
+    req.log.error('Search request failed', { error: error.message });
     res.status(500).json({
       error: 'Server Error',
       message: 'An error occurred while processing your request'
@@ -193,12 +2181,133 @@ app.get('/api/manifest', strictLimiter, (req, res) => {
 });
 
 /**
- * List allowed folders (for reference)
+ * Create a signed link to download a whole folder as ZIP
+ * GET /api/archive/link?folder=path[&expires=seconds]
+ * The link can be opened directly by the browser, which cannot send X-API-Key
+ */
+app.get('/api/archive/link', guardAuth, (req, res) => {
+  const apiKey = validateApiKey(req);
+  if (!apiKey) {
+    reportSecurityEvent(req, 'unauthorized', 'Unauthorized request - Missing or invalid API key');
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid or missing API key'
+    });
+  }
+
+  const folderPath = req.query.folder;
+  if (!folderPath || typeof folderPath !== 'string') {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Folder path is required (use ?folder=path)'
+    });
+  }
+
+  if (!canAccessPath(apiKey, folderPath)) {
+    reportSecurityEvent(req, 'forbidden', 'Forbidden archive link request', { folder: folderPath, keyId: apiKey.id });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Access to this folder is not allowed'
+    });
+  }
+
+  const { exp, kid, sig } = urlSigner.sign(`archive:${folderPath}`, { expiresIn: req.query.expires, keyId: apiKey.id });
+  const query = new URLSearchParams({ folder: folderPath, exp: String(exp), kid, sig });
+
+  res.set('Cache-Control', 'private, no-store');
+  res.json({
+    url: `/api/archive?${query}`,
+    expires: new Date(exp * 1000).toISOString()
+  });
+});
+
+/**
+ * Download a whole folder as a streamed ZIP (store mode, ZIP64 for multi-GB files)
+ * GET|HEAD /api/archive?folder=path
+ * Requires X-API-Key, or a signed link from /api/archive/link
+ */
+app.get('/api/archive', guardAuth, (req, res) => {
+  const folderPath = req.query.folder;
+  const apiKey = validateApiKey(req) ||
+    (typeof folderPath === 'string' && (validateSignedUrl(req, `archive:${folderPath}`) || getPublicReader(folderPath)));
+
+  if (!apiKey) {
+    reportSecurityEvent(req, 'unauthorized', 'Unauthorized archive request - Missing or invalid API key');
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid or missing API key'
+    });
+  }
+
+  if (!folderPath || typeof folderPath !== 'string') {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Folder path is required (use ?folder=path)'
+    });
+  }
+
+  if (!canAccessPath(apiKey, folderPath)) {
+    reportSecurityEvent(req, 'forbidden', 'Forbidden archive request - Path not in whitelist', { folder: folderPath, keyId: apiKey.id });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Access to this folder is not allowed'
+    });
+  }
+
+  let result;
+  try {
+    result = manifestStore.getManifest(normalizePath(folderPath).split('/').join(path.sep));
+  } catch (error) {
+    req.log.error('Archive manifest failed', { error: error.message });
+    return res.status(500).json({
+      error: 'Server Error',
+      message: 'Invalid manifest file format'
+    });
+  }
+
+  if (!result) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Manifest file or folder not found'
+    });
+  }
+
+  const plan = planArchive(collectArchiveFiles(folderPath, result.manifest, apiKey));
+
+  if (!checkDownloadQuota(req, res, apiKey)) {
+    return;
+  }
+
+  res.status(200);
+  res.set('Content-Type', 'application/zip');
+  res.set('Content-Length', String(plan.totalSize));
+  res.set('Cache-Control', 'private, no-store');
+  res.attachment(`${path.basename(folderPath)}.zip`);
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  req.log.info('Archive started', { folder: folderPath, files: plan.entries.length, bytes: plan.totalSize });
+  trackStream(res, 'archive');
+
+  writeArchive(res, plan)
+    .then(() => res.end())
+    .catch(error => {
+      req.log.error('Archive aborted', { folder: folderPath, error: error.message });
+      res.destroy(error);
+    });
+});
+
+/**
+ * List folders the calling key may access
  * Requires API key
  */
-app.get('/api/folders', (req, res) => {
+function handleFolders(req, res) {
   // Validate API key
-  if (!validateApiKey(req)) {
+  const apiKey = validateApiKey(req);
+  if (!apiKey) {
+    reportSecurityEvent(req, 'unauthorized', 'Unauthorized request - Missing or invalid API key');
     return res.status(401).json({
       error: 'Unauthorized',
       message: 'Invalid or missing API key'
@@ -206,9 +2315,55 @@ app.get('/api/folders', (req, res) => {
   }
 
   res.json({
-    folders: ALLOWED_FOLDERS,
+    folders: getAccessibleFolders(apiKey),
     message: 'List of accessible folders'
   });
+}
+
+app.get('/api/folders', guardAuth, handleFolders);
+
+/**
+ * api.php compatibility router
+ * GET /api.php?action=health|manifest|folders
+ * Answers the same query style, status codes and JSON bodies as api.php,
+ * so FileExplorer works against either backend
+ */
+app.get('/api.php', (req, res) => {
+  switch (req.query.action) {
+    case 'health':
+      return handleHealth(req, res);
+    case 'manifest':
+      return guardAuth(req, res, () => strictLimiter(req, res, () => handleManifest(req, res)));
+    case 'folders':
+      return guardAuth(req, res, () => handleFolders(req, res));
+    default:
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'API endpoint not found',
+        documentation: {
+          health: 'GET /api.php?action=health (no auth required)',
+          manifest: 'GET /api.php?action=manifest&folder=path (requires X-API-Key header)',
+          folders: 'GET /api.php?action=folders (requires X-API-Key header)'
+        }
+      });
+  }
+});
+
+/**
+ * OpenAPI 3 document for every route above (lib/openapi.js)
+ * GET /api/openapi.json
+ */
+app.get('/api/openapi.json', (req, res) => {
+  res.set('Cache-Control', 'no-cache');
+  res.json(openApiDocument);
+});
+
+/**
+ * API reference page rendered from /api/openapi.json
+ * GET /api/docs
+ */
+app.get('/api/docs', (req, res) => {
+  res.sendFile(path.join(__dirname, 'api-docs.html'));
 });
 
 /**
@@ -225,7 +2380,22 @@ app.use((req, res) => {
  * Error Handler
  */
 app.use((err, req, res, next) => {
-  console.error('[ERROR]', err);
+  // Bodies express.json() could not read get the same 400 shape as validation failures
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Invalid request: body is not valid JSON',
+      details: [{ in: 'body', name: '', message: 'is not valid JSON' }]
+    });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Payload Too Large',
+      message: 'Request body is too large'
+    });
+  }
+
+  (req.log || logger).error('Unhandled error', { error: err.message, stack: err.stack });
   
   res.status(err.status || 500).json({
     error: err.error || 'Server Error',
@@ -243,18 +2413,41 @@ app.listen(PORT, () => {
 ║ Port: ${PORT}                              ║
 ║ Environment: ${NODE_ENV}                      ║
 ║ CORS Origins: Multiple                 ║
-║ Rate Limit: 100 req/15min per IP       ║
+║ Rate Limit: 100 req/15min per key      ║
 ╚════════════════════════════════════════╝
   `);
+  logger.info('Server started', { port: Number(PORT), environment: NODE_ENV, logLevel: logger.level });
   console.log(`\nAPI Documentation:`);
+  console.log(`  GET /api/docs - API reference (OpenAPI document at /api/openapi.json)`);
   console.log(`  GET /api/health - Health check`);
-  console.log(`  GET /api/manifest?folder=path - Get manifest (requires X-API-Key header)`);
-  console.log(`  GET /api/folders - List allowed folders (requires X-API-Key header)\n`);
+  console.log(`  GET /api/health/ready - Readiness: mounts, manifests, ffprobe, disk space (503 when not ready)`);
+  console.log(`  POST /api/login, POST /api/logout, GET /api/session - Browser login sessions (cookie)`);
+  console.log(`  GET /api/manifest?folder=path[&signed=1] - Get manifest, optionally with signed file URLs (requires X-API-Key header)`);
+  console.log(`  GET /api/folders - List allowed folders (requires X-API-Key header)`);
+  console.log(`  GET /api/me/usage - Rate limit and download quota usage (requires X-API-Key header)`);
+  console.log(`  POST /api/manifest/regenerate?folder=path - Regenerate manifest.json in the background (requires admin key)`);
+  console.log(`  GET /api/jobs/:id, POST /api/jobs/:id/cancel - Background job progress and cancellation (requires admin key)`);
+  console.log(`  POST /api/uploads, PUT /api/uploads/:id - Resumable chunked upload into a writable mount (requires write key)`);
+  console.log(`  POST /api/files/rename|move|trash, GET /api/trash, POST /api/trash/:id/restore - File management (requires admin key)`);
+  console.log(`  POST /api/shares, GET /api/shares, DELETE /api/shares/:id - Share links for a folder or file (requires admin key)`);
+  console.log(`  GET /s/:token - Read-only share page (password, expiry and download limit set per link)`);
+  console.log(`  GET /api/events - Live folder change feed, Server-Sent Events (requires X-API-Key header or login)`);
+  console.log(`  GET /api/metrics - Prometheus metrics (metrics or admin key; localhost without a key with METRICS_LOCALHOST=1)`);
+  console.log(`  GET /api/audit?type=&ip=&from=&to= - Security audit log (requires admin key)`);
+  console.log(`  GET /api/search?q=words - Search files across all manifests (requires X-API-Key header)`);
+  console.log(`  GET /api/archive?folder=path - Download a folder as ZIP (requires X-API-Key header or signed link)`);
+  console.log(`  GET /api/files/stream?path=file - Stream a file with Range support (requires X-API-Key header)\n`);
 });
 
-// Graceful shutdown
+// Graceful shutdown - save usage counters so limits survive the restart
 process.on('SIGTERM', () => {
-  console.log('SIGTERM signal received: closing HTTP server');
+  logger.info('SIGTERM signal received: closing HTTP server');
+  usageStore.flush();
+  process.exit(0);
+});
+
+process.on('SIGINT', () => {
+  usageStore.flush();
   process.exit(0);
 });
 
@@ -0,0 +1,54 @@
+/**
+ * Folders without their own manifest.json are served from the nearest ancestor manifest that lists
+ * them, keeping its entries (and audio metadata); a stale ancestor falls back to a generated listing
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers/server');
+
+const BOOK = { name: 'b.mp3', path: '/pub/Series/Book 1/b.mp3', size: 1, type: 'audio/mpeg', audio: { duration: 42 } };
+const MANIFEST = {
+  name: 'pub',
+  generated: '2024-01-01T00:00:00.000Z',
+  files: [],
+  folders: [{ name: 'Series', files: [], folders: [{ name: 'Book 1', files: [BOOK], folders: [] }] }]
+};
+
+function start(t) {
+  return startTestServer(t, {
+    files: {
+      'manifest.json': JSON.stringify(MANIFEST),
+      'Series/Book 1/b.mp3': 'b',
+      'Series/Book 2/c.mp3': 'c'
+    }
+  });
+}
+
+async function getManifest(server, folder) {
+  const response = await server.request(`/api/manifest?folder=${encodeURIComponent(folder)}`);
+  assert.strictEqual(response.status, 200, folder);
+  return response.json();
+}
+
+test('a nested folder is served from its ancestor manifest', async (t) => {
+  const server = await start(t);
+
+  const manifest = await getManifest(server, 'pub/Series/Book 1');
+  assert.strictEqual(manifest.name, 'Book 1');
+  assert.strictEqual(manifest.generated, MANIFEST.generated);
+  assert.deepStrictEqual(manifest.files, [BOOK]);
+  assert.deepStrictEqual(manifest.folders, []);
+
+  const series = await getManifest(server, 'pub/Series');
+  assert.deepStrictEqual(series.folders.map(folder => folder.name), ['Book 1']);
+});
+
+test('a folder the ancestor does not list gets a generated manifest', async (t) => {
+  const server = await start(t);
+
+  const manifest = await getManifest(server, 'pub/Series/Book 2');
+  assert.strictEqual(manifest.name, 'Book 2');
+  assert.deepStrictEqual(manifest.files.map(file => file.path), ['/pub/Series/Book 2/c.mp3']);
+  assert.notStrictEqual(manifest.generated, MANIFEST.generated);
+});
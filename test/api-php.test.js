@@ -0,0 +1,62 @@
+/**
+ * /api.php compatibility: each action answers like api.php and its /api route, with the same
+ * status codes and bodies, so clients written for the PHP backend keep working
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers/server');
+
+const FILES = {
+  'Series/a.mp3': 'a',
+  'Series/manifest.json': JSON.stringify({ name: 'Series', files: [{ name: 'a.mp3', path: '/pub/Series/a.mp3', size: 1, type: 'audio/mpeg' }], folders: [] })
+};
+
+async function get(server, requestPath, options) {
+  const response = await server.request(requestPath, options);
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * A body without the per-request fields
+ */
+function stable({ requestId, timestamp, ...body }) {
+  return body;
+}
+
+test('every action answers like its /api route', async (t) => {
+  const server = await startTestServer(t, { files: FILES });
+
+  const pairs = [
+    ['/api.php?action=health', '/api/health', { key: null }],
+    ['/api.php?action=manifest&folder=pub/Series', '/api/manifest?folder=pub/Series'],
+    ['/api.php?action=folders', '/api/folders']
+  ];
+  for (const [phpPath, apiPath, options] of pairs) {
+    const php = await get(server, phpPath, options);
+    const api = await get(server, apiPath, options);
+    assert.strictEqual(php.status, 200, phpPath);
+    assert.strictEqual(php.status, api.status, phpPath);
+    assert.deepStrictEqual(stable(php.body), stable(api.body), phpPath);
+  }
+});
+
+test('errors keep the api.php status codes and messages', async (t) => {
+  const server = await startTestServer(t, { files: FILES });
+
+  const anonymous = await get(server, '/api.php?action=folders', { key: null });
+  assert.strictEqual(anonymous.status, 401);
+  assert.strictEqual(anonymous.body.message, 'Invalid or missing API key');
+
+  const noFolder = await get(server, '/api.php?action=manifest');
+  assert.strictEqual(noFolder.status, 400);
+  assert.strictEqual(noFolder.body.message, 'Folder parameter is required (use ?folder=path)');
+
+  const outside = await get(server, '/api.php?action=manifest&folder=private');
+  assert.strictEqual(outside.status, 403);
+
+  const unknown = await get(server, '/api.php?action=delete', { key: null });
+  assert.strictEqual(unknown.status, 404);
+  assert.strictEqual(unknown.body.message, 'API endpoint not found');
+  assert.deepStrictEqual(Object.keys(unknown.body.documentation), ['health', 'manifest', 'folders']);
+});
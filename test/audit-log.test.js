@@ -0,0 +1,75 @@
+/**
+ * Audit log: size rotation, queries across rotated files and throttling of unauthenticated failures
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuditLog = require('../lib/audit-log');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-explorer-audit-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the log rotates by size and keeps maxFiles files', async () => {
+  const filePath = path.join(dir, 'audit.log');
+  const auditLog = new AuditLog(filePath, { maxSize: 500, maxFiles: 3 });
+
+  for (let index = 0; index < 40; index++) {
+    auditLog.record({ type: 'forbidden', ip: '10.0.0.1', index });
+  }
+
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['audit.log', 'audit.log.1', 'audit.log.2']);
+  for (const name of fs.readdirSync(dir)) {
+    const stats = fs.statSync(path.join(dir, name));
+    assert.ok(stats.size <= 500, `${name} is ${stats.size} bytes`);
+    assert.strictEqual(stats.mode & 0o777, 0o600);
+  }
+
+  // Queries read the rotated files too, newest first; the oldest events were dropped
+  const { total, events } = await auditLog.query({ limit: 1000 });
+  assert.strictEqual(events[0].index, 39);
+  assert.ok(total > 3 && total < 40);
+  assert.deepStrictEqual(events.map(event => event.index), Array.from({ length: total }, (_, i) => 39 - i));
+});
+
+test('unauthenticated failures are throttled per IP with a suppressed count', async (t) => {
+  const realNow = Date.now;
+  let now = realNow();
+  Date.now = () => now;
+  t.after(() => {
+    Date.now = realNow;
+  });
+
+  const auditLog = new AuditLog(path.join(dir, 'audit.log'), { perIp: 2, total: 3 });
+
+  const results = [];
+  for (let index = 0; index < 5; index++) {
+    results.push(auditLog.record({ type: 'unauthorized', ip: '10.0.0.1' }));
+  }
+  assert.deepStrictEqual(results.map(Boolean), [true, true, false, false, false]);
+
+  // The overall limit covers floods spread over many IPs
+  assert.ok(auditLog.record({ type: 'unauthorized', ip: '10.0.0.2' }));
+  assert.strictEqual(auditLog.record({ type: 'unauthorized', ip: '10.0.0.3' }), null);
+
+  // Other event types are never throttled
+  for (let index = 0; index < 5; index++) {
+    assert.ok(auditLog.record({ type: 'forbidden', ip: '10.0.0.1' }));
+  }
+
+  now += 60 * 1000;
+  const next = auditLog.record({ type: 'unauthorized', ip: '10.0.0.1' });
+  assert.strictEqual(next.suppressed, 3);
+
+  const { total } = await auditLog.query({ type: ['unauthorized'] });
+  assert.strictEqual(total, 4);
+});
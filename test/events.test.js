@@ -0,0 +1,90 @@
+/**
+ * Live change feed: who may subscribe to /api/events and which folders each subscriber is told about
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    files: { 'Series/a.mp3': 'a' },
+    mounts: { open: { requiresAuth: false, files: { 'Talks/b.mp3': 'b' } } }
+  });
+});
+
+after(() => server.stop());
+
+/**
+ * Open /api/events and read its "change" events one at a time
+ */
+async function openStream(target, options) {
+  const controller = new AbortController();
+  const response = await target.request('/api/events', { ...options, signal: controller.signal });
+  assert.strictEqual(response.status, 200);
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const nextChange = async () => {
+    for (;;) {
+      const match = buffer.match(/event: change\ndata: (.*)\n\n/);
+      if (match) {
+        buffer = buffer.slice(match.index + match[0].length);
+        return JSON.parse(match[1]);
+      }
+      const { value, done } = await reader.read();
+      if (done) {
+        throw new Error('Stream ended');
+      }
+      buffer += decoder.decode(value, { stream: true });
+    }
+  };
+
+  return { nextChange, close: () => controller.abort() };
+}
+
+function rename(filePath, name) {
+  return server.request('/api/files/rename', { json: { path: filePath, name } }).then(response => {
+    assert.strictEqual(response.status, 200);
+  });
+}
+
+test('anonymous streams are told about public mounts only', async () => {
+  const stream = await openStream(server, { key: null });
+  try {
+    await rename('pub/Series/a.mp3', 'a2.mp3');
+    await rename('open/Talks/b.mp3', 'b2.mp3');
+
+    assert.deepStrictEqual((await stream.nextChange()).folders, ['open/Talks']);
+  } finally {
+    stream.close();
+  }
+});
+
+test('key streams are told about the folders the key may read', async () => {
+  const stream = await openStream(server);
+  try {
+    await rename('pub/Series/a2.mp3', 'a3.mp3');
+
+    assert.deepStrictEqual((await stream.nextChange()).folders, ['pub/Series']);
+  } finally {
+    stream.close();
+  }
+});
+
+test('anonymous streams get 204 when every mount needs credentials', async () => {
+  const closed = await startServer();
+  try {
+    const response = await closed.request('/api/events', { key: null });
+    assert.strictEqual(response.status, 204);
+
+    // A wrong key is still an authentication failure
+    assert.strictEqual((await closed.request('/api/events', { key: 'not-the-key' })).status, 401);
+  } finally {
+    await closed.stop();
+  }
+});
@@ -0,0 +1,67 @@
+/**
+ * Manifests after admin file changes: entries follow the file, and the manifests of one change
+ * are written all or nothing, with a failure reported in the answer instead of swallowed
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer } = require('./helpers/server');
+
+const MP3 = Buffer.from('ID3'.padEnd(64, 'x'));
+
+function manifestFor(folder, files) {
+  return JSON.stringify({ name: folder, files, folders: [] });
+}
+
+function start(t, seriesManifest) {
+  const entry = { name: 'a.mp3', path: '/pub/Inbox/a.mp3', size: MP3.length, type: 'audio/mpeg', audio: { duration: 1.5 } };
+  return startTestServer(t, {
+    files: {
+      'Inbox/a.mp3': MP3,
+      'Inbox/manifest.json': manifestFor('Inbox', [entry]),
+      'Series/b.mp3': MP3,
+      'Series/manifest.json': seriesManifest
+    }
+  });
+}
+
+function readManifest(server, folder) {
+  return JSON.parse(fs.readFileSync(path.join(server.mountDir, folder, 'manifest.json'), 'utf-8'));
+}
+
+function move(server) {
+  return server.request('/api/files/move', { json: { path: 'pub/Inbox/a.mp3', to: 'pub/Series' } });
+}
+
+test('a moved file takes its manifest entry along', async (t) => {
+  const b = { name: 'b.mp3', path: '/pub/Series/b.mp3', size: MP3.length, type: 'audio/mpeg' };
+  const server = await start(t, manifestFor('Series', [b]));
+
+  const response = await move(server);
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(await response.json(), { from: 'pub/Inbox/a.mp3', to: 'pub/Series/a.mp3', type: 'file' });
+
+  assert.deepStrictEqual(readManifest(server, 'Inbox').files, []);
+  const moved = readManifest(server, 'Series').files.find(file => file.name === 'a.mp3');
+  assert.strictEqual(moved.path, '/pub/Series/a.mp3');
+  assert.deepStrictEqual(moved.audio, { duration: 1.5 });
+});
+
+test('a failed manifest update changes no manifest and is reported', async (t) => {
+  const server = await start(t, '{ not json');
+  const inboxBefore = fs.readFileSync(path.join(server.mountDir, 'Inbox', 'manifest.json'), 'utf-8');
+
+  const response = await move(server);
+  assert.strictEqual(response.status, 200);
+  const body = await response.json();
+  assert.strictEqual(body.to, 'pub/Series/a.mp3');
+  assert.match(body.manifestError, /regenerate pub\/Inbox and pub\/Series/);
+
+  // The entry taken from Inbox was only staged, so Inbox still lists it
+  assert.ok(fs.existsSync(path.join(server.mountDir, 'Series', 'a.mp3')));
+  assert.strictEqual(fs.readFileSync(path.join(server.mountDir, 'Inbox', 'manifest.json'), 'utf-8'), inboxBefore);
+  const leftovers = fs.readdirSync(server.mountDir, { recursive: true }).filter(name => String(name).endsWith('.tmp'));
+  assert.deepStrictEqual(leftovers, []);
+});
@@ -0,0 +1,74 @@
+/**
+ * /api/files/stream byte ranges: a single range is answered with 206, a range outside the file
+ * with 416, and If-Range falls back to the whole file once the file has changed
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers/server');
+
+const FILE = Buffer.from('ID3'.padEnd(1000, 'x') + '0123456789');
+const STREAM = '/api/files/stream?path=pub/Series/a.mp3';
+
+function start(t) {
+  return startTestServer(t, { files: { 'Series/a.mp3': FILE } });
+}
+
+async function get(server, headers) {
+  const response = await server.request(STREAM, { headers });
+  return { response, body: Buffer.from(await response.arrayBuffer()) };
+}
+
+test('a single range is answered with 206 and only those bytes', async (t) => {
+  const server = await start(t);
+
+  const { response, body } = await get(server, { Range: 'bytes=1000-1004' });
+  assert.strictEqual(response.status, 206);
+  assert.strictEqual(response.headers.get('content-range'), `bytes 1000-1004/${FILE.length}`);
+  assert.strictEqual(response.headers.get('content-length'), '5');
+  assert.strictEqual(response.headers.get('accept-ranges'), 'bytes');
+  assert.strictEqual(body.toString(), '01234');
+
+  const suffix = await get(server, { Range: 'bytes=-3' });
+  assert.strictEqual(suffix.response.status, 206);
+  assert.strictEqual(suffix.response.headers.get('content-range'), `bytes ${FILE.length - 3}-${FILE.length - 1}/${FILE.length}`);
+  assert.strictEqual(suffix.body.toString(), '789');
+
+  // Multiple ranges are not supported, so the whole file is sent
+  const multi = await get(server, { Range: 'bytes=0-1,5-6' });
+  assert.strictEqual(multi.response.status, 200);
+  assert.ok(multi.body.equals(FILE));
+});
+
+test('a range starting past the end is answered with 416', async (t) => {
+  const server = await start(t);
+
+  const { response, body } = await get(server, { Range: `bytes=${FILE.length}-` });
+  assert.strictEqual(response.status, 416);
+  assert.strictEqual(response.headers.get('content-range'), `bytes */${FILE.length}`);
+  assert.strictEqual(JSON.parse(body).error, 'Range Not Satisfiable');
+});
+
+test('If-Range serves the range only while the file is unchanged', async (t) => {
+  const server = await start(t);
+  const { response: first } = await get(server);
+  const etag = first.headers.get('etag');
+  const lastModified = first.headers.get('last-modified');
+  assert.ok(etag);
+
+  const current = await get(server, { Range: 'bytes=0-2', 'If-Range': etag });
+  assert.strictEqual(current.response.status, 206);
+  assert.strictEqual(current.body.toString(), 'ID3');
+
+  const byDate = await get(server, { Range: 'bytes=0-2', 'If-Range': lastModified });
+  assert.strictEqual(byDate.response.status, 206);
+
+  const stale = await get(server, { Range: 'bytes=0-2', 'If-Range': '"0-0"' });
+  assert.strictEqual(stale.response.status, 200);
+  assert.strictEqual(stale.response.headers.get('content-range'), null);
+  assert.ok(stale.body.equals(FILE));
+
+  const older = await get(server, { Range: 'bytes=0-2', 'If-Range': new Date(0).toUTCString() });
+  assert.strictEqual(older.response.status, 200);
+  assert.ok(older.body.equals(FILE));
+});
@@ -0,0 +1,89 @@
+/**
+ * Manifests generated on demand for folders without manifest.json: the listing follows the
+ * directory, and is reused without rescanning the tree while a watcher or the recheck interval vouches for it
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ManifestStore = require('../lib/manifest-store');
+const { startTestServer } = require('./helpers/server');
+
+const SERIES = path.join('pub', 'Series');
+const names = (manifest) => manifest.files.map(file => file.name);
+
+/**
+ * A library root with pub/Series/a.mp3 and a store counting its tree scans
+ */
+function createStore(t, options) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'file-explorer-generated-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(root, 'pub', 'Series'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'pub', 'Series', 'a.mp3'), 'a');
+
+  const store = new ManifestStore(root, options);
+  store.scans = 0;
+  const getTreeSignature = store.getTreeSignature.bind(store);
+  store.getTreeSignature = (dirPath) => {
+    store.scans++;
+    return getTreeSignature(dirPath);
+  };
+
+  const addFile = (name) => fs.writeFileSync(path.join(root, 'pub', 'Series', name), name);
+  return { store, addFile };
+}
+
+test('/api/manifest generates a listing for a folder without manifest.json', async (t) => {
+  const server = await startTestServer(t, { files: { 'Series/a.mp3': 'abc', 'Series/Extras/b.mp3': 'b' } });
+
+  const response = await server.request('/api/manifest?folder=pub/Series');
+  assert.strictEqual(response.status, 200);
+  const manifest = await response.json();
+  assert.strictEqual(manifest.name, 'Series');
+  assert.deepStrictEqual(manifest.files.map(({ name, path: webPath, size }) => ({ name, path: webPath, size })),
+    [{ name: 'a.mp3', path: '/pub/Series/a.mp3', size: 3 }]);
+  assert.deepStrictEqual(manifest.folders.map(folder => folder.name), ['Extras']);
+
+  const missing = await server.request('/api/manifest?folder=pub/Missing');
+  assert.strictEqual(missing.status, 404);
+  await missing.arrayBuffer();
+});
+
+test('an unwatched tree is rescanned at most once per recheck interval', (t) => {
+  const { store, addFile } = createStore(t, { recheckInterval: 60000 });
+
+  const first = store.generateManifest(SERIES);
+  assert.deepStrictEqual(names(first), ['a.mp3']);
+  assert.strictEqual(store.generateManifest(SERIES), first);
+  assert.strictEqual(store.scans, 1);
+
+  // Within the interval the cached listing is served as is
+  addFile('b.mp3');
+  assert.strictEqual(store.generateManifest(SERIES), first);
+
+  store.recheckInterval = 0;
+  assert.deepStrictEqual(names(store.generateManifest(SERIES)), ['a.mp3', 'b.mp3']);
+});
+
+test('a watched tree is never rescanned, but regenerated once invalidated', (t) => {
+  let watched = true;
+  const { store, addFile } = createStore(t, { isWatched: () => watched, recheckInterval: 0 });
+
+  const first = store.generateManifest(SERIES);
+  addFile('b.mp3');
+  assert.strictEqual(store.generateManifest(SERIES), first);
+  assert.strictEqual(store.scans, 0);
+
+  // The watcher reports the change for the file's folder
+  store.invalidate(SERIES);
+  const second = store.generateManifest(SERIES);
+  assert.deepStrictEqual(names(second), ['a.mp3', 'b.mp3']);
+
+  // Without the watcher nothing would report the next change, so the listing is rebuilt
+  watched = false;
+  addFile('c.mp3');
+  assert.deepStrictEqual(names(store.generateManifest(SERIES)), ['a.mp3', 'b.mp3', 'c.mp3']);
+  assert.ok(store.scans > 0);
+});
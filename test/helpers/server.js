@@ -0,0 +1,159 @@
+/**
+ * Start server.js in a child process against a temporary library, for integration tests
+ * Every store, log and upload directory lives in a temp directory that stop() removes
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const KeyStore = require('../../lib/key-store');
+
+const SERVER_FILE = path.join(__dirname, '..', '..', 'server.js');
+const API_KEY = 'test-admin-key';
+const START_TIMEOUT = 10000;
+
+/**
+ * A port nothing listens on right now
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Create files ({ "Series/a.mp3": Buffer|string }) below a directory
+ */
+function writeFiles(root, files) {
+  fs.mkdirSync(root, { recursive: true });
+  Object.entries(files).forEach(([relativePath, content]) => {
+    const filePath = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  });
+}
+
+/**
+ * Start a server with one writable, protected mount "pub"
+ * @param {object} options - { env } extra environment, { files } created in the mount,
+ *   { mounts } more mounts, writable unless readOnly: { name: { requiresAuth, readOnly, files } }
+ * @returns {Promise<{ url, dir, mountDir, request, stop }>}
+ */
+async function startServer({ env = {}, files = {}, mounts = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-explorer-test-'));
+  const mountDir = path.join(dir, 'library', 'pub');
+  writeFiles(mountDir, files);
+
+  const config = { pub: { path: mountDir, requiresAuth: true, readOnly: false } };
+  Object.entries(mounts).forEach(([name, { requiresAuth = true, readOnly = false, files: mountFiles = {} }]) => {
+    const root = path.join(dir, 'library', name);
+    writeFiles(root, mountFiles);
+    config[name] = { path: root, requiresAuth, readOnly };
+  });
+
+  fs.writeFileSync(path.join(dir, 'library.config.json'), JSON.stringify({ mounts: config }));
+
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [SERVER_FILE], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      API_KEY,
+      URL_SIGNING_SECRET: 'test-signing-secret',
+      LIBRARY_CONFIG: path.join(dir, 'library.config.json'),
+      LOG_DIR: '',
+      LOG_LEVEL: 'error',
+      WATCH_FOLDERS: '0',
+      ...env
+    },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+
+  let stderr = '';
+  child.stderr.on('data', (chunk) => {
+    stderr += chunk;
+  });
+
+  const url = `http://127.0.0.1:${port}`;
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const stop = async () => {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill();
+      await exited;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  const started = Date.now();
+  for (;;) {
+    if (child.exitCode !== null) {
+      await stop();
+      throw new Error(`Server exited during startup: ${stderr}`);
+    }
+    try {
+      await fetch(`${url}/api/health`);
+      break;
+    } catch {
+      if (Date.now() - started > START_TIMEOUT) {
+        await stop();
+        throw new Error(`Server did not start: ${stderr}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  /**
+   * fetch() against the server, sending the admin key unless options.key is null
+   */
+  const request = (requestPath, options = {}) => {
+    const { key = API_KEY, json, headers = {}, ...rest } = options;
+    const allHeaders = { ...headers };
+    if (key) {
+      allHeaders['X-API-Key'] = key;
+    }
+    if (json !== undefined) {
+      allHeaders['Content-Type'] = 'application/json';
+      rest.body = JSON.stringify(json);
+      rest.method = rest.method || 'POST';
+    }
+    return fetch(`${url}${requestPath}`, { ...rest, headers: allHeaders });
+  };
+
+  return { url, dir, mountDir, request, stop };
+}
+
+/**
+ * Start a server for one test and stop it when the test ends
+ * @param {TestContext} t - the test's context (node:test)
+ */
+async function startTestServer(t, options) {
+  const server = await startServer(options);
+  t.after(() => server.stop());
+  return server;
+}
+
+/**
+ * Key store file with the given keys ({ label, scopes, folders }), removed when the test ends
+ * Pass it as env.KEY_STORE_FILE; it replaces the API_KEY admin key
+ * @returns {{ file: string, keys: Array<{ key: string, record: object }>, store: KeyStore }}
+ */
+function createKeyStore(t, specs) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-explorer-keys-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const file = path.join(dir, 'api-keys.json');
+  const store = new KeyStore(file);
+  const keys = specs.map(spec => store.add(spec));
+  return { file, keys, store };
+}
+
+module.exports = { startServer, startTestServer, createKeyStore, API_KEY };
@@ -0,0 +1,55 @@
+/**
+ * Manifest regeneration jobs stay within the admin key's folder grants and writable mounts,
+ * and keys only see the jobs of folders granted to them
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, createKeyStore } = require('./helpers/server');
+
+async function start(t) {
+  const { file, keys: [full, narrow] } = createKeyStore(t, [
+    { label: 'admin', folders: ['*'], scopes: ['read', 'admin'] },
+    { label: 'series admin', folders: ['pub/Series'], scopes: ['read', 'admin'] }
+  ]);
+  const server = await startTestServer(t, {
+    env: { KEY_STORE_FILE: file },
+    files: { 'Series/a.mp3': 'a', 'Other/b.mp3': 'b' },
+    mounts: { archive: { readOnly: true, files: { 'Books/c.mp3': 'c' } } }
+  });
+  return { server, full: full.key, narrow: narrow.key };
+}
+
+function regenerate(server, folder, key) {
+  return server.request(`/api/manifest/regenerate?folder=${encodeURIComponent(folder)}`, { method: 'POST', key });
+}
+
+test('regeneration is refused outside the grants and in read-only mounts', async (t) => {
+  const { server, full, narrow } = await start(t);
+
+  const outside = await regenerate(server, 'pub/Other', narrow);
+  assert.strictEqual(outside.status, 403);
+  assert.strictEqual((await outside.json()).message, 'Access to this folder is not allowed');
+
+  const readOnly = await regenerate(server, 'archive/Books', full);
+  assert.strictEqual(readOnly.status, 403);
+  assert.strictEqual((await readOnly.json()).message, 'Folder is read-only');
+
+  const granted = await regenerate(server, 'pub/Series', narrow);
+  assert.strictEqual(granted.status, 202);
+  await granted.arrayBuffer();
+});
+
+test('jobs of folders outside the grants are hidden', async (t) => {
+  const { server, full, narrow } = await start(t);
+  const { id } = await (await regenerate(server, 'pub/Other', full)).json();
+
+  const fullList = await (await server.request('/api/jobs', { key: full })).json();
+  assert.deepStrictEqual(fullList.jobs.map(job => job.id), [id]);
+
+  const narrowList = await (await server.request('/api/jobs', { key: narrow })).json();
+  assert.deepStrictEqual(narrowList.jobs, []);
+
+  assert.strictEqual((await server.request(`/api/jobs/${id}`, { key: narrow })).status, 404);
+  assert.strictEqual((await server.request(`/api/jobs/${id}/cancel`, { method: 'POST', key: narrow })).status, 404);
+});
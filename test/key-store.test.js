@@ -0,0 +1,64 @@
+/**
+ * Keys from KEY_STORE_FILE: each key reaches only its granted folders, needs the write scope to
+ * change anything, and stops working once it expires or is revoked from the file
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, createKeyStore } = require('./helpers/server');
+
+const FILES = { 'Series/a.mp3': 'a', 'Series 2/b.mp3': 'b', 'Other/c.mp3': 'c' };
+const UPLOAD = { folder: 'pub/Series', name: 'new.mp3', size: 1 };
+
+async function getStatus(server, requestPath, key) {
+  const response = await server.request(requestPath, { key });
+  await response.arrayBuffer();
+  return response.status;
+}
+
+test('a key reaches only its granted folders', async (t) => {
+  const { file, keys: [{ key }] } = createKeyStore(t, [{ label: 'series', folders: ['pub/Series'], scopes: ['read'] }]);
+  const server = await startTestServer(t, { env: { KEY_STORE_FILE: file }, files: FILES });
+
+  assert.strictEqual(await getStatus(server, '/api/files/stream?path=pub/Series/a.mp3', key), 200);
+  assert.strictEqual(await getStatus(server, '/pub/Series/a.mp3', key), 200);
+  // A grant covers the folder and what lies below it, not folders that merely share the prefix
+  assert.strictEqual(await getStatus(server, '/api/files/stream?path=pub/Series%202/b.mp3', key), 403);
+  assert.strictEqual(await getStatus(server, '/api/files/stream?path=pub/Other/c.mp3', key), 403);
+  assert.strictEqual(await getStatus(server, '/pub/Other/c.mp3', key), 401);
+});
+
+test('changes need the write scope in a granted folder', async (t) => {
+  const { file, keys: [reader, writer] } = createKeyStore(t, [
+    { label: 'reader', folders: ['pub/Series'], scopes: ['read'] },
+    { label: 'writer', folders: ['pub/Series'], scopes: ['read', 'write'] }
+  ]);
+  const server = await startTestServer(t, { env: { KEY_STORE_FILE: file }, files: FILES });
+
+  const refused = await server.request('/api/uploads', { key: reader.key, json: UPLOAD });
+  assert.strictEqual(refused.status, 403);
+  assert.strictEqual((await refused.json()).message, 'Write scope required');
+
+  const outside = await server.request('/api/uploads', { key: writer.key, json: { ...UPLOAD, folder: 'pub/Other' } });
+  assert.strictEqual(outside.status, 403);
+  assert.strictEqual((await outside.json()).message, 'Access to this folder is not allowed');
+
+  const created = await server.request('/api/uploads', { key: writer.key, json: UPLOAD });
+  assert.strictEqual(created.status, 201);
+  await created.arrayBuffer();
+});
+
+test('expired and revoked keys are refused', async (t) => {
+  const { file, keys: [active, expired], store } = createKeyStore(t, [
+    { label: 'active', folders: ['*'], scopes: ['read'] },
+    { label: 'expired', folders: ['*'], scopes: ['read'], expires: new Date(Date.now() - 1000).toISOString() }
+  ]);
+  const server = await startTestServer(t, { env: { KEY_STORE_FILE: file }, files: FILES });
+
+  assert.strictEqual(await getStatus(server, '/api/folders', expired.key), 401);
+  assert.strictEqual(await getStatus(server, '/api/folders', active.key), 200);
+
+  // The server reloads the file once it changes, without a restart
+  store.revoke(active.record.id);
+  assert.strictEqual(await getStatus(server, '/api/folders', active.key), 401);
+});
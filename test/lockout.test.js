@@ -0,0 +1,84 @@
+/**
+ * Brute-force lockout: repeated 401s from an IP lock it out of every authenticated surface,
+ * and only requests with a valid key or login clear its failures
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers/server');
+
+const FREE_ATTEMPTS = 5;
+const WRONG_KEY = 'not-the-key';
+
+function start(t) {
+  return startTestServer(t, { files: { 'Series/a.mp3': Buffer.from('ID3'.padEnd(64, 'x')) } });
+}
+
+/**
+ * Send a request with the wrong key and return its status
+ */
+async function failAttempt(server, requestPath) {
+  const response = await server.request(requestPath, { key: WRONG_KEY });
+  await response.arrayBuffer();
+  return response.status;
+}
+
+const SURFACES = [
+  '/pub/Series/a.mp3',
+  '/api/files/stream?path=pub/Series/a.mp3',
+  '/api/me/usage',
+  '/api/events',
+  '/api/search?q=a',
+  '/api/archive/link?folder=pub/Series',
+  '/api/archive?folder=pub/Series',
+  '/api/manifest?folder=pub/Series'
+];
+
+for (const surface of SURFACES) {
+  test(`wrong keys lock the IP out of ${surface.split('?')[0]}`, async (t) => {
+    const server = await start(t);
+
+    // The failure after the free attempts starts the first lockout
+    for (let attempt = 0; attempt <= FREE_ATTEMPTS; attempt++) {
+      assert.strictEqual(await failAttempt(server, surface), 401, `attempt ${attempt + 1}`);
+    }
+
+    const locked = await server.request(surface, { key: WRONG_KEY });
+    assert.strictEqual(locked.status, 429);
+    assert.ok(Number(locked.headers.get('retry-after')) > 0);
+
+    // The lockout covers the right key too until it expires
+    assert.strictEqual((await server.request('/api/folders')).status, 429);
+  });
+}
+
+test('share link and public requests do not clear failures', async (t) => {
+  const server = await start(t);
+  const created = await server.request('/api/shares', { json: { path: 'pub/Series' } });
+  const { url: link } = await created.json();
+
+  for (let attempt = 0; attempt < FREE_ATTEMPTS; attempt++) {
+    assert.strictEqual(await failAttempt(server, '/api/folders'), 401);
+  }
+
+  assert.strictEqual((await server.request(`${link}/manifest`, { key: null })).status, 200);
+  assert.strictEqual((await server.request('/api/health', { key: null })).status, 200);
+
+  assert.strictEqual(await failAttempt(server, '/api/folders'), 401);
+  assert.strictEqual(await failAttempt(server, '/api/folders'), 429);
+});
+
+test('a request with a valid key clears failures', async (t) => {
+  const server = await start(t);
+
+  for (let attempt = 0; attempt < FREE_ATTEMPTS; attempt++) {
+    assert.strictEqual(await failAttempt(server, '/api/folders'), 401);
+  }
+
+  assert.strictEqual((await server.request('/api/folders')).status, 200);
+
+  for (let attempt = 0; attempt <= FREE_ATTEMPTS; attempt++) {
+    assert.strictEqual(await failAttempt(server, '/api/folders'), 401);
+  }
+  assert.strictEqual(await failAttempt(server, '/api/folders'), 429);
+});
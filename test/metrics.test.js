@@ -0,0 +1,42 @@
+/**
+ * /api/metrics access: a key with the metrics (or admin) scope, or localhost only when
+ * METRICS_LOCALHOST=1, and never a proxied request that merely arrives from localhost
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, createKeyStore } = require('./helpers/server');
+
+async function getStatus(server, options) {
+  const response = await server.request('/api/metrics', options);
+  await response.arrayBuffer();
+  return response.status;
+}
+
+test('localhost needs a key unless METRICS_LOCALHOST=1', async (t) => {
+  const server = await startTestServer(t);
+  assert.strictEqual(await getStatus(server, { key: null }), 401);
+  assert.strictEqual(await getStatus(server), 200);
+});
+
+test('proxied requests from localhost are not local without TRUST_PROXY', async (t) => {
+  const server = await startTestServer(t, { env: { METRICS_LOCALHOST: '1' } });
+  assert.strictEqual(await getStatus(server, { key: null }), 200);
+  assert.strictEqual(await getStatus(server, { key: null, headers: { 'X-Forwarded-For': '127.0.0.1' } }), 401);
+  assert.strictEqual(await getStatus(server, { key: null, headers: { 'X-Real-IP': '203.0.113.5' } }), 401);
+});
+
+test('with TRUST_PROXY the forwarded client address decides', async (t) => {
+  const server = await startTestServer(t, { env: { METRICS_LOCALHOST: '1', TRUST_PROXY: 'loopback' } });
+  assert.strictEqual(await getStatus(server, { key: null, headers: { 'X-Forwarded-For': '203.0.113.5' } }), 401);
+  assert.strictEqual(await getStatus(server, { key: null, headers: { 'X-Forwarded-For': '127.0.0.1' } }), 200);
+});
+
+test('a key with only the metrics scope can scrape but not administer', async (t) => {
+  const { file, keys: [{ key }] } = createKeyStore(t, [{ label: 'prometheus', scopes: ['metrics'] }]);
+  const server = await startTestServer(t, { env: { KEY_STORE_FILE: file } });
+
+  assert.strictEqual(await getStatus(server, { key }), 200);
+  const audit = await server.request('/api/audit', { key });
+  assert.strictEqual(audit.status, 403);
+});
@@ -0,0 +1,77 @@
+/**
+ * OpenAPI document and request validation: malformed requests get one 400 shape, but only once
+ * credentials checked out, and /api/openapi.json documents every route server.js registers
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer } = require('./helpers/server');
+
+const FREE_ATTEMPTS = 5; // failures before AuthGuard locks an IP out
+const MALFORMED = '/api/audit?limit=abc';
+
+/**
+ * "get /api/jobs/{id}" for every app.get/post/put/delete route in server.js
+ */
+function readRegisteredRoutes() {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'server.js'), 'utf-8');
+  const routes = [...source.matchAll(/^app\.(get|post|put|delete)\('([^']+)'/gm)];
+  return routes.map(([, method, route]) => `${method} ${route.replace(/:(\w+)/g, '{$1}')}`).sort();
+}
+
+test('malformed queries and bodies get a 400 listing every problem', async (t) => {
+  const server = await startTestServer(t, { files: { 'Series/a.mp3': 'a' } });
+
+  const query = await server.request(MALFORMED);
+  assert.strictEqual(query.status, 400);
+  const queryBody = await query.json();
+  assert.strictEqual(queryBody.error, 'Bad Request');
+  assert.strictEqual(queryBody.message, 'Invalid request: limit must be an integer');
+  assert.deepStrictEqual(queryBody.details, [{ in: 'query', name: 'limit', message: 'must be an integer' }]);
+  assert.strictEqual(typeof queryBody.requestId, 'string');
+
+  const body = await server.request('/api/shares', { json: { path: 'pub/Series', maxDownloads: 0, extra: true } });
+  assert.strictEqual(body.status, 400);
+  const { message, details } = await body.json();
+  assert.strictEqual(message, 'Invalid request: maxDownloads must be at least 1 (and 1 more)');
+  assert.deepStrictEqual(details, [
+    { in: 'body', name: 'maxDownloads', message: 'must be at least 1' },
+    { in: 'body', name: 'extra', message: 'is not allowed' }
+  ]);
+});
+
+test('requests without valid credentials get 401 and the lockout, not schema details', async (t) => {
+  const server = await startTestServer(t);
+
+  const anonymous = await server.request(MALFORMED, { key: null });
+  assert.strictEqual(anonymous.status, 401);
+  assert.strictEqual((await anonymous.json()).details, undefined);
+
+  // The anonymous request was the first failure; the one after the free attempts starts the lockout
+  for (let attempt = 2; attempt <= FREE_ATTEMPTS + 1; attempt++) {
+    const response = await server.request(MALFORMED, { key: 'not-the-key' });
+    assert.strictEqual(response.status, 401, `attempt ${attempt}`);
+    await response.arrayBuffer();
+  }
+
+  // Locked out now, so even the right key gets 429 rather than a validation answer
+  const locked = await server.request(MALFORMED);
+  assert.strictEqual(locked.status, 429);
+  assert.strictEqual((await locked.json()).details, undefined);
+});
+
+test('/api/openapi.json documents every registered route', async (t) => {
+  const server = await startTestServer(t);
+  const response = await server.request('/api/openapi.json', { key: null });
+  assert.strictEqual(response.status, 200);
+  const document = await response.json();
+
+  const documented = Object.entries(document.paths).flatMap(([route, item]) =>
+    ['get', 'post', 'put', 'delete'].filter(method => item[method]).map(method => `${method} ${route}`)).sort();
+  const registered = readRegisteredRoutes();
+
+  assert.ok(registered.length > 30, 'server.js routes were found');
+  assert.deepStrictEqual(documented, registered);
+});
@@ -0,0 +1,98 @@
+/**
+ * Client paths to disk paths: traversal and look-alike segments are refused by normalizePath,
+ * and symlinks that lead out of a mount are refused by PathResolver after fs.realpath
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LibraryConfig = require('../lib/library-config');
+const PathResolver = require('../lib/path-resolver');
+const { startServer } = require('./helpers/server');
+
+const { normalizePath } = PathResolver;
+const SECRET = 'outside the library';
+
+let dir;
+let realRoot;
+let resolver;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-explorer-paths-'));
+  const root = path.join(dir, 'library', 'pub');
+  fs.mkdirSync(path.join(root, 'Series'), { recursive: true });
+  fs.mkdirSync(path.join(dir, 'outside'));
+  fs.writeFileSync(path.join(root, 'Series', 'a.mp3'), 'ID3');
+  fs.writeFileSync(path.join(dir, 'outside', 'secret.txt'), SECRET);
+
+  fs.symlinkSync(path.join(dir, 'outside'), path.join(root, 'escape'));
+  fs.symlinkSync(path.join(dir, 'outside', 'secret.txt'), path.join(root, 'Series', 'secret.mp3'));
+  fs.symlinkSync(path.join(root, 'Series'), path.join(root, 'Alias'));
+
+  const configFile = path.join(dir, 'library.config.json');
+  fs.writeFileSync(configFile, JSON.stringify({ mounts: { pub: { path: root } } }));
+  resolver = new PathResolver(new LibraryConfig(configFile));
+  realRoot = fs.realpathSync(root);
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('normalizePath refuses traversal, separators and look-alikes', () => {
+  const unsafe = [
+    '', '/pub', '..', '../pub', 'pub/..', 'pub/../etc/passwd', 'pub/./a.mp3', 'pub//a.mp3',
+    'pub\\..\\etc', 'pub/a\u0000.mp3', 'pub/a\n.mp3', 'pub/%2e%2e/etc', 'pub/%2Fetc', 'pub/a%00.mp3',
+    'pub/‥/etc', 'pub/．．/etc', 'pub∕etc', 'pub／etc'
+  ];
+  unsafe.forEach(input => assert.strictEqual(normalizePath(input), null, JSON.stringify(input)));
+
+  assert.strictEqual(normalizePath(42), null);
+  assert.strictEqual(normalizePath('pub/Series/'), 'pub/Series');
+  assert.strictEqual(normalizePath('pub/Café'), 'pub/Café');
+  assert.strictEqual(normalizePath('pub/100%25 done'), 'pub/100%25 done');
+});
+
+test('resolve stays inside the mount', () => {
+  assert.strictEqual(resolver.resolve('pub/Series/a.mp3'), path.join(realRoot, 'Series', 'a.mp3'));
+  assert.strictEqual(resolver.resolve('pub'), realRoot);
+  assert.strictEqual(resolver.resolve('pub/../outside/secret.txt'), null);
+  assert.strictEqual(resolver.resolve('other/Series'), null);
+  assert.strictEqual(resolver.resolve('pub/Series/missing.mp3'), null);
+});
+
+test('symlinks out of the mount are refused, symlinks within it resolve to their target', () => {
+  assert.strictEqual(resolver.resolve('pub/escape'), null);
+  assert.strictEqual(resolver.resolve('pub/escape/secret.txt'), null);
+  assert.strictEqual(resolver.resolve('pub/Series/secret.mp3'), null);
+  assert.strictEqual(resolver.resolve('pub/Alias/a.mp3'), path.join(realRoot, 'Series', 'a.mp3'));
+});
+
+test('missing targets resolve through their nearest existing ancestor', () => {
+  assert.strictEqual(resolver.resolve('pub/Series/New/b.mp3', { allowMissing: true }), path.join(realRoot, 'Series', 'New', 'b.mp3'));
+  assert.strictEqual(resolver.resolve('pub/escape/new.mp3', { allowMissing: true }), null);
+  assert.strictEqual(resolver.resolve('pub/escape/deeper/new.mp3', { allowMissing: true }), null);
+});
+
+test('the server does not serve files reached through a traversal or an escaping symlink', async (t) => {
+  const server = await startServer({ files: { 'Series/a.mp3': 'ID3' } });
+  t.after(() => server.stop());
+  fs.mkdirSync(path.join(server.dir, 'outside'));
+  fs.writeFileSync(path.join(server.dir, 'outside', 'secret.txt'), SECRET);
+  fs.symlinkSync(path.join(server.dir, 'outside'), path.join(server.mountDir, 'escape'));
+
+  const attempts = [
+    '/pub/escape/secret.txt',
+    '/pub/..%2f..%2foutside/secret.txt',
+    '/pub/%252e%252e/outside/secret.txt',
+    '/api/files/stream?path=pub/escape/secret.txt',
+    '/api/files/stream?path=pub/../outside/secret.txt',
+    '/api/manifest?folder=pub/escape'
+  ];
+  for (const attempt of attempts) {
+    const response = await server.request(attempt);
+    const body = await response.text();
+    assert.ok(response.status >= 400, `${attempt} answered ${response.status}`);
+    assert.ok(!body.includes(SECRET), `${attempt} leaked the file`);
+  }
+});
@@ -0,0 +1,62 @@
+/**
+ * Static files: site assets on the public list are served anonymously, library folders need
+ * credentials, and deny-listed paths or anything else in the app directory are never served
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer } = require('./helpers/server');
+
+async function start(t) {
+  const server = await startTestServer(t, {
+    files: { 'Series/a.mp3': 'ID3 audio', 'Series/notes.md': '# notes', 'Series/.hidden': 'hidden' }
+  });
+
+  // The app directory the static layer serves from is the server's working directory
+  const appFiles = {
+    'index.html': '<h1>Library</h1>',
+    'style.css': 'body {}',
+    'secret.txt': 'not public',
+    '.env': 'API_KEY=secret',
+    'package.json': '{}',
+    'README.md': '# readme',
+    'lib/session.js': 'module.exports = {};'
+  };
+  Object.entries(appFiles).forEach(([relativePath, content]) => {
+    fs.mkdirSync(path.dirname(path.join(server.dir, relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(server.dir, relativePath), content);
+  });
+  return server;
+}
+
+async function get(server, requestPath, options) {
+  const response = await server.request(requestPath, options);
+  return { status: response.status, body: await response.text() };
+}
+
+test('public site assets are served without a key', async (t) => {
+  const server = await start(t);
+
+  assert.deepStrictEqual(await get(server, '/', { key: null }), { status: 200, body: '<h1>Library</h1>' });
+  assert.deepStrictEqual(await get(server, '/style.css', { key: null }), { status: 200, body: 'body {}' });
+});
+
+test('library files need a key', async (t) => {
+  const server = await start(t);
+
+  assert.strictEqual((await get(server, '/pub/Series/a.mp3', { key: null })).status, 401);
+  assert.deepStrictEqual(await get(server, '/pub/Series/a.mp3'), { status: 200, body: 'ID3 audio' });
+});
+
+test('deny-listed and unlisted paths are not served, even with a key', async (t) => {
+  const server = await start(t);
+
+  for (const requestPath of ['/.env', '/package.json', '/README.md', '/lib/session.js', '/secret.txt',
+    '/pub/Series/notes.md', '/pub/Series/.hidden']) {
+    const { status, body } = await get(server, requestPath);
+    assert.strictEqual(status, 404, requestPath);
+    assert.ok(!/secret|notes|hidden|module\.exports/.test(body), requestPath);
+  }
+});
@@ -0,0 +1,88 @@
+/**
+ * Per-key rate limits cover protected library files as well as the API, and limiter counters
+ * and daily download quotas are saved to the usage store so a restart does not reset them
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, startTestServer } = require('./helpers/server');
+
+const GENERAL_LIMIT = 100; // RATE_LIMIT_MAX in server.js
+const FILE = Buffer.from('ID3'.padEnd(64, 'x'));
+
+/**
+ * Usage store file in a temp directory that outlives the servers of one test
+ */
+function createUsageFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-explorer-usage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'usage.json');
+}
+
+async function get(server, requestPath) {
+  const response = await server.request(requestPath);
+  await response.arrayBuffer();
+  return response;
+}
+
+test('protected static files use up the per-key limit', async (t) => {
+  const server = await startTestServer(t, { files: { 'Series/a.mp3': FILE } });
+
+  const first = await get(server, '/pub/Series/a.mp3');
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers.get('ratelimit-remaining'), String(GENERAL_LIMIT - 1));
+
+  for (let count = 1; count < GENERAL_LIMIT; count++) {
+    assert.strictEqual((await get(server, '/pub/Series/a.mp3')).status, 200, `request ${count + 1}`);
+  }
+
+  assert.strictEqual((await get(server, '/pub/Series/a.mp3')).status, 429);
+  assert.strictEqual((await get(server, '/api/folders')).status, 429);
+});
+
+test('a protected file that falls through to a route is counted once', async (t) => {
+  const server = await startTestServer(t, { files: { 'Series/a.mp3': FILE } });
+
+  await get(server, '/pub/Series/missing.mp3');
+  const next = await get(server, '/api/folders');
+  assert.strictEqual(next.headers.get('ratelimit-remaining'), String(GENERAL_LIMIT - 2));
+});
+
+test('limiter counters survive a restart', async (t) => {
+  const env = { USAGE_STORE_FILE: createUsageFile(t) };
+
+  const before = await startServer({ env });
+  for (let count = 0; count < 3; count++) {
+    await get(before, '/api/folders');
+  }
+  await before.stop();
+
+  const after = await startTestServer(t, { env });
+  const response = await get(after, '/api/folders');
+  assert.strictEqual(response.headers.get('ratelimit-remaining'), String(GENERAL_LIMIT - 4));
+});
+
+test('the daily download quota stops downloads, also after a restart', async (t) => {
+  const env = { USAGE_STORE_FILE: createUsageFile(t), DAILY_DOWNLOAD_QUOTA: '100' };
+  const files = { 'Series/a.mp3': FILE };
+
+  const before = await startServer({ env, files });
+  const first = await get(before, '/api/files/stream?path=pub/Series/a.mp3');
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers.get('x-download-quota-remaining'), '100');
+
+  // Started within the quota, so it is sent in full
+  const second = await get(before, '/pub/Series/a.mp3');
+  assert.strictEqual(second.status, 200);
+  assert.strictEqual(second.headers.get('x-download-quota-remaining'), String(100 - FILE.length));
+  await before.stop();
+
+  const after = await startTestServer(t, { env, files });
+  const refused = await get(after, '/api/files/stream?path=pub/Series/a.mp3');
+  assert.strictEqual(refused.status, 429);
+  assert.strictEqual(refused.headers.get('x-download-quota-remaining'), '0');
+  assert.ok(Number(refused.headers.get('retry-after')) > 0);
+});
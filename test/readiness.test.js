@@ -0,0 +1,56 @@
+/**
+ * /api/health/ready: 200 while every mount is readable, every manifest.json valid and the disks have
+ * room, 503 naming the failed check otherwise, and never an absolute path in the answer
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer } = require('./helpers/server');
+
+const MANIFEST = JSON.stringify({ name: 'Series', files: [{ name: 'a.mp3', path: '/pub/Series/a.mp3', size: 1 }], folders: [] });
+
+async function getReady(server) {
+  const response = await server.request('/api/health/ready', { key: null });
+  const text = await response.text();
+  assert.ok(!text.includes(server.dir), 'no absolute paths');
+  return { status: response.status, body: JSON.parse(text) };
+}
+
+test('a healthy library is ready', async (t) => {
+  const server = await startTestServer(t, { files: { 'Series/a.mp3': 'a', 'Series/manifest.json': MANIFEST } });
+
+  const { status, body } = await getReady(server);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.status, 'ready');
+  assert.deepStrictEqual(body.checks.mounts, [{ name: 'pub', ok: true }]);
+  assert.strictEqual(body.checks.manifests.checked, 1);
+});
+
+test('an invalid manifest.json makes the server not ready', async (t) => {
+  const server = await startTestServer(t, {
+    files: { 'Series/manifest.json': MANIFEST, 'Broken/manifest.json': JSON.stringify({ name: 'Broken', files: {} }) }
+  });
+
+  const { status, body } = await getReady(server);
+  assert.strictEqual(status, 503);
+  assert.strictEqual(body.status, 'not_ready');
+  assert.deepStrictEqual(body.checks.manifests.invalid, [{ file: 'pub/Broken/manifest.json', errors: ['files must be an array'] }]);
+});
+
+test('a missing mount or a full disk makes the server not ready', async (t) => {
+  const server = await startTestServer(t, {
+    env: { HEALTH_MIN_FREE_SPACE: '1000000T' },
+    mounts: { archive: { files: { 'a.mp3': 'a' } } }
+  });
+  fs.rmSync(path.join(server.dir, 'library', 'archive'), { recursive: true });
+
+  const { status, body } = await getReady(server);
+  assert.strictEqual(status, 503);
+  assert.deepStrictEqual(body.checks.mounts.map(({ name, ok }) => ({ name, ok })), [
+    { name: 'pub', ok: true },
+    { name: 'archive', ok: false }
+  ]);
+  assert.ok(body.checks.disk.some(result => result.name === 'data' && !result.ok));
+});
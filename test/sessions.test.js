@@ -0,0 +1,95 @@
+/**
+ * Browser logins: a password login sets an HttpOnly session cookie that authenticates requests,
+ * and state-changing cookie requests are refused unless they send the session's CSRF token
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AccountStore = require('../lib/account-store');
+const { startTestServer } = require('./helpers/server');
+
+const PASSWORD = 'correct horse battery';
+
+async function start(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-explorer-accounts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'accounts.json');
+  await new AccountStore(file).add({ username: 'alice', password: PASSWORD, folders: ['pub'], scopes: ['read', 'admin'] });
+
+  return startTestServer(t, { env: { ACCOUNT_STORE_FILE: file }, files: { 'Series/a.mp3': 'a' } });
+}
+
+function login(server, password, headers = {}) {
+  return server.request('/api/login', { key: null, headers, json: { username: 'alice', password } });
+}
+
+/**
+ * Log in and return the cookie to send back plus the CSRF token
+ */
+async function loginSession(server) {
+  const response = await login(server, PASSWORD);
+  assert.strictEqual(response.status, 200);
+  const { csrfToken } = await response.json();
+  const setCookie = response.headers.get('set-cookie');
+  return { setCookie, cookie: setCookie.split(';')[0], csrfToken };
+}
+
+test('a password login sets an HttpOnly cookie that authenticates requests', async (t) => {
+  const server = await start(t);
+
+  const wrong = await login(server, 'not the password');
+  assert.strictEqual(wrong.status, 401);
+  assert.strictEqual(wrong.headers.get('set-cookie'), null);
+
+  const { setCookie, cookie, csrfToken } = await loginSession(server);
+  assert.match(setCookie, /^fe_session=/);
+  assert.match(setCookie, /HttpOnly/i);
+  assert.match(setCookie, /SameSite=Strict/i);
+  assert.strictEqual(typeof csrfToken, 'string');
+
+  const session = await server.request('/api/session', { key: null, headers: { Cookie: cookie } });
+  const state = await session.json();
+  assert.strictEqual(state.authenticated, true);
+  assert.strictEqual(state.username, 'alice');
+  assert.strictEqual(state.csrfToken, csrfToken);
+
+  const folders = await server.request('/api/folders', { key: null, headers: { Cookie: cookie } });
+  assert.strictEqual(folders.status, 200);
+  await folders.arrayBuffer();
+
+  const anonymous = await server.request('/api/folders', { key: null });
+  assert.strictEqual(anonymous.status, 401);
+  await anonymous.arrayBuffer();
+});
+
+test('a login from a foreign origin is refused', async (t) => {
+  const server = await start(t);
+
+  const response = await login(server, PASSWORD, { Origin: 'https://evil.example' });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).message, 'Origin not allowed');
+  assert.strictEqual(response.headers.get('set-cookie'), null);
+});
+
+test('state-changing cookie requests need the CSRF token', async (t) => {
+  const server = await start(t);
+  const { cookie, csrfToken } = await loginSession(server);
+
+  const share = await server.request('/api/shares', { key: null, headers: { Cookie: cookie }, json: { path: 'pub/Series' } });
+  assert.strictEqual(share.status, 403);
+  assert.strictEqual((await share.json()).message, 'Invalid or missing CSRF token');
+
+  const forged = await server.request('/api/logout', { key: null, method: 'POST', headers: { Cookie: cookie, 'X-CSRF-Token': 'forged' } });
+  assert.strictEqual(forged.status, 403);
+  await forged.arrayBuffer();
+
+  const logout = await server.request('/api/logout', { key: null, method: 'POST', headers: { Cookie: cookie, 'X-CSRF-Token': csrfToken } });
+  assert.strictEqual(logout.status, 200);
+  assert.deepStrictEqual(await logout.json(), { authenticated: false });
+
+  const after = await server.request('/api/session', { key: null, headers: { Cookie: cookie } });
+  assert.strictEqual((await after.json()).authenticated, false);
+});
@@ -0,0 +1,134 @@
+/**
+ * Share links: passwords, download limits and the Range requests that count against them
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const FILE = Buffer.from('ID3'.padEnd(103, 'x'));
+
+let server;
+
+before(async () => {
+  server = await startServer({ files: { 'Series/a.mp3': FILE } });
+});
+
+after(() => server.stop());
+
+/**
+ * Create a share as admin and return its public link
+ */
+async function createShare(body) {
+  const response = await server.request('/api/shares', { json: body });
+  assert.strictEqual(response.status, 201);
+  return (await response.json()).url;
+}
+
+/**
+ * Signed stream URL of the first file behind a share link
+ */
+async function getFileUrl(link, password) {
+  const response = password === undefined
+    ? await server.request(`${link}/manifest`, { key: null })
+    : await server.request(`${link}/manifest`, { key: null, json: { password } });
+  assert.strictEqual(response.status, 200);
+  const { manifest } = await response.json();
+  return manifest.files[0].path;
+}
+
+function download(fileUrl, range) {
+  return server.request(fileUrl, { key: null, headers: range === undefined ? {} : { Range: range } });
+}
+
+test('password-protected links need the password', async () => {
+  const link = await createShare({ path: 'pub/Series', password: 'correct horse' });
+
+  const anonymous = await server.request(`${link}/manifest`, { key: null });
+  assert.strictEqual(anonymous.status, 401);
+  assert.strictEqual((await anonymous.json()).passwordRequired, true);
+
+  const wrong = await server.request(`${link}/manifest`, { key: null, json: { password: 'wrong password' } });
+  assert.strictEqual(wrong.status, 401);
+
+  assert.match(await getFileUrl(link, 'correct horse'), /^\/api\/files\/stream\?path=pub%2FSeries%2Fa\.mp3&/);
+});
+
+test('every request that includes the first byte counts as a download', async () => {
+  const link = await createShare({ path: 'pub/Series', maxDownloads: 1 });
+  const fileUrl = await getFileUrl(link);
+
+  const first = await download(fileUrl, 'bytes=0-');
+  assert.strictEqual(first.status, 206);
+  assert.strictEqual((await first.arrayBuffer()).byteLength, FILE.length);
+
+  // The limit is used up: nothing else that reaches byte 0 gets through
+  for (const range of [undefined, 'bytes=0-', 'bytes= 0-', 'bytes=-103', 'bytes=-500', 'bytes=0-0']) {
+    const response = await download(fileUrl, range);
+    assert.strictEqual(response.status, 403, `Range ${range}`);
+    await response.arrayBuffer();
+  }
+
+  const shares = await (await server.request('/api/shares')).json();
+  const share = shares.shares.find(item => item.maxDownloads === 1);
+  assert.strictEqual(share.downloads, 1);
+  assert.strictEqual(share.status, 'exhausted');
+
+  const listing = await server.request(`${link}/manifest`, { key: null });
+  assert.strictEqual(listing.status, 410);
+});
+
+test('seeking past the first byte continues a download after the limit', async () => {
+  const link = await createShare({ path: 'pub/Series/a.mp3', maxDownloads: 1 });
+  const fileUrl = await getFileUrl(link);
+
+  assert.strictEqual((await download(fileUrl)).status, 200);
+
+  const seek = await download(fileUrl, 'bytes=50-');
+  assert.strictEqual(seek.status, 206);
+  assert.strictEqual(seek.headers.get('content-range'), `bytes 50-102/${FILE.length}`);
+  assert.strictEqual((await seek.arrayBuffer()).byteLength, 53);
+});
+
+test('multi-range and malformed Range headers are refused, not served whole', async () => {
+  const link = await createShare({ path: 'pub/Series', maxDownloads: 5 });
+  const fileUrl = await getFileUrl(link);
+
+  for (const range of ['bytes=50-,0-49', 'bytes=0-1,2-3', 'bytes=abc', 'items=0-']) {
+    const response = await download(fileUrl, range);
+    assert.strictEqual(response.status, 416, `Range ${range}`);
+    assert.strictEqual(response.headers.get('content-range'), `bytes */${FILE.length}`);
+  }
+
+  const shares = await (await server.request('/api/shares')).json();
+  assert.strictEqual(shares.shares.find(item => item.maxDownloads === 5).downloads, 0);
+});
+
+test('signed static paths of a share count against the same limit', async () => {
+  const link = await createShare({ path: 'pub/Series', maxDownloads: 1 });
+  const query = new URL(await getFileUrl(link), server.url).searchParams;
+  query.delete('path');
+  const staticUrl = `/pub/Series/a.mp3?${query}`;
+
+  const first = await download(staticUrl, 'bytes=-103');
+  assert.strictEqual(first.status, 206);
+  await first.arrayBuffer();
+
+  const second = await download(staticUrl, 'bytes=50-,0-49');
+  assert.strictEqual(second.status, 416);
+
+  const third = await download(staticUrl);
+  assert.strictEqual(third.status, 403);
+});
+
+test('revoked links stop their signed URLs', async () => {
+  const link = await createShare({ path: 'pub/Series' });
+  const fileUrl = await getFileUrl(link);
+  assert.strictEqual((await download(fileUrl, 'bytes=10-20')).status, 206);
+
+  const shares = await (await server.request('/api/shares')).json();
+  const { id } = shares.shares[0];
+  assert.strictEqual((await server.request(`/api/shares/${id}`, { method: 'DELETE' })).status, 204);
+
+  assert.strictEqual((await download(fileUrl, 'bytes=10-20')).status, 401);
+});
@@ -0,0 +1,51 @@
+/**
+ * Signed manifests: one expiry per copy, and 304 revalidations that leave the manifest rate limit alone
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const MANIFEST_LIMIT = 10; // MANIFEST_RATE_LIMIT_MAX in server.js
+const SIGNED = '/api/manifest?folder=pub/Series&signed=1';
+
+let server;
+
+before(async () => {
+  server = await startServer({ files: { 'Series/a.mp3': 'a', 'Series/b.mp3': 'b' } });
+});
+
+after(() => server.stop());
+
+test('signed manifests are reused and revalidate with 304', async () => {
+  const first = await server.request(SIGNED);
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers.get('cache-control'), 'private, no-cache');
+  assert.strictEqual(first.headers.get('last-modified'), null);
+  const etag = first.headers.get('etag');
+
+  const { files } = await first.json();
+  const expiries = files.map(file => new URL(file.path, server.url).searchParams.get('exp'));
+  assert.strictEqual(new Set(expiries).size, 1);
+
+  // Far more revalidations than the limit allows full downloads
+  for (let attempt = 0; attempt <= MANIFEST_LIMIT; attempt++) {
+    const revalidated = await server.request(SIGNED, { headers: { 'If-None-Match': etag } });
+    assert.strictEqual(revalidated.status, 304, `revalidation ${attempt + 1}`);
+  }
+
+  const again = await server.request(SIGNED);
+  assert.strictEqual(again.status, 200);
+  assert.strictEqual(again.headers.get('etag'), etag);
+  await again.arrayBuffer();
+});
+
+test('signed URLs from a revalidated manifest still download', async () => {
+  const response = await server.request(SIGNED, { headers: { 'If-None-Match': '"stale"' } });
+  assert.strictEqual(response.status, 200);
+  const { files } = await response.json();
+
+  const download = await server.request(files[0].path, { key: null });
+  assert.strictEqual(download.status, 200);
+  assert.strictEqual(await download.text(), 'a');
+});
@@ -0,0 +1,110 @@
+/**
+ * Signed URLs: rounded expiries, links that stop working once expired, and signatures bound to
+ * their key id, so rotating a key (or the signing secret) ends the links signed for it
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const UrlSigner = require('../lib/signed-url');
+const { startTestServer, createKeyStore } = require('./helpers/server');
+
+const RESOURCE = 'pub/Series/a.mp3';
+
+/**
+ * Freeze Date.now at a unix time in seconds for the rest of a test; returns a setter
+ */
+function freezeTime(t, seconds) {
+  const realNow = Date.now;
+  let now = seconds * 1000;
+  Date.now = () => now;
+  t.after(() => {
+    Date.now = realNow;
+  });
+  return (next) => {
+    now = next * 1000;
+  };
+}
+
+/**
+ * exp/kid/sig of a signed URL as verify() receives them
+ */
+function queryOf(url) {
+  return Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+}
+
+test('expiries are clamped to maxTtl and rounded to a quarter of the lifetime', (t) => {
+  const signer = new UrlSigner('secret', { defaultTtl: 3600, maxTtl: 7200 });
+  const setTime = freezeTime(t, 1000000);
+
+  assert.strictEqual(signer.getExpiry(), 1000000 + 3600);
+  assert.strictEqual(signer.getExpiry({ expiresIn: 999999 }), 1000000 + 7200);
+  assert.strictEqual(signer.getExpiry({ expiresIn: -5 }), 1000000 + 1);
+
+  // One hour moves in 15 minute steps, two minutes in 30 second steps
+  const rounded = signer.getExpiry({ round: true });
+  assert.strictEqual(rounded % 900, 0);
+  assert.ok(rounded > 1000000 + 3600 - 900 && rounded <= 1000000 + 3600);
+  assert.strictEqual(signer.getExpiry({ expiresIn: 120, round: true }) % 30, 0);
+
+  setTime(rounded - 3600 + 899);
+  assert.strictEqual(signer.getExpiry({ round: true }), rounded);
+  setTime(rounded - 3600 + 900);
+  assert.strictEqual(signer.getExpiry({ round: true }), rounded + 900);
+});
+
+test('links verify until their expiry, then fail as expired', (t) => {
+  const signer = new UrlSigner('secret');
+  const setTime = freezeTime(t, 1000000);
+  const query = queryOf(signer.signPath(`/${RESOURCE}`, { expiresIn: 60, keyId: 'k1' }));
+
+  assert.deepStrictEqual(signer.verify(RESOURCE, query), { valid: true, keyId: 'k1' });
+  setTime(1000000 + 60);
+  assert.strictEqual(signer.verify(RESOURCE, query).valid, true);
+  setTime(1000000 + 61);
+  assert.deepStrictEqual(signer.verify(RESOURCE, query), { valid: false, reason: 'expired' });
+
+  // A later expiry cannot be written into the link
+  assert.deepStrictEqual(signer.verify(RESOURCE, { ...query, exp: String(1000000 + 3600) }), { valid: false, reason: 'signature' });
+});
+
+test('signatures are bound to their key id, resource and secret', () => {
+  const signer = new UrlSigner('secret');
+  const query = queryOf(signer.signPath(`/${RESOURCE}`, { keyId: 'k1' }));
+
+  assert.deepStrictEqual(signer.verify(RESOURCE, { ...query, kid: 'k2' }), { valid: false, reason: 'signature' });
+  assert.deepStrictEqual(signer.verify('pub/Series/b.mp3', query), { valid: false, reason: 'signature' });
+  assert.deepStrictEqual(new UrlSigner('rotated secret').verify(RESOURCE, query), { valid: false, reason: 'signature' });
+  assert.deepStrictEqual(signer.verify(RESOURCE, { exp: query.exp, sig: query.sig }), { valid: false, reason: 'missing' });
+});
+
+test('revoking a key ends the links signed for it, not those of other keys', async (t) => {
+  const { file, keys: [old, replacement], store } = createKeyStore(t, [
+    { label: 'old', folders: ['pub'] },
+    { label: 'replacement', folders: ['pub'] }
+  ]);
+  const server = await startTestServer(t, { env: { KEY_STORE_FILE: file }, files: { 'Series/a.mp3': 'a' } });
+
+  const signedUrl = async (key) => {
+    const response = await server.request('/api/manifest?folder=pub/Series&signed=1', { key });
+    assert.strictEqual(response.status, 200);
+    return (await response.json()).files[0].path;
+  };
+  const download = async (url) => {
+    const response = await server.request(url, { key: null });
+    await response.arrayBuffer();
+    return response.status;
+  };
+
+  const oldUrl = await signedUrl(old.key);
+  const replacementUrl = await signedUrl(replacement.key);
+  assert.strictEqual(queryOf(oldUrl).kid, old.record.id);
+  assert.strictEqual(await download(oldUrl), 200);
+
+  assert.strictEqual(store.revoke(old.record.id), true);
+  assert.strictEqual(await download(oldUrl), 401);
+  assert.strictEqual(await download(replacementUrl), 200);
+
+  // Claiming the surviving key's id does not carry the old signature over
+  const forged = new URLSearchParams({ ...queryOf(oldUrl), kid: replacement.record.id });
+  assert.strictEqual(await download(`/pub/Series/a.mp3?${forged}`), 401);
+});
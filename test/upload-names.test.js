@@ -0,0 +1,125 @@
+/**
+ * File names with shell metacharacters are accepted for uploads and renames,
+ * so ffprobe must receive them as plain arguments and never run them
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+const MP3 = Buffer.concat([Buffer.from('ID3'), Buffer.alloc(61)]);
+const HOSTILE_NAMES = ['a$(touch pwned).mp3', 'b`touch pwned`;|.mp3'];
+const RENAMED = 'c$(touch pwned) & touch pwned.mp3';
+
+let server;
+let probeLog;
+
+/**
+ * Stand-in ffprobe that records the file argument it was given
+ */
+function installFakeFfprobe(dir) {
+  const binDir = path.join(dir, 'bin');
+  fs.mkdirSync(binDir);
+  fs.writeFileSync(path.join(binDir, 'ffprobe'), [
+    '#!/bin/sh',
+    'if [ "$1" = "-version" ]; then echo "ffprobe version test"; exit 0; fi',
+    'for last; do :; done',
+    'printf \'%s\\n\' "$last" >> "$PROBE_LOG"',
+    'echo \'{"format":{"duration":"1.5"}}\''
+  ].join('\n'), { mode: 0o755 });
+  return binDir;
+}
+
+/**
+ * Every file named "pwned" below a directory
+ */
+function findPwned(dir) {
+  return fs.readdirSync(dir, { recursive: true }).filter(name => path.basename(String(name)) === 'pwned');
+}
+
+async function waitFor(check, timeout = 5000) {
+  const started = Date.now();
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() - started > timeout) {
+      throw new Error('Timed out waiting');
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+async function upload(name) {
+  const created = await server.request('/api/uploads', { json: { folder: 'pub/Series', name, size: MP3.length } });
+  assert.strictEqual(created.status, 201);
+  const { id } = await created.json();
+
+  const chunk = await server.request(`/api/uploads/${id}`, {
+    method: 'PUT',
+    headers: { 'Upload-Offset': '0', 'Content-Type': 'application/offset+octet-stream' },
+    body: MP3
+  });
+  assert.strictEqual(chunk.status, 201);
+}
+
+before(async () => {
+  const toolsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-explorer-ffprobe-'));
+  probeLog = path.join(toolsDir, 'probe.log');
+  const binDir = installFakeFfprobe(toolsDir);
+
+  server = await startServer({
+    env: { PATH: `${binDir}${path.delimiter}${process.env.PATH}`, PROBE_LOG: probeLog, MANIFEST_FFPROBE: '1' },
+    files: { 'Series/plain.mp3': MP3 }
+  });
+  server.toolsDir = toolsDir;
+});
+
+after(async () => {
+  await server.stop();
+  fs.rmSync(server.toolsDir, { recursive: true, force: true });
+});
+
+test('uploads and renames keep shell metacharacters as literal names', async () => {
+  for (const name of HOSTILE_NAMES) {
+    await upload(name);
+  }
+
+  const renamed = await server.request('/api/files/rename', { json: { path: 'pub/Series/plain.mp3', name: RENAMED } });
+  assert.strictEqual(renamed.status, 200);
+
+  const listed = fs.readdirSync(path.join(server.mountDir, 'Series')).sort();
+  assert.deepStrictEqual(listed, [...HOSTILE_NAMES, RENAMED].sort());
+});
+
+test('generated manifests probe hostile names without running them', async () => {
+  const manifest = await waitFor(async () => {
+    const response = await server.request('/api/manifest?folder=pub/Series');
+    const body = await response.json();
+    return body.files.length === 3 && body.files.every(file => file.audio) && body;
+  });
+
+  assert.deepStrictEqual(manifest.files.map(file => file.audio.duration), [1.5, 1.5, 1.5]);
+  assert.deepStrictEqual(findPwned(server.dir), []);
+});
+
+test('regeneration jobs probe hostile names without running them', async () => {
+  const queued = await server.request('/api/manifest/regenerate?folder=pub/Series&ffprobe=1', { method: 'POST' });
+  assert.strictEqual(queued.status, 202);
+  const { id } = await queued.json();
+
+  const job = await waitFor(async () => {
+    const body = await (await server.request(`/api/jobs/${id}`)).json();
+    return ['completed', 'failed'].includes(body.status) && body;
+  });
+  assert.strictEqual(job.status, 'completed', job.error);
+  assert.strictEqual(job.result.audioMetadata, true);
+
+  const probed = fs.readFileSync(probeLog, 'utf-8').trim().split('\n').map(line => path.basename(line));
+  [...HOSTILE_NAMES, RENAMED].forEach(name => assert.ok(probed.includes(name), `${name} was probed as one argument`));
+  assert.deepStrictEqual(findPwned(server.dir), []);
+});
@@ -0,0 +1,99 @@
+/**
+ * Streamed ZIP archives: /api/archive entries unpack with the right names, sizes and CRCs, and
+ * an entry pushed past 4 GiB only by its offset keeps 32-bit sizes in every record
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { crc32, planArchive, localHeader, dataDescriptor, centralHeader } = require('../lib/zip-stream');
+const { startTestServer } = require('./helpers/server');
+
+const UINT32_MAX = 0xFFFFFFFF;
+
+/**
+ * Central directory entries of a ZIP without comment and without ZIP64 records
+ */
+function readCentralDirectory(zip) {
+  const end = zip.length - 22;
+  assert.strictEqual(zip.readUInt32LE(end), 0x06054b50, 'end of central directory');
+  const count = zip.readUInt16LE(end + 10);
+  let position = zip.readUInt32LE(end + 16);
+
+  const entries = [];
+  for (let index = 0; index < count; index++) {
+    assert.strictEqual(zip.readUInt32LE(position), 0x02014b50, 'central header');
+    const nameLength = zip.readUInt16LE(position + 28);
+    entries.push({
+      name: zip.toString('utf-8', position + 46, position + 46 + nameLength),
+      crc: zip.readUInt32LE(position + 16),
+      compressedSize: zip.readUInt32LE(position + 20),
+      size: zip.readUInt32LE(position + 24),
+      offset: zip.readUInt32LE(position + 42)
+    });
+    position += 46 + nameLength + zip.readUInt16LE(position + 30) + zip.readUInt16LE(position + 32);
+  }
+  return entries;
+}
+
+test('/api/archive streams every file of the folder with its size and CRC', async (t) => {
+  const files = {
+    'Series/a.mp3': Buffer.from('ID3'.padEnd(300, 'a')),
+    'Series/Season 1/b.mp3': Buffer.from('ID3'.padEnd(70000, 'b')),
+    'Series/empty.txt': ''
+  };
+  const server = await startTestServer(t, { files });
+
+  const response = await server.request('/api/archive?folder=pub/Series');
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('content-type'), 'application/zip');
+  const zip = Buffer.from(await response.arrayBuffer());
+  assert.strictEqual(zip.length, Number(response.headers.get('content-length')));
+
+  const entries = readCentralDirectory(zip);
+  assert.deepStrictEqual(entries.map(entry => entry.name).sort(),
+    ['Series/Season 1/b.mp3', 'Series/a.mp3', 'Series/empty.txt']);
+
+  for (const entry of entries) {
+    const content = Buffer.from(files[entry.name]);
+    assert.strictEqual(entry.size, content.length, entry.name);
+    assert.strictEqual(entry.compressedSize, content.length, entry.name);
+    assert.strictEqual(entry.crc, crc32(content), entry.name);
+
+    // Stored entries: the bytes right after the local header are the file itself
+    assert.strictEqual(zip.readUInt32LE(entry.offset), 0x04034b50, entry.name);
+    const dataStart = entry.offset + 30 + zip.readUInt16LE(entry.offset + 26) + zip.readUInt16LE(entry.offset + 28);
+    assert.ok(zip.subarray(dataStart, dataStart + content.length).equals(content), entry.name);
+  }
+});
+
+test('an entry past 4 GiB keeps 32-bit sizes and moves only its offset to ZIP64', () => {
+  const mtime = new Date(2024, 0, 1);
+  const plan = planArchive([
+    { name: 'huge.bin', filePath: '/dev/null', size: UINT32_MAX + 1, mtime },
+    { name: 'small.txt', filePath: '/dev/null', size: 5, mtime }
+  ]);
+  const [huge, small] = plan.entries;
+  assert.strictEqual(huge.zip64, true);
+  assert.strictEqual(small.zip64, false);
+  assert.ok(small.offset > UINT32_MAX);
+
+  // Local header without ZIP64 extra, so readers expect the 16-byte descriptor that follows
+  const local = localHeader(small);
+  assert.strictEqual(local.length, 30 + 'small.txt'.length);
+  assert.strictEqual(local.readUInt16LE(4), 20);
+  assert.strictEqual(dataDescriptor(small, 0).length, 16);
+
+  const central = centralHeader(small);
+  assert.strictEqual(central.readUInt16LE(6), 45);
+  assert.strictEqual(central.readUInt32LE(20), 5);
+  assert.strictEqual(central.readUInt32LE(24), 5);
+  assert.strictEqual(central.readUInt32LE(42), UINT32_MAX);
+  const extra = central.subarray(46 + 'small.txt'.length);
+  assert.strictEqual(extra.length, 12);
+  assert.strictEqual(extra.readUInt16LE(0), 0x0001);
+  assert.strictEqual(extra.readUInt16LE(2), 8);
+  assert.strictEqual(extra.readBigUInt64LE(4), BigInt(small.offset));
+
+  // The central directory starts past 4 GiB too: ZIP64 record, locator and end record
+  assert.strictEqual(plan.totalSize - plan.cdOffset - plan.cdSize, 56 + 20 + 22);
+});